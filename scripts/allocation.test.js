@@ -0,0 +1,60 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { greedyAllocate } = require('../src/opt/optimizer');
+const { offerSegments, solvePlan } = require('../src/opt/ilp');
+
+const offer = (id, o) => ({ source: 'listing', id, brand: 'TI', code: 'LM358', currency: 'USD', ...o });
+
+test('greedy: 싼 오퍼부터 채우고 모자라면 remaining 으로 남긴다', () => {
+  const plan = greedyAllocate(15, [
+    offer('a', { unit_price_cents: 120, available_qty: 10 }),
+    offer('b', { unit_price_cents: 100, available_qty: 3 }),
+  ], {});
+  assert.deepEqual(plan.assignments.map((a) => [a.offer_id, a.qty]), [['b', 3], ['a', 10]]);
+  assert.equal(plan.remaining, 2);
+  assert.equal(plan.totals.cost_cents, 3 * 100 + 10 * 120);
+});
+
+test('greedy: 가져갈 수량의 구간 단가로 비교한다', () => {
+  const plan = greedyAllocate(100, [
+    offer('flat', { unit_price_cents: 90, available_qty: 100 }),
+    offer('tiered', { unit_price_cents: 120, available_qty: 100, price_tiers: [{ min_qty: 100, unit_price_cents: 80 }] }),
+  ], {});
+  assert.deepEqual(plan.assignments.map((a) => [a.offer_id, a.qty, a.unit_price_cents, a.price_tier_min_qty]), [['tiered', 100, 80, 100]]);
+});
+
+test('greedy: 납기 지연 벌점이 단가에 더해진다', () => {
+  const due = new Date(Date.now() + 2 * 86400000).toISOString();
+  const plan = greedyAllocate(5, [
+    offer('late', { unit_price_cents: 100, available_qty: 5, lead_time_days: 12 }),
+    offer('soon', { unit_price_cents: 150, available_qty: 5, lead_time_days: 0 }),
+  ], { due_date: due, lead_penalty_cents_per_unit_per_day: 10 });
+  assert.equal(plan.assignments[0].offer_id, 'soon');
+});
+
+test('offerSegments: MPQ 팩 단위와 MOQ 하한', () => {
+  const segs = offerSegments({ unit_price_cents: 10, available_qty: 2500, mpq: 1000, mpq_required_order: true, moq: 1500,
+    price_tiers: [{ min_qty: 2000, unit_price_cents: 8 }, { min_qty: 5000, unit_price_cents: 6 }] });
+  assert.deepEqual(segs.map((s) => [s.tier_min_qty, s.unit, s.min_units, s.max_units]), [[1, 1000, 2, 2], [2000, 1000, 2, 2]]);
+});
+
+test('ILP: 팩 하나가 아무리 커도 부족분보다 싸면 산다', () => {
+  const plan = solvePlan(1, [offer('pack', { unit_price_cents: 1, available_qty: 20000, mpq: 5000, mpq_required_order: true })], {});
+  assert.deepEqual(plan.assignments.map((a) => a.qty), [5000]);
+  assert.equal(plan.remaining, 0);
+  assert.equal(plan.overbuy_qty, 4999);
+});
+
+test('ILP: MOQ 를 채우고, 재고가 모자라면 remaining 으로 남긴다', () => {
+  const moq = solvePlan(3, [offer('m', { unit_price_cents: 100, available_qty: 10, moq: 5 })], {});
+  assert.deepEqual(moq.assignments.map((a) => a.qty), [5]);
+  const short = solvePlan(30000, [offer('pack', { unit_price_cents: 1, available_qty: 20000, mpq: 5000, mpq_required_order: true })], {});
+  assert.equal(short.remaining, 10000);
+});
+
+test('ILP: 구간 단가가 더 싸면 구간 하한까지 더 산다', () => {
+  const plan = solvePlan(90, [offer('t', { unit_price_cents: 100, available_qty: 1000, price_tiers: [{ min_qty: 100, unit_price_cents: 50 }] })], {});
+  assert.deepEqual(plan.assignments.map((a) => [a.qty, a.unit_price_cents]), [[100, 50]]);
+});
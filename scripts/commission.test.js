@@ -0,0 +1,35 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { pickCommissionRule } = require('../src/payments/ledger');
+
+const rules = [
+  { id: 1, seller_id: null, family_slug: null, rate_bp: 800 },
+  { id: 2, seller_id: null, family_slug: 'mcu', rate_bp: 600 },
+  { id: 3, seller_id: 's1', family_slug: null, rate_bp: 500 },
+  { id: 4, seller_id: 's1', family_slug: 'mcu', rate_bp: 300 },
+];
+const pick = (ctx, rs = rules) => pickCommissionRule(rs, ctx)?.id ?? null;
+
+test('판매자+family > 판매자 > family > 전체 기본', () => {
+  assert.equal(pick({ seller_id: 's1', family_slug: 'mcu' }), 4);
+  assert.equal(pick({ seller_id: 's1', family_slug: 'passive' }), 3);
+  assert.equal(pick({ seller_id: 's2', family_slug: 'mcu' }), 2);
+  assert.equal(pick({ seller_id: 's2', family_slug: null }), 1);
+});
+
+test('family 는 대소문자를 가리지 않고, seller_id 는 문자열로 비교한다', () => {
+  assert.equal(pick({ seller_id: 's2', family_slug: 'MCU' }), 2);
+  assert.equal(pick({ seller_id: 7 }, [{ id: 1, seller_id: '7', family_slug: null, rate_bp: 400 }]), 1);
+});
+
+test('같은 점수면 id 가 큰(최신) 규칙, 비활성 규칙은 건너뛴다', () => {
+  assert.equal(pick({ seller_id: 's1' }, [...rules, { id: 9, seller_id: 's1', family_slug: null, rate_bp: 450 }]), 9);
+  assert.equal(pick({ seller_id: 's1' }, [...rules, { id: 9, seller_id: 's1', family_slug: null, rate_bp: 450, active: false }]), 3);
+});
+
+test('맞는 규칙이 없으면 null', () => {
+  assert.equal(pick({ seller_id: 's2', family_slug: 'passive' }, rules.slice(1)), null);
+  assert.equal(pick({ seller_id: 's1' }, []), null);
+});
@@ -0,0 +1,32 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { canonical, requestHash } = require('../src/utils/idempotency');
+
+const req = (body, { method = 'POST', baseUrl = '', path = '/api/checkout/create' } = {}) => ({ method, baseUrl, path, body });
+
+test('canonical: 키 순서와 무관하고 undefined 키는 빠진다', () => {
+  assert.equal(canonical({ b: 1, a: { d: [1, { y: 2, x: 1 }], c: null } }), '{"a":{"c":null,"d":[1,{"x":1,"y":2}]},"b":1}');
+  assert.equal(canonical({ a: 1, skip: undefined }), canonical({ a: 1 }));
+  assert.equal(canonical(undefined), 'null');
+  assert.equal(canonical([undefined, 'x']), '[null,"x"]');
+});
+
+test('canonical: 배열 순서는 유지한다', () => {
+  assert.notEqual(canonical([1, 2]), canonical([2, 1]));
+});
+
+test('requestHash: 같은 body 는 키 순서가 달라도 같은 해시', () => {
+  assert.equal(requestHash(req({ items: [{ brand: 'TI', code: 'LM358', qty: 10 }], notes: 'x' })),
+    requestHash(req({ notes: 'x', items: [{ qty: 10, code: 'LM358', brand: 'TI' }] })));
+  assert.match(requestHash(req(null)), /^[0-9a-f]{64}$/);
+});
+
+test('requestHash: body·메서드·경로가 다르면 다른 해시', () => {
+  const base = requestHash(req({ qty: 1 }));
+  assert.notEqual(requestHash(req({ qty: 2 })), base);
+  assert.notEqual(requestHash(req({ qty: 1 }, { method: 'PUT' })), base);
+  assert.notEqual(requestHash(req({ qty: 1 }, { baseUrl: '/v2' })), base);
+  assert.notEqual(requestHash(req({ qty: 1 }, { path: '/api/checkout/quote' })), base);
+});
@@ -0,0 +1,42 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parsePriceBreaks, readPriceBreaks, tierPrice } = require('../src/lib/priceBreaks');
+
+const tiers = [{ min_qty: 100, unit_price_cents: 90 }, { min_qty: 500, unit_price_cents: 75 }];
+
+test('tierPrice: 수량 이상인 가장 큰 구간, 첫 구간보다 적으면 기본 단가', () => {
+  assert.deepEqual(tierPrice(120, tiers, 1), { min_qty: 1, unit_price_cents: 120 });
+  assert.deepEqual(tierPrice(120, tiers, 99), { min_qty: 1, unit_price_cents: 120 });
+  assert.deepEqual(tierPrice(120, tiers, 100), tiers[0]);
+  assert.deepEqual(tierPrice(120, tiers, 499), tiers[0]);
+  assert.deepEqual(tierPrice(120, tiers, 5000), tiers[1]);
+});
+
+test('tierPrice: 구간이 없거나 기본 단가가 비어 있어도 동작한다', () => {
+  assert.deepEqual(tierPrice(120, [], 1000), { min_qty: 1, unit_price_cents: 120 });
+  assert.deepEqual(tierPrice(120, null, 1000), { min_qty: 1, unit_price_cents: 120 });
+  assert.deepEqual(tierPrice(null, undefined, 3), { min_qty: 1, unit_price_cents: 0 });
+  assert.deepEqual(tierPrice(120, tiers, '500'), tiers[1]);
+});
+
+test('parsePriceBreaks: 문자열/배열 입력을 정렬해 센트로 바꾼다', () => {
+  assert.deepEqual(parsePriceBreaks('500:0.75; 1,000+ @ 0.60 | 100=0.9'), [
+    { min_qty: 100, unit_price_cents: 90 }, { min_qty: 500, unit_price_cents: 75 }, { min_qty: 1000, unit_price_cents: 60 },
+  ]);
+  assert.deepEqual(parsePriceBreaks([{ qty: 10, price: '$1.50' }]), [{ min_qty: 10, unit_price_cents: 150 }]);
+  assert.deepEqual(parsePriceBreaks(''), []);
+});
+
+test('parsePriceBreaks: 형식 오류는 invalid price_breaks 로 던진다', () => {
+  assert.throws(() => parsePriceBreaks('1:0.5'), /invalid price_breaks: min_qty/);
+  assert.throws(() => parsePriceBreaks('100:1; 100:0.9'), /duplicate min_qty 100/);
+  assert.throws(() => parsePriceBreaks('abc'), /invalid price_breaks/);
+});
+
+test('readPriceBreaks: 저장 값의 깨진 구간은 버린다', () => {
+  assert.deepEqual(readPriceBreaks('[{"min_qty":500,"unit_price_cents":75},{"min_qty":0,"unit_price_cents":1},{"qty":100,"price_cents":90}]'), tiers);
+  assert.deepEqual(readPriceBreaks('not json'), []);
+  assert.deepEqual(readPriceBreaks(null), []);
+});
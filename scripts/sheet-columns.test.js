@@ -0,0 +1,32 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { HEADER_PATTERNS, BOM_HEADER_PATTERNS, detectColumns, normalizeHeader, applyColumnOverrides } = require('../src/utils/sheet-columns');
+
+const bom = (row) => detectColumns(normalizeHeader(row), BOM_HEADER_PATTERNS, { exclusive: true });
+
+test('BOM: 제조사 품번 컬럼은 brand 가 아니라 code 로 잡힌다', () => {
+  assert.deepEqual(bom(['Ref Des', 'Manufacturer Part Number', 'Manufacturer', 'Qty']), { ref_des: 0, brand: 2, code: 1, qty: 3, note: -1 });
+  assert.deepEqual(bom(['Designator', 'Mfr P/N', 'Mfr', 'Quantity']), { ref_des: 0, brand: 2, code: 1, qty: 3, note: -1 });
+  assert.deepEqual(bom(['Mfr No', 'Maker', 'Part', 'Qty']), { ref_des: -1, brand: 1, code: 2, qty: 3, note: -1 });
+});
+
+test('BOM: ref_des 가 먼저 잡혀 "Part Reference" 가 code 로 가지 않는다', () => {
+  assert.deepEqual(bom(['Part Reference', 'MPN', 'Brand', '수량']), { ref_des: 0, brand: 2, code: 1, qty: 3, note: -1 });
+});
+
+test('BOM: 한글 헤더', () => {
+  assert.deepEqual(bom(['위치번호', '제조사', '품번', '소요량', '비고']), { ref_des: 0, brand: 1, code: 2, qty: 3, note: 4 });
+});
+
+test('exclusive 가 아니면 필드마다 첫 일치 헤더를 그대로 쓴다', () => {
+  const map = detectColumns(normalizeHeader(['Brand', 'Part No', 'Qty']), HEADER_PATTERNS);
+  assert.deepEqual(map, { brand: 0, code: 1, qty: 2, note: -1 });
+});
+
+test('override: 인덱스/헤더 문자열/해제', () => {
+  const header = normalizeHeader(['Brand', 'Part No', 'Qty', 'Memo']);
+  const map = { brand: 0, code: 1, qty: 2, note: -1 };
+  assert.deepEqual(applyColumnOverrides(map, header, { note: 'Memo', qty: null, code: 9, unknown: 0 }), { brand: 0, code: -1, qty: -1, note: 3 });
+});
@@ -1,94 +1,438 @@
-// ===== 공통 헬퍼 =====
-async function columnNames(table) {
-  const q = await db.query(
-    `SELECT column_name
-       FROM information_schema.columns
-      WHERE table_schema='public' AND table_name=$1`,
-    [table]
-  );
-  return new Set(q.rows.map(r => r.column_name));
+const express = require('express');
+const cors = require('cors');
+const bodyParser = require('body-parser');
+const multer = require('multer');
+const db = require('./db');
+const { parseActor, hasRole } = require('./src/utils/auth');
+const { analyzeBom, persistPlan, findExact } = require('./src/pipeline/bom');
+const { diffRevisions, listRevisions } = require('./src/pipeline/bom-revisions');
+const { explodeBom, wouldCreateCycle } = require('./src/pipeline/bom-explode');
+const { rollupBom } = require('./src/pipeline/bom-rollup');
+const { riskReport } = require('./src/pipeline/bom-risk');
+const { listMatches, confirmMatch, rejectMatch, deleteMatch } = require('./src/pipeline/bom-matches');
+const {
+  BOM_HEADER_PATTERNS,
+  readSheetRows,
+  normalizeHeader,
+  detectColumns,
+  applyColumnOverrides,
+} = require('./src/utils/sheet-columns');
+
+const app = express();
+app.use(cors());
+app.use(bodyParser.json({ limit: '10mb' }));
+
+const upload = multer({ limits: { fileSize: 25 * 1024 * 1024 } });
+const PREVIEW_ROWS = 20;
+
+function ensureBuyer(req, res, next){
+  const actor = parseActor(req);
+  if (!(hasRole(actor, 'buyer','admin'))) return res.status(403).json({ error: 'buyer role required' });
+  res.locals.__actor = actor;
+  next();
+}
+
+function bomSource(req) {
+  const body = req.body || {};
+  const actor = parseActor(req);
+  return {
+    actor,
+    upload_id: body.upload_id || body.uploadId || null,
+    bom_id: body.bom_id || body.bomId || null,
+    rows: Array.isArray(body.rows) ? body.rows : null,
+    build_qty: Number(body.build_qty || body.buildQty || 1) || 1,
+  };
+}
+
+function parseMappingOverride(raw) {
+  if (!raw) return null;
+  if (typeof raw === 'object') return raw;
+  try { return JSON.parse(String(raw)); } catch { throw new Error('mapping must be JSON'); }
+}
+
+function cellText(row, i) {
+  if (i == null || i < 0) return null;
+  const s = String(row[i] ?? '').trim();
+  return s || null;
+}
+
+function sheetToBomLines(rows, map) {
+  const lines = [];
+  for (let r = 1; r < rows.length; r++) {
+    const row = rows[r] || [];
+    const manufacturer = cellText(row, map.brand);
+    const part_number = cellText(row, map.code);
+    if (!part_number) continue;
+    const qtyRaw = cellText(row, map.qty);
+    const qty = qtyRaw == null ? 1 : (Number(qtyRaw.replace(/[^\d.]/g, '')) || 0);
+    lines.push({
+      row_no: r,
+      manufacturer,
+      part_number,
+      qty: Math.round(qty),
+      ref_des: cellText(row, map.ref_des),
+      note: cellText(row, map.note),
+    });
+  }
+  return lines;
 }
 
-// ===== 수정된 fuzzy 매칭 =====
-async function findFuzzy(brand, code, limit = 5) {
-  await ensureExt();
-  const regs = await getKnownSpecsTables();
-  const out = [];
-
-  for (const r of regs) {
-    const cols = await columnNames(r.specs_table);
-
-    // 유사도 비교에 사용할 후보 표현식 (존재하는 컬럼만)
-    const exprs = [`similarity(code_norm, lower($2))`];
-    if (cols.has('display_name')) exprs.push(`similarity(lower(display_name), lower($2))`);
-    if (cols.has('series'))       exprs.push(`similarity(lower(series), lower($2))`);
-
-    // 최소 한 개는 항상 존재(code_norm)하므로 GREATEST가 비지 않습니다.
-    const sql = `
-      SELECT *,
-             1.0 - GREATEST(${exprs.join(', ')}) AS score
-        FROM public.${r.specs_table}
-       WHERE brand_norm = lower($1)
-       ORDER BY score ASC NULLS LAST
-       LIMIT $3`;
-
-    const q = await db.query(sql, [brand, code, limit]);
-    for (const row of q.rows) {
-      out.push({ table: r.specs_table, family_slug: r.family_slug, row, score: row.score ?? 0.9 });
+// BOM 스프레드시트 업로드: mode=preview(기본) → 컬럼 매핑 미리보기, mode=commit → bom_lists/bom_items 생성
+// mapping={"brand":2,"code":"mpn",...} 으로 자동 매핑을 덮어쓸 수 있음
+app.post('/api/bom/import', upload.single('file'), async (req, res) => {
+  try {
+    const actor = parseActor(req);
+    if (!actor?.id) return res.status(401).json({ error: 'auth required' });
+    const buf = req.file?.buffer;
+    if (!buf) return res.status(400).json({ ok: false, error: 'file_required' });
+    const mode = String(req.body?.mode || 'preview').toLowerCase();
+
+    // BOM 은 CAD/PLM 에서 내보낸 UTF-8 CSV 가 대부분
+    const rows = readSheetRows(buf, { codepage: 65001 });
+    if (!rows.length) return res.status(400).json({ ok: false, error: 'empty_sheet' });
+    const rawHeader = (rows[0] || []).map((h) => String(h).trim());
+    const header = normalizeHeader(rows[0]);
+    const detected = detectColumns(header, BOM_HEADER_PATTERNS, { exclusive: true });
+    const mapping = applyColumnOverrides(detected, header, parseMappingOverride(req.body?.mapping));
+    const lines = sheetToBomLines(rows, mapping);
+    const columns = Object.fromEntries(
+      Object.entries(mapping).map(([field, i]) => [field, i >= 0 ? { index: i, header: rawHeader[i] } : null])
+    );
+
+    if (mode !== 'commit') {
+      return res.json({
+        ok: true,
+        mode: 'preview',
+        headers: rawHeader,
+        detected,
+        mapping,
+        columns,
+        missing: ['code', 'qty'].filter((f) => mapping[f] < 0),
+        row_count: lines.length,
+        preview: lines.slice(0, PREVIEW_ROWS),
+      });
     }
+
+    if (mapping.code < 0) return res.status(400).json({ ok: false, error: 'part_number column not mapped', mapping });
+    if (!lines.length) return res.status(400).json({ ok: false, error: 'no_rows', mapping });
+
+    const baseBomId = (req.body?.base_bom_id || req.body?.baseBomId || '').toString().trim() || null;
+    const out = await db.withTransaction(async (client) => {
+      // base_bom_id 지정 시 같은 계열의 다음 리비전으로 등록
+      let rootId = null;
+      let revision = 1;
+      let baseName = null;
+      if (baseBomId) {
+        const base = (await client.query(`
+          SELECT r.id, r.name
+            FROM public.bom_lists b
+            JOIN public.bom_lists r ON r.id = COALESCE(b.base_bom_id, b.id)
+           WHERE b.id = $1 AND b.owner_user_id = $2
+           FOR UPDATE OF r
+        `, [baseBomId, actor.id])).rows[0];
+        if (!base) throw new Error('base bom not found');
+        rootId = base.id;
+        baseName = base.name;
+        revision = (await client.query(`
+          SELECT COALESCE(MAX(revision), 0) + 1 AS next
+            FROM public.bom_lists
+           WHERE COALESCE(base_bom_id, id) = $1
+        `, [rootId])).rows[0].next;
+      }
+      const name = String(req.body?.name || baseName || req.file?.originalname || 'BOM').trim() || 'BOM';
+      const bom = (await client.query(`
+        INSERT INTO public.bom_lists (owner_user_id, name, note, revision, base_bom_id)
+        VALUES ($1,$2,$3,$4,$5)
+        RETURNING *
+      `, [actor.id, name, req.body?.note || null, revision, rootId])).rows[0];
+      for (const l of lines) {
+        await client.query(`
+          INSERT INTO public.bom_items (bom_id, row_no, manufacturer, part_number, qty, ref_des, note)
+          VALUES ($1,$2,$3,$4,$5,$6,$7)
+        `, [bom.id, l.row_no, l.manufacturer, l.part_number, l.qty, l.ref_des, l.note]);
+      }
+      return bom;
+    });
+    res.json({ ok: true, mode: 'commit', bom: out, mapping, inserted: lines.length });
+  } catch (e) {
+    console.error(e);
+    res.status(400).json({ ok: false, error: String(e.message || e) });
   }
-  out.sort((a, b) => (a.score || 1) - (b.score || 1));
-  return out.slice(0, limit);
+});
+
+async function ownsBom(bomId, ownerId) {
+  const r = await db.query(`SELECT 1 FROM public.bom_lists WHERE id = $1 AND owner_user_id = $2`, [bomId, ownerId]);
+  return r.rows.length > 0;
+}
+
+// 업로드 라인(bom_lines)은 스키마가 외부 적재 쪽에 있으므로 소유 컬럼을 to_jsonb 로 읽는다
+async function ownsUpload(uploadId, actor) {
+  const r = await db.query(`
+    SELECT 1 FROM public.bom_lines b
+     WHERE b.upload_id = $1
+       AND (COALESCE(to_jsonb(b)->>'owner_user_id', to_jsonb(b)->>'owner_id', to_jsonb(b)->>'buyer_id') = $2
+            OR ($3::text IS NOT NULL AND to_jsonb(b)->>'tenant_id' = $3))
+     LIMIT 1
+  `, [uploadId, actor.id, actor.tenantId || null]);
+  return r.rows.length > 0;
+}
+
+// bom_id / upload_id 입력은 본인(업로드는 같은 테넌트 포함) 것만 (rollup 과 같은 규칙). 거절 응답을 보냈으면 false
+async function guardBomSource(req, res, src) {
+  if (!src.bom_id && !src.upload_id) return true;
+  const actor = parseActor(req);
+  if (!actor?.id) { res.status(401).json({ error: 'auth required' }); return false; }
+  if (src.upload_id && !(await ownsUpload(src.upload_id, actor))) { res.status(404).json({ ok: false, error: 'upload not found' }); return false; }
+  if (src.bom_id && !(await ownsBom(src.bom_id, actor.id))) { res.status(404).json({ ok: false, error: 'bom not found' }); return false; }
+  return true;
 }
 
-// ===== 수정된 대체품 검색(룰 기반 fallback) =====
-async function getAlternatives(table, baseRow, k = 8) {
-  // 임베딩 유사도는 기존 로직 유지 (있으면 가장 먼저 시도)
+// 하위 어셈블리 라인 추가: 해당 BOM 을 qty_per 배수로 포함
+app.post('/api/bom/:id/subassemblies', async (req, res) => {
   try {
-    if (!baseRow.embedding) {
-      await updateRowEmbedding(table, baseRow);
-      const ref = await db.query(
-        `SELECT embedding FROM public/${table} WHERE brand_norm=$1 AND code_norm=$2`,
-        [baseRow.brand_norm, baseRow.code_norm]
-      );
-      baseRow.embedding = ref.rows[0]?.embedding || null;
+    const actor = parseActor(req);
+    if (!actor?.id) return res.status(401).json({ error: 'auth required' });
+    const bomId = (req.params.id || '').toString();
+    const subId = (req.body?.sub_bom_id || req.body?.subBomId || '').toString().trim();
+    const qtyPer = Number(req.body?.qty_per ?? req.body?.qtyPer ?? 1);
+    if (!subId) return res.status(400).json({ ok: false, error: 'sub_bom_id required' });
+    if (!Number.isInteger(qtyPer) || qtyPer <= 0) return res.status(400).json({ ok: false, error: 'qty_per must be a positive integer' });
+    if (!(await ownsBom(bomId, actor.id)) || !(await ownsBom(subId, actor.id))) {
+      return res.status(404).json({ ok: false, error: 'bom not found' });
     }
-  } catch {}
-
-  if (baseRow.embedding) {
-    const q = await db.query(
-      `SELECT *, (embedding <=> $1::vector) AS dist
-         FROM public/${table}
-        WHERE NOT (brand_norm=$2 AND code_norm=$3)
-        ORDER BY embedding <=> $1::vector
-        LIMIT $4`,
-      [baseRow.embedding, baseRow.brand_norm, baseRow.code_norm, k]
-    );
-    return { mode: 'embedding', items: q.rows };
+    if (await wouldCreateCycle(bomId, subId)) return res.status(400).json({ ok: false, error: 'bom cycle' });
+    const r = await db.query(`
+      INSERT INTO public.bom_items (bom_id, row_no, qty, ref_des, note, sub_bom_id)
+      VALUES ($1,
+              (SELECT COALESCE(MAX(row_no), 0) + 1 FROM public.bom_items WHERE bom_id = $1),
+              $2,$3,$4,$5)
+      RETURNING *
+    `, [bomId, qtyPer, req.body?.ref_des || null, req.body?.note || null, subId]);
+    await db.query(`UPDATE public.bom_lists SET updated_at = now() WHERE id = $1`, [bomId]);
+    res.json({ ok: true, item: r.rows[0] });
+  } catch (e) {
+    console.error(e);
+    res.status(400).json({ ok: false, error: String(e.message || e) });
+  }
+});
+
+// 계층 BOM 전개 → 부품별 총 소요량 (?build_qty=N)
+app.get('/api/bom/:id/explode', async (req, res) => {
+  try {
+    const actor = parseActor(req);
+    if (!actor?.id) return res.status(401).json({ error: 'auth required' });
+    const bomId = (req.params.id || '').toString();
+    if (!(await ownsBom(bomId, actor.id))) return res.status(404).json({ ok: false, error: 'bom not found' });
+    const out = await explodeBom(bomId, { build_qty: Number(req.query.build_qty || 1) || 1 });
+    res.json({ ok: true, ...out });
+  } catch (e) {
+    console.error(e);
+    res.status(400).json({ ok: false, error: String(e.message || e) });
+  }
+});
+
+// 빌드 수량별 원가 롤업: { bom_id | rows[], build_quantities:[100,1000,10000], attrition_pct:{relay:2}, default_attrition_pct }
+app.post('/api/bom/rollup', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const bomId = body.bom_id || body.bomId || null;
+    if (bomId) {
+      const actor = parseActor(req);
+      if (!actor?.id) return res.status(401).json({ error: 'auth required' });
+      if (!(await ownsBom(bomId, actor.id))) return res.status(404).json({ ok: false, error: 'bom not found' });
+    } else if (!Array.isArray(body.rows) || !body.rows.length) {
+      return res.status(400).json({ error: 'bom_id or rows[] required' });
+    }
+    const out = await rollupBom({
+      bom_id: bomId,
+      rows: body.rows || null,
+      build_quantities: body.build_quantities || body.builds,
+      attrition_pct: body.attrition_pct || body.attrition || {},
+      default_attrition_pct: body.default_attrition_pct || 0,
+      optimizer: {
+        allow_alternatives: body.allow_alternatives !== false,
+        use_bids: body.use_bids !== false,
+        lead_penalty_cents_per_unit_per_day: Number(body.lead_penalty_cents_per_unit_per_day ?? 10),
+        alternative_penalty_cents_per_unit: Number(body.alternative_penalty_cents_per_unit ?? 0),
+      },
+    });
+    res.json({ ok: true, ...out });
+  } catch (e) {
+    console.error(e);
+    res.status(400).json({ ok: false, error: String(e.message || e) });
   }
+});
 
-  // 존재 컬럼만 사용하는 룰 기반 스코어
-  const cols = await columnNames(table);
-
-  // family_slug 비교는 대부분 있으므로 유지
-  const familyTerm = `CASE WHEN family_slug IS NOT NULL AND family_slug = $1 THEN 0 ELSE 1 END`;
-
-  // coil_voltage_vdc 가 있는 테이블에서만 가중치 반영, 없으면 1.0(중립)
-  const coilTerm = cols.has('coil_voltage_vdc')
-    ? `COALESCE(ABS(COALESCE(coil_voltage_vdc,0) - COALESCE($2::numeric,0)) / 100.0, 1.0)`
-    : `1.0`;
-
-  const sql2 = `
-    SELECT *,
-           (${familyTerm})*1.0 + ${coilTerm} AS score
-      FROM public.${table}
-     WHERE NOT (brand_norm=$3 AND code_norm=$4)
-     ORDER BY score ASC
-     LIMIT $5`;
-
-  const q2 = await db.query(
-    sql2,
-    [baseRow.family_slug || null, baseRow.coil_voltage_vdc || null, baseRow.brand_norm, baseRow.code_norm, k]
-  );
-  return { mode: 'rule-fallback', items: q2.rows };
+// 공급 리스크 리포트: 단일 판매자/가용 부족/대체품 없음/납기 초과/오래된 재고 정보
+app.post('/api/bom/risk', async (req, res) => {
+  try {
+    const actor = parseActor(req);
+    if (!actor?.id) return res.status(401).json({ error: 'auth required' });
+    const src = bomSource(req);
+    if (!src.upload_id && !src.bom_id && !(src.rows && src.rows.length)) {
+      return res.status(400).json({ error: 'upload_id, bom_id or rows[] required' });
+    }
+    if (!(await guardBomSource(req, res, src))) return;
+    const out = await riskReport(src, {
+      stale_days: Math.max(1, Number(req.body?.stale_days || 30) || 30),
+      need_by: req.body?.need_by || null,
+    });
+    res.json({ ok: true, ...out });
+  } catch (e) {
+    console.error(e);
+    res.status(400).json({ ok: false, error: String(e.message || e) });
+  }
+});
+
+// 같은 BOM 계열의 리비전 목록
+app.get('/api/bom/:id/revisions', async (req, res) => {
+  try {
+    const actor = parseActor(req);
+    if (!actor?.id) return res.status(401).json({ error: 'auth required' });
+    const items = await listRevisions((req.params.id || '').toString(), actor.id);
+    if (!items.length) return res.status(404).json({ ok: false, error: 'bom not found' });
+    res.json({ ok: true, items });
+  } catch (e) {
+    console.error(e);
+    res.status(400).json({ ok: false, error: String(e.message || e) });
+  }
+});
+
+// 리비전 diff: ?from=1&to=2 (생략 시 최신 vs 직전), impact=0 이면 비용/가용 분석 생략, 비용은 base_currency(기본 USD) 기준
+app.get('/api/bom/:id/diff', async (req, res) => {
+  try {
+    const actor = parseActor(req);
+    if (!actor?.id) return res.status(401).json({ error: 'auth required' });
+    const out = await diffRevisions((req.params.id || '').toString(), actor.id, {
+      actor,
+      from: req.query.from != null && req.query.from !== '' ? Number(req.query.from) : null,
+      to: req.query.to != null && req.query.to !== '' ? Number(req.query.to) : null,
+      impact: String(req.query.impact || '1') !== '0',
+      base_currency: req.query.base_currency ? String(req.query.base_currency) : 'USD',
+    });
+    res.json({ ok: true, ...out });
+  } catch (e) {
+    console.error(e);
+    const status = /not found/.test(String(e.message)) ? 404 : 400;
+    res.status(status).json({ ok: false, error: String(e.message || e) });
+  }
+});
+
+// 확정/거부된 BOM 라인 매칭 (테넌트 단위)
+app.get('/api/bom/matches', async (req, res) => {
+  try {
+    const actor = parseActor(req);
+    if (!actor?.id) return res.status(401).json({ error: 'auth required' });
+    const items = await listMatches({
+      actor,
+      status: req.query.status ? String(req.query.status) : null,
+      q: req.query.q ? String(req.query.q) : null,
+      limit: req.query.limit,
+    });
+    res.json({ ok: true, items });
+  } catch (e) {
+    console.error(e);
+    res.status(400).json({ ok: false, error: String(e.message || e) });
+  }
+});
+
+// body: { raw_brand, raw_code, brand, code } — raw_* 는 구매자가 BOM 에 입력한 값
+async function decideFromBody(req, res, decide) {
+  try {
+    const actor = res.locals.__actor;
+    if (!actor?.id) return res.status(401).json({ error: 'auth required' });
+    const b = req.body || {};
+    const raw_code = String(b.raw_code || '').trim();
+    const brand = String(b.brand || '').trim();
+    const code = String(b.code || '').trim();
+    if (!raw_code || !brand || !code) return res.status(400).json({ ok: false, error: 'raw_code, brand, code required' });
+    const part = await findExact(brand, code);
+    if (!part && decide === confirmMatch) return res.status(400).json({ ok: false, error: 'part not found in catalog' });
+    const item = await decide({
+      actor,
+      raw_brand: b.raw_brand != null ? String(b.raw_brand).trim() : null,
+      raw_code,
+      brand: part?.row?.brand || brand,
+      code: part?.row?.code || code,
+      family_slug: part?.family_slug || null,
+      specs_table: part?.table || null,
+    });
+    res.json({ ok: true, item });
+  } catch (e) {
+    console.error(e);
+    res.status(400).json({ ok: false, error: String(e.message || e) });
+  }
 }
+
+// 매칭을 바꾸면 테넌트 구매자 전체의 분석 결과가 달라지므로 구매자/관리자만
+app.post('/api/bom/matches/confirm', ensureBuyer, (req, res) => decideFromBody(req, res, confirmMatch));
+app.post('/api/bom/matches/reject', ensureBuyer, (req, res) => decideFromBody(req, res, rejectMatch));
+
+app.delete('/api/bom/matches/:id', ensureBuyer, async (req, res) => {
+  try {
+    const actor = res.locals.__actor;
+    if (!actor?.id) return res.status(401).json({ error: 'auth required' });
+    const deleted = await deleteMatch(actor, (req.params.id || '').toString());
+    if (!deleted) return res.status(404).json({ ok: false, error: 'not found' });
+    res.json({ ok: true, id: deleted.id });
+  } catch (e) {
+    console.error(e);
+    res.status(400).json({ ok: false, error: String(e.message || e) });
+  }
+});
+
+// 매칭/재고/대체품 분석만 수행 (DB 변경 없음)
+app.post('/api/bom/analyze', async (req, res) => {
+  try {
+    const src = bomSource(req);
+    if (!src.upload_id && !src.bom_id && !(src.rows && src.rows.length)) {
+      return res.status(400).json({ error: 'upload_id, bom_id or rows[] required' });
+    }
+    if (!(await guardBomSource(req, res, src))) return;
+    const out = await analyzeBom(src);
+    res.json({ ok: true, ...out });
+  } catch (e) {
+    console.error(e);
+    res.status(400).json({ error: String(e.message || e) });
+  }
+});
+
+// 분석 결과에서 구매 계획(재고 사용 + 부족분) 추출
+app.post('/api/bom/plan', ensureBuyer, async (req, res) => {
+  try {
+    const src = bomSource(req);
+    if (!src.upload_id && !src.bom_id && !(src.rows && src.rows.length)) {
+      return res.status(400).json({ error: 'upload_id, bom_id or rows[] required' });
+    }
+    if (!(await guardBomSource(req, res, src))) return;
+    const { summary, items } = await analyzeBom(src);
+    const plan_items = items.map((it) => ({
+      input: it.input,
+      match: it.match.type === 'unknown' ? it.match : { type: it.match.type, family_slug: it.match.family_slug, brand: it.match.brand, code: it.match.code, score: it.match.score, candidates: it.match.candidates },
+      recommendation: it.recommendation,
+    }));
+    const shortfall = plan_items.filter((it) => Number(it.recommendation?.plan?.remaining || 0) > 0);
+    res.json({ ok: true, summary, plan_items, shortfall_count: shortfall.length });
+  } catch (e) {
+    console.error(e);
+    res.status(400).json({ error: String(e.message || e) });
+  }
+});
+
+// 부족분 라인 → purchase_requests 생성
+app.post('/api/bom/plan/commit', ensureBuyer, async (req, res) => {
+  try {
+    const actor = res.locals.__actor || {};
+    const plan_items = Array.isArray(req.body?.plan_items) ? req.body.plan_items : [];
+    if (!plan_items.length) return res.status(400).json({ error: 'plan_items[] required' });
+    // 다른 테넌트 명의 구매요청은 관리자만
+    const tenant_id = hasRole(actor, 'admin') ? (req.body?.tenant_id || actor.tenantId || null) : (actor.tenantId || null);
+    const out = await persistPlan({ plan_items, actor, tenant_id });
+    res.json({ ok: true, ...out });
+  } catch (e) {
+    console.error(e);
+    res.status(400).json({ error: String(e.message || e) });
+  }
+});
+
+module.exports = app;
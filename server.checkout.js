@@ -3,36 +3,81 @@ const bodyParser = require('body-parser');
 const cors = require('cors');
 const db = require('./db');
 const { parseActor, hasRole } = require('./src/utils/auth');
+const { createFxConverter, summarizeFx } = require('./src/lib/fx');
+const { priceOrder } = require('./src/lib/pricing');
+const { ensureOrderLifecycle } = require('./src/orders/lifecycle');
+const { splitIntoSellerOrders } = require('./src/orders/suborders');
+const { ensureReservations, heldQtySql, reserveOrder } = require('./src/orders/reservations');
+const { idempotent } = require('./src/utils/idempotency');
+const { ensurePriceBreaks, readPriceBreaks, tierPrice } = require('./src/lib/priceBreaks');
+const { quoteFromPlan, issueDocument } = require('./src/orders/documents');
 
 const app = express();
 app.use(cors());
 app.use(bodyParser.json({ limit: '10mb' }));
 
-async function pickCheapestPlan(items){
+async function pickCheapestPlan(items, { base_currency = 'USD', fx = null, buyer = null, ship_to = {} } = {}){
+  await ensureReservations();
+  await ensurePriceBreaks();
   // items: [{brand, code, qty}]
+  // 통화가 섞인 listing 을 기준 통화로 환산해서 비교한다
+  fx = fx || createFxConverter(db, base_currency);
   const assignments = [];
+  const excluded = [];
   for (const it of items) {
     const brand = it.brand, code = it.code, qty = Number(it.qty||0);
     if (!brand || !code || qty<=0) continue;
     let remain = qty;
     const q = await db.query(`
-      SELECT id, brand, code, price_cents, currency, quantity_available, lead_time_days
-      FROM public.listings
+      SELECT id, brand, code, price_cents, currency, quantity_available, lead_time_days, price_breaks,
+             COALESCE(to_jsonb(l)->>'seller_id', to_jsonb(l)->>'seller_ref') AS seller_id,
+             to_jsonb(l)->>'location' AS location,
+             COALESCE((to_jsonb(l)->>'no_parcel')::boolean, false) AS no_parcel,
+             ${heldQtySql('l')} AS held_qty
+      FROM public.listings l
       WHERE brand_norm=lower($1) AND code_norm=lower($2) AND quantity_available > 0
       ORDER BY price_cents ASC, lead_time_days NULLS FIRST, created_at DESC
     `, [brand, code]);
+    const pool = [];
     for (const l of q.rows) {
-      if (remain <= 0) break;
-      const take = Math.min(remain, Number(l.quantity_available||0));
-      if (take <= 0) continue;
+      // 다른 주문이 결제 대기 중으로 잡아 둔 수량은 제외
+      const avail = Number(l.quantity_available||0) - Number(l.held_qty||0);
+      if (avail <= 0) continue;
+      try {
+        const conv = await fx.convertCents(l.price_cents, l.currency || 'USD');
+        const tiers = readPriceBreaks(l.price_breaks).map((t) => ({ ...t, base_price_cents: Math.round(t.unit_price_cents * conv.fx.rate) }));
+        pool.push({ ...l, avail, tiers, base_price_cents: conv.cents, fx: conv.fx });
+      } catch (e) {
+        excluded.push({ listing_id: l.id, currency: l.currency || null, reason: String(e.message || e) });
+      }
+    }
+    // 수량 구간 단가는 가져갈 수량에 따라 달라지므로 남은 수량 기준으로 매번 가장 싼 listing 을 고른다
+    while (remain > 0 && pool.length) {
+      let best = null;
+      for (const l of pool) {
+        const take = Math.min(remain, l.avail);
+        const tier = tierPrice(l.price_cents, l.tiers, take);
+        const unit = tier.min_qty > 1 ? tier.base_price_cents : l.base_price_cents;
+        if (!best || unit < best.unit
+            || (unit === best.unit && (l.lead_time_days ?? -1) < (best.l.lead_time_days ?? -1))) best = { l, take, tier, unit };
+      }
+      const { l, take, tier, unit } = best;
+      pool.splice(pool.indexOf(l), 1);
       assignments.push({
         brand, code,
         qty: take,
-        unit_price_cents: Number(l.price_cents||0),
-        currency: l.currency || 'USD',
+        unit_price_cents: unit,
+        currency: fx.base,
+        original_unit_price_cents: Number(tier.unit_price_cents||0),
+        original_currency: String(l.currency || 'USD').toUpperCase(),
+        price_tier_min_qty: tier.min_qty,
+        fx: l.fx,
         listing_id: l.id,
         is_alternative: false,
-        lead_time_days: l.lead_time_days==null? null : Number(l.lead_time_days)
+        lead_time_days: l.lead_time_days==null? null : Number(l.lead_time_days),
+        seller_id: l.seller_id,
+        location: l.location,
+        no_parcel: l.no_parcel === true
       });
       remain -= take;
     }
@@ -42,7 +87,7 @@ async function pickCheapestPlan(items){
         brand, code,
         qty: remain,
         unit_price_cents: 0,
-        currency: 'USD',
+        currency: fx.base,
         listing_id: null,
         is_alternative: false,
         lead_time_days: null,
@@ -50,13 +95,57 @@ async function pickCheapestPlan(items){
       });
     }
   }
-  // summarize
-  let subtotal = 0;
-  for (const a of assignments) subtotal += Number(a.unit_price_cents||0) * Number(a.qty||0);
-  const tax = Math.round(subtotal * 0.0); // tax stub (0%)
-  const shipping = 0;
-  const total = subtotal + tax + shipping;
-  return { assignments, totals: { subtotal_cents: subtotal, tax_cents: tax, shipping_cents: shipping, total_cents: total } };
+  // summarize: 세금/배송비는 pricing 규칙으로
+  const pricing = await priceOrder({ assignments, currency: fx.base, buyer, ship_to, fx });
+  return { currency: fx.base, assignments, excluded, totals: pricing.totals, shipping: pricing.shipping, tax: pricing.tax, freight_quote_required: pricing.freight_quote_required };
+}
+
+/**
+ * 클라이언트가 보낸 계획의 배정을 listing 기준으로 다시 값 매긴다(트랜잭션 안, listing 잠금).
+ * 단가/품번/통화는 클라이언트 값을 쓰지 않고 listing 의 구간 단가 → 기준 통화로 환산한다.
+ * listing 이 없으면 거절, listing 없는 backorder 줄은 단가 0 으로만 받는다.
+ */
+async function repriceAssignments(client, assignments, fx) {
+  const ids = [...new Set(assignments.filter((a) => a.listing_id).map((a) => String(a.listing_id)))];
+  const locked = new Map();
+  if (ids.length) {
+    const q = await client.query(`
+      SELECT l.id, l.brand, l.code, l.price_cents, l.currency, l.lead_time_days, l.price_breaks
+        FROM public.listings l
+       WHERE l.id::text = ANY($1::text[])
+       ORDER BY l.id
+         FOR UPDATE
+    `, [ids]);
+    for (const row of q.rows) locked.set(String(row.id), row);
+  }
+  const out = [];
+  for (const a of assignments) {
+    const qty = Number(a.qty);
+    if (!Number.isInteger(qty) || qty <= 0) throw new Error('invalid plan: qty must be a positive integer');
+    if (!a.listing_id) {
+      if (a.backorder !== true || !a.brand || !a.code) throw new Error('invalid plan: listing_id required');
+      out.push({ brand: a.brand, code: a.code, qty, unit_price_cents: 0, currency: fx.base, listing_id: null, is_alternative: false, lead_time_days: null, backorder: true });
+      continue;
+    }
+    const L = locked.get(String(a.listing_id));
+    if (!L) throw new Error(`listing not found: ${a.listing_id}`);
+    const tier = tierPrice(L.price_cents, readPriceBreaks(L.price_breaks), qty);
+    const conv = await fx.convertCents(tier.unit_price_cents, L.currency || 'USD');
+    out.push({
+      brand: L.brand, code: L.code,
+      qty,
+      unit_price_cents: conv.cents,
+      currency: fx.base,
+      original_unit_price_cents: Number(tier.unit_price_cents || 0),
+      original_currency: String(L.currency || 'USD').toUpperCase(),
+      price_tier_min_qty: tier.min_qty,
+      fx: conv.fx,
+      listing_id: L.id,
+      is_alternative: !!a.is_alternative,
+      lead_time_days: L.lead_time_days == null ? null : Number(L.lead_time_days),
+    });
+  }
+  return out;
 }
 
 function ensureBuyer(req, res, next){
@@ -70,7 +159,11 @@ app.post('/api/checkout/preview', ensureBuyer, async (req, res) => {
   try {
     const items = Array.isArray(req.body?.items) ? req.body.items : [];
     if (!items.length) return res.status(400).json({ error: 'items[] required' });
-    const plan = await pickCheapestPlan(items);
+    const plan = await pickCheapestPlan(items, {
+      base_currency: req.body?.base_currency || 'USD',
+      buyer: res.locals.__actor || null,
+      ship_to: req.body?.ship_to || {},
+    });
     res.json({ ok: true, plan });
   } catch (e) {
     console.error(e);
@@ -78,7 +171,26 @@ app.post('/api/checkout/preview', ensureBuyer, async (req, res) => {
   }
 });
 
-app.post('/api/checkout/create', ensureBuyer, async (req, res) => {
+// 미리보기와 같은 계획으로 견적서 PDF 를 만들어 파일 저장소에 올린다 (body: preview 와 같음 + notes?)
+app.post('/api/checkout/quote', ensureBuyer, async (req, res) => {
+  try {
+    const items = Array.isArray(req.body?.items) ? req.body.items : [];
+    if (!items.length) return res.status(400).json({ error: 'items[] required' });
+    const buyer = res.locals.__actor || null;
+    const plan = await pickCheapestPlan(items, {
+      base_currency: req.body?.base_currency || 'USD',
+      buyer,
+      ship_to: req.body?.ship_to || {},
+    });
+    const out = await issueDocument(await quoteFromPlan(plan, buyer, { notes: req.body?.notes || null }), buyer);
+    res.json({ ok: true, plan, ...out });
+  } catch (e) {
+    console.error(e);
+    res.status(400).json({ error: String(e.message || e) });
+  }
+});
+
+app.post('/api/checkout/create', ensureBuyer, idempotent, async (req, res) => {
   const client = await db.pool.connect();
   try {
     const items = Array.isArray(req.body?.items) ? req.body.items : [];
@@ -86,15 +198,29 @@ app.post('/api/checkout/create', ensureBuyer, async (req, res) => {
     const buyer = res.locals.__actor || {};
     const tenant_id = buyer.tenantId || null;
     const buyer_id = buyer.id || null;
-    const plan = req.body?.plan || await pickCheapestPlan(items);
-    const totals = plan.totals;
+    const ship_to = req.body?.ship_to || {};
+    let plan = req.body?.plan;
+    await ensureOrderLifecycle();
+    await ensurePriceBreaks();
     await client.query('BEGIN');
+    if (plan) {
+      // 클라이언트가 보낸 계획: 단가는 잠근 listing 으로, 세금/배송비는 서버 규칙으로 다시 계산
+      const fx = createFxConverter(client, plan.currency || 'USD');
+      const assignments = await repriceAssignments(client, Array.isArray(plan.assignments) ? plan.assignments : [], fx);
+      if (!assignments.length) throw new Error('invalid plan: assignments[] required');
+      const pricing = await priceOrder({ assignments, currency: fx.base, buyer, ship_to, fx });
+      plan = { currency: fx.base, assignments, totals: pricing.totals, shipping: pricing.shipping, tax: pricing.tax, freight_quote_required: pricing.freight_quote_required };
+    } else {
+      plan = await pickCheapestPlan(items, { base_currency: req.body?.base_currency || 'USD', buyer, ship_to });
+    }
+    const totals = plan.totals;
     // order
     const ord = await client.query(`
-      INSERT INTO public.orders (order_no, tenant_id, buyer_id, currency, status, subtotal_cents, tax_cents, shipping_cents, total_cents, notes)
-      VALUES ('O'||nextval('seq_order_no')::text, $1,$2,$3,'awaiting_payment',$4,$5,$6,$7,$8)
+      INSERT INTO public.orders (order_no, tenant_id, buyer_id, currency, status, subtotal_cents, tax_cents, shipping_cents, total_cents, notes, pricing)
+      VALUES ('O'||nextval('seq_order_no')::text, $1,$2,$3,'awaiting_payment',$4,$5,$6,$7,$8,$9::jsonb)
       RETURNING *;
-    `, [tenant_id, buyer_id, 'USD', totals.subtotal_cents, totals.tax_cents, totals.shipping_cents, totals.total_cents, req.body?.notes || null]);
+    `, [tenant_id, buyer_id, plan.currency || 'USD', totals.subtotal_cents, totals.tax_cents, totals.shipping_cents, totals.total_cents, req.body?.notes || null,
+        JSON.stringify({ ship_to, shipping: plan.shipping || [], tax: plan.tax || null, freight_quote_required: !!plan.freight_quote_required, fx: summarizeFx(plan.assignments.map((a) => a.fx)) })]);
     const order = ord.rows[0];
     for (const a of plan.assignments) {
       await client.query(`
@@ -103,6 +229,10 @@ app.post('/api/checkout/create', ensureBuyer, async (req, res) => {
         VALUES ($1,$2,$3,lower($2),lower($3),$4,$5,$6,$7,$8,$9)
       `, [order.id, a.brand, a.code, a.qty, a.unit_price_cents, a.currency || 'USD', a.listing_id, !!a.is_alternative, a.lead_time_days]);
     }
+    // 판매자별 하위 주문 (판매자는 자기 몫만 보고 처리한다)
+    const seller_orders = await splitIntoSellerOrders(client, order, { shipping: plan.shipping || [], tax: plan.tax || null });
+    // 결제 전까지 재고 홀드 (부족하면 주문 전체 롤백)
+    const reservation = await reserveOrder(client, order);
     const inv = await client.query(`
       INSERT INTO public.invoices (order_id, invoice_no, status, currency, amount_cents)
       VALUES ($1, 'I'||nextval('seq_invoice_no')::text, 'unpaid', $2, $3)
@@ -110,7 +240,7 @@ app.post('/api/checkout/create', ensureBuyer, async (req, res) => {
     `, [order.id, order.currency || 'USD', order.total_cents]);
     const invoice = inv.rows[0];
     await client.query('COMMIT');
-    res.json({ ok: true, order, invoice });
+    res.json({ ok: true, order, seller_orders, invoice, reserved_until: reservation.expires_at });
   } catch (e) {
     try { await client.query('ROLLBACK'); } catch {}
     console.error(e);
@@ -0,0 +1,83 @@
+const express = require('express');
+const cors = require('cors');
+const bodyParser = require('body-parser');
+const { parseActor } = require('./src/utils/auth');
+const {
+  getBusinessProfile, upsertBusinessProfile, quoteFromBid, invoiceDocument, issueDocument, listDocuments,
+} = require('./src/orders/documents');
+
+const app = express();
+app.use(cors());
+app.use(bodyParser.json({ limit: '1mb' }));
+
+function errorStatus(msg) {
+  if (/not found/.test(msg)) return 404;
+  if (/^forbidden/.test(msg)) return 403;
+  if (/invalid request/.test(msg)) return 409;
+  return 400;
+}
+
+function fail(res, e) {
+  console.error(e);
+  const msg = String(e.message || e);
+  res.status(errorStatus(msg)).json({ ok: false, error: msg });
+}
+
+function requireActor(req, res) {
+  const actor = parseActor(req);
+  if (!actor?.id) { res.status(401).json({ ok: false, error: 'auth required' }); return null; }
+  return actor;
+}
+
+/* ---------------- 사업자 정보 (견적서/청구서에 찍힌다) ---------------- */
+
+// ?party_id= (기본: 본인 id, 판매자는 판매자 키, 관리자는 'platform' 포함 아무나)
+app.get('/api/business-profile', async (req, res) => {
+  try {
+    const actor = requireActor(req, res);
+    if (!actor) return;
+    res.json({ ok: true, profile: await getBusinessProfile(req.query.party_id ? String(req.query.party_id) : null, actor, { req }) });
+  } catch (e) { fail(res, e); }
+});
+
+// body: { party_id?, company_name?, business_no?, representative?, address?, business_type?, business_item?, contact_name?, phone?, email? }
+app.put('/api/business-profile', async (req, res) => {
+  try {
+    const actor = requireActor(req, res);
+    if (!actor) return;
+    const b = req.body || {};
+    res.json({ ok: true, profile: await upsertBusinessProfile(b.party_id ? String(b.party_id) : null, b, actor, { req }) });
+  } catch (e) { fail(res, e); }
+});
+
+/* ---------------- 견적서 / 청구서 PDF ---------------- */
+
+// 체크아웃 미리보기 견적서는 POST /api/checkout/quote
+app.post('/api/documents/quotes/plan-bids/:id', async (req, res) => {
+  try {
+    const actor = requireActor(req, res);
+    if (!actor) return;
+    const model = await quoteFromBid((req.params.id || '').toString(), actor, { req, notes: req.body?.notes || null });
+    res.json({ ok: true, ...(await issueDocument(model, actor)) });
+  } catch (e) { fail(res, e); }
+});
+
+app.post('/api/documents/invoices/:id', async (req, res) => {
+  try {
+    const actor = requireActor(req, res);
+    if (!actor) return;
+    const model = await invoiceDocument((req.params.id || '').toString(), actor, { req, notes: req.body?.notes || null });
+    res.json({ ok: true, ...(await issueDocument(model, actor)) });
+  } catch (e) { fail(res, e); }
+});
+
+// 내가 받거나 만든 문서 목록 (?kind=quote|invoice)
+app.get('/api/documents', async (req, res) => {
+  try {
+    const actor = requireActor(req, res);
+    if (!actor) return;
+    res.json({ ok: true, items: await listDocuments(actor, { kind: req.query.kind ? String(req.query.kind) : null, limit: req.query.limit }) });
+  } catch (e) { fail(res, e); }
+});
+
+module.exports = app;
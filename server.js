@@ -426,7 +426,11 @@ workerRouter.post('/ingest', rawIngestParser, async (req, res) => {
 });
 app.use('/api/worker', workerRouter);
 
-app.use(bodyParser.json({ limit: '25mb' }));
+// 결제 webhook 서명 검증은 원문 바이트가 필요하다
+app.use(bodyParser.json({
+  limit: '25mb',
+  verify: (req, _res, buf) => { if (req.url.startsWith('/api/payments/webhook')) req.rawBody = Buffer.from(buf); },
+}));
 app.use(bodyParser.urlencoded({ extended: true }));
 app.disable('x-powered-by');
 
@@ -553,6 +557,11 @@ try {
 /* ---------------- Mount modular routers (after global middleware) ---------------- */
 try { app.use(require('./server.optimize')); console.log('[BOOT] mounted /api/optimize/*'); } catch {}
 try { app.use(require('./server.checkout')); console.log('[BOOT] mounted /api/checkout/*'); } catch {}
+try { app.use(require('./server.orders'));   console.log('[BOOT] mounted /api/orders/*'); } catch {}
+try { app.use(require('./server.payments')); console.log('[BOOT] mounted /api/payments/*'); } catch {}
+try { app.use(require('./server.settlement')); console.log('[BOOT] mounted /api/settlement/*'); } catch {}
+try { app.use(require('./server.rma'));      console.log('[BOOT] mounted /api/rma/*'); } catch {}
+try { app.use(require('./server.documents')); console.log('[BOOT] mounted /api/documents/*'); } catch {}
 try { app.use(require('./server.bom'));      console.log('[BOOT] mounted /api/bom/*'); } catch {}
 try { app.use(require('./server.plan'));     console.log('[BOOT] mounted /api/purchase-plans/*'); } catch {}
 try { app.use(require('./server.notify'));   console.log('[BOOT] mounted /api/notify/*'); } catch {}
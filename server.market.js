@@ -6,12 +6,17 @@ const express = require('express');
 const cors = require('cors');
 const bodyParser = require('body-parser');
 const multer = require('multer');
-const XLSX = require('xlsx');
 const { Storage } = require('@google-cloud/storage');
 const { getPool } = require('./db');
 const { parseActor, getSellerKeySet } = require('./src/utils/auth');
 const { requireSeller } = require('./auth.middleware');
 const { fetchFx, toKrwCentsRounded10 } = require('./src/lib/fx');
+const { ensureOrderLifecycle } = require('./src/orders/lifecycle');
+const { splitIntoSellerOrders } = require('./src/orders/suborders');
+const { heldByListing } = require('./src/orders/reservations');
+const { idempotent } = require('./src/utils/idempotency');
+const { ensurePriceBreaks, parsePriceBreaks, readPriceBreaks, tierPrice, withKrw } = require('./src/lib/priceBreaks');
+const { HEADER_PATTERNS, readSheetRows, normalizeHeader, headerIndex } = require('./src/utils/sheet-columns');
 
 const app = express();
 app.use(cors());
@@ -145,6 +150,7 @@ const mapListingRow = (row = {}) => ({
   unit_price_fx_rate: row.unit_price_fx_rate ?? null,
   unit_price_fx_yyyymm: row.unit_price_fx_yyyymm ?? null,
   unit_price_fx_src: row.unit_price_fx_src ?? null,
+  price_breaks: Array.isArray(row.price_breaks) ? row.price_breaks : [],
   currency: row.currency,
   lead_time_days: row.lead_time_days ?? 0,
   status: row.status,
@@ -358,6 +364,11 @@ const fxHelper =
     ? async (client, currency, unitPriceCents) => enrichKRWDaily(client ?? pool, currency, unitPriceCents)
     : async () => ({ krw_cents: null, rate: null, yyyymm: null, src: null });
 
+// 구간 단가 입력 → 구간마다 원화 환산까지 붙인 저장 값 (enrichKRWDaily 와 같은 규칙)
+async function priceBreaksWithKrw(client, tiers, currency) {
+  return withKrw(tiers, String(currency || 'USD').toUpperCase(), (curr, cents) => fxHelper(client, curr, cents));
+}
+
 const LISTING_STATUS = new Set(['pending', 'active', 'soldout', 'archived', 'inactive']);
 const BID_STATUS = new Set(['offered', 'accepted', 'rejected', 'withdrawn', 'active']);
 
@@ -618,7 +629,8 @@ app.get('/api/listings', async (req, res) => {
     if (brand) { args.push(brand); where.push(`brand_norm = lower($${args.length})`); }
     if (code)  { args.push(code);  where.push(`code_norm  = lower($${args.length})`); }
     if (status) { args.push(status); where.push(`status = $${args.length}`); }
-    const sql = `SELECT id, seller_id, brand, code, qty_available, unit_price_cents, unit_price_krw_cents, unit_price_fx_rate, unit_price_fx_yyyymm, unit_price_fx_src, currency, lead_time_days, moq, mpq, mpq_required_order, location, condition, packaging, note,
+    await ensurePriceBreaks();
+    const sql = `SELECT id, seller_id, brand, code, qty_available, unit_price_cents, unit_price_krw_cents, unit_price_fx_rate, unit_price_fx_yyyymm, unit_price_fx_src, price_breaks, currency, lead_time_days, moq, mpq, mpq_required_order, location, condition, packaging, note,
                        incoming_schedule1, incoming_qty1, incoming_schedule2, incoming_qty2,
                        no_parcel, image_url, datasheet_url, status, part_type, mfg_year, is_over_2yrs, created_at, updated_at
                  FROM public.listings
@@ -626,23 +638,33 @@ app.get('/api/listings', async (req, res) => {
                  ORDER BY created_at DESC
                  LIMIT 200`;
     const r = await query(sql, args);
-    const items = r.rows.map((row) => ({
-      ...row,
-      quantity_available: row.qty_available,
-      unit_price: (row.unit_price_cents ?? 0) / 100,
-      unit_price_krw: row.unit_price_krw_cents != null ? row.unit_price_krw_cents / 100 : null,
-      noParcel: row.no_parcel === true,
-      incoming_schedule1: row.incoming_schedule1 ?? null,
-      incoming_qty1: row.incoming_qty1 ?? null,
-      incoming_schedule2: row.incoming_schedule2 ?? null,
-      incoming_qty2: row.incoming_qty2 ?? null,
-    }));
+    // 결제 대기 주문이 잡아 둔 수량은 가용 재고에서 뺀다 (qty_on_hand 는 실제 보유량)
+    const held = await heldByListing(r.rows.map((row) => row.id));
+    const items = r.rows.map((row) => {
+      const qtyHeld = held.get(String(row.id)) || 0;
+      const available = Math.max(0, Number(row.qty_available || 0) - qtyHeld);
+      return {
+        ...row,
+        qty_on_hand: row.qty_available,
+        qty_held: qtyHeld,
+        qty_available: available,
+        quantity_available: available,
+        unit_price: (row.unit_price_cents ?? 0) / 100,
+        unit_price_krw: row.unit_price_krw_cents != null ? row.unit_price_krw_cents / 100 : null,
+        price_breaks: Array.isArray(row.price_breaks) ? row.price_breaks : [],
+        noParcel: row.no_parcel === true,
+        incoming_schedule1: row.incoming_schedule1 ?? null,
+        incoming_qty1: row.incoming_qty1 ?? null,
+        incoming_schedule2: row.incoming_schedule2 ?? null,
+        incoming_qty2: row.incoming_qty2 ?? null,
+      };
+    });
     res.json({ ok: true, items });
   } catch (e) { console.error(e); res.status(400).json({ ok:false, error:String(e.message || e) }); }
 });
 
 // POST /api/listings (seller 전용)
-app.post('/api/listings', async (req, res) => {
+app.post('/api/listings', idempotent, async (req, res) => {
   try {
     const actor = parseActor(req);
     if (!actor?.id) {
@@ -651,6 +673,14 @@ app.post('/api/listings', async (req, res) => {
 
     const tenantId = actor?.tenantId ?? actor?.tenant_id ?? null;
     const b = req.body || {};
+    let priceBreaks;
+    try {
+      priceBreaks = parsePriceBreaks(b.price_breaks ?? b.priceBreaks);
+    } catch (err) {
+      return res.status(400).json({ ok: false, error: 'invalid_price_breaks', detail: err.message });
+    }
+    await ensurePriceBreaks();
+    priceBreaks = await priceBreaksWithKrw(null, priceBreaks, b.currency);
     const sql = `
       INSERT INTO public.listings
         (tenant_id, seller_id, brand, code,
@@ -659,7 +689,7 @@ app.post('/api/listings', async (req, res) => {
          location, condition, packaging, note, status,
          no_parcel, image_url, incoming_schedule1, incoming_qty1,
          incoming_schedule2, incoming_qty2, datasheet_url,
-         part_type, mfg_year, is_over_2yrs)
+         part_type, mfg_year, is_over_2yrs, price_breaks)
       VALUES
         ($1,$2,$3,$4,
          $5,$6,$7,$8,
@@ -667,7 +697,7 @@ app.post('/api/listings', async (req, res) => {
          $12,$13,$14,$15, COALESCE($16,'pending'),
          $17,$18,$19,$20,
          $21,$22,$23,
-         $24,$25,$26)
+         $24,$25,$26,$27::jsonb)
       RETURNING id`;
     const vals = [
       tenantId,
@@ -696,6 +726,7 @@ app.post('/api/listings', async (req, res) => {
       U(b.part_type),
       U(b.mfg_year),
       yn(b.is_over_2yrs),
+      priceBreaks.length ? JSON.stringify(priceBreaks) : null,
     ];
     const r = await query(sql, vals);
     return res.json({ ok: true, id: r.rows[0]?.id });
@@ -719,8 +750,9 @@ app.get('/api/listings/:id', async (req, res) => {
     if (!sellerId) {
       return res.status(404).json({ ok: false, error: 'not_found' });
     }
+    await ensurePriceBreaks();
     const r = await query(
-      `SELECT id, tenant_id, seller_id, brand, code, qty_available, moq, mpq, mpq_required_order, unit_price_cents, currency, lead_time_days,
+      `SELECT id, tenant_id, seller_id, brand, code, qty_available, moq, mpq, mpq_required_order, unit_price_cents, price_breaks, currency, lead_time_days,
               location, condition, packaging, note,
               incoming_schedule1, incoming_qty1, incoming_schedule2, incoming_qty2,
               no_parcel, image_url, datasheet_url, status, part_type, mfg_year, is_over_2yrs, created_at, updated_at
@@ -806,6 +838,19 @@ app.patch('/api/listings/:id', requireSeller, async (req, res) => {
       shouldRecomputeFx = true;
     }
 
+    // 구간 단가: 통째로 교체 (null / [] 이면 삭제). 원화 환산은 아래에서 최종 통화로 다시 계산
+    const hasPriceBreaks = has('price_breaks') || has('priceBreaks');
+    if (hasPriceBreaks) {
+      let tiers;
+      try {
+        tiers = parsePriceBreaks(has('price_breaks') ? body.price_breaks : body.priceBreaks);
+      } catch (err) {
+        return res.status(400).json({ ok: false, error: 'invalid_price_breaks', detail: err.message });
+      }
+      sets.push(`price_breaks = $${params.length + 1}::jsonb`);
+      params.push(tiers.length ? JSON.stringify(tiers) : null);
+    }
+
     if (has('currency')) {
       const currencyRaw = body.currency != null ? String(body.currency).trim() : null;
       const normalizedCurrency = currencyRaw ? currencyRaw.toUpperCase() : currencyRaw;
@@ -934,6 +979,7 @@ app.patch('/api/listings/:id', requireSeller, async (req, res) => {
 
     sets.push('updated_at = now()');
 
+    await ensurePriceBreaks();
     client = await pool.connect();
     await client.query('BEGIN');
     inTransaction = true;
@@ -944,7 +990,7 @@ app.patch('/api/listings/:id', requireSeller, async (req, res) => {
     params.push(sellerId);
 
     const sql = `UPDATE public.listings SET ${sets.join(', ')} WHERE id = $${idParamIdx} AND seller_id = $${sellerParamIdx}
-      RETURNING id, tenant_id, seller_id, unit_price_cents, currency`;
+      RETURNING id, tenant_id, seller_id, unit_price_cents, currency, price_breaks`;
     const r = await client.query(sql, params);
     if (!r.rows.length) {
       await client.query('ROLLBACK');
@@ -966,12 +1012,20 @@ app.patch('/api/listings/:id', requireSeller, async (req, res) => {
       );
     }
 
+    const tiers = readPriceBreaks(r.rows[0]?.price_breaks);
+    if (tiers.length && (hasPriceBreaks || shouldRecomputeFx)) {
+      await client.query(
+        `UPDATE public.listings SET price_breaks = $1::jsonb WHERE id = $2 AND seller_id = $3`,
+        [JSON.stringify(await priceBreaksWithKrw(client, tiers, r.rows[0].currency)), id, sellerId]
+      );
+    }
+
     await client.query('COMMIT');
     inTransaction = false;
 
     const out = await query(
       `SELECT id, seller_id, brand, code, qty_available, moq, mpq, mpq_required_order,
-              unit_price_cents, unit_price_krw_cents, unit_price_fx_rate, unit_price_fx_yyyymm, unit_price_fx_src,
+              unit_price_cents, unit_price_krw_cents, unit_price_fx_rate, unit_price_fx_yyyymm, unit_price_fx_src, price_breaks,
               currency, lead_time_days, location, condition, packaging, note,
               incoming_schedule1, incoming_qty1, incoming_schedule2, incoming_qty2,
               no_parcel, image_url, datasheet_url, status,
@@ -1031,7 +1085,7 @@ app.delete('/api/listings/:id', requireSeller, async (req, res) => {
 });
 
 // POST /api/listings/:id/purchase  → 주문 생성(간이)
-app.post('/api/listings/:id/purchase', async (req, res) => {
+app.post('/api/listings/:id/purchase', idempotent, async (req, res) => {
   const client = await pool.connect();
   try {
     const actor = parseActor(req);
@@ -1040,25 +1094,30 @@ app.post('/api/listings/:id/purchase', async (req, res) => {
     const qty = Number(req.body?.qty || 0);
     if (!id || qty <= 0) return res.status(400).json({ error: 'id & qty required' });
 
+    await ensureOrderLifecycle();
     await client.query('BEGIN');
     const L = (await client.query(`SELECT * FROM public.listings WHERE id=$1 FOR UPDATE`, [id])).rows[0];
     if (!L) throw new Error('listing not found');
     if (L.status !== 'active') throw new Error('listing not active');
-    if (Number(L.qty_available) < qty) throw new Error('insufficient qty');
+    const held = (await heldByListing([L.id], client)).get(String(L.id)) || 0;
+    if (Number(L.qty_available) - held < qty) throw new Error('insufficient qty');
 
-    const subtotal = qty * Number(L.unit_price_cents);
+    // 수량 구간 단가 (구매 수량 전체에 적용)
+    const unitPrice = Number(tierPrice(L.unit_price_cents, readPriceBreaks(L.price_breaks), qty).unit_price_cents);
+    const subtotal = qty * unitPrice;
     const ord = await client.query(`
-      INSERT INTO public.orders (order_no, tenant_id, buyer_id, status, currency, subtotal_cents, tax_cents, shipping_cents, total_cents, notes)
-      VALUES ('O'||nextval('seq_order_no')::text, $1,$2,'awaiting_payment',$3,$4,0,0,$4,$5)
+      INSERT INTO public.orders (order_no, tenant_id, buyer_id, status, currency, subtotal_cents, tax_cents, shipping_cents, total_cents, notes, stock_column)
+      VALUES ('O'||nextval('seq_order_no')::text, $1,$2,'awaiting_payment',$3,$4,0,0,$4,$5,'qty_available')
       RETURNING *`, [L.tenant_id || null, actor.id || null, L.currency || 'USD', subtotal, req.body?.notes || null]);
     const O = ord.rows[0];
     await client.query(`
       INSERT INTO public.order_items (order_id, brand, code, qty, unit_price_cents, currency, listing_id)
-      VALUES ($1,$2,$3,$4,$5,$6,$7)`, [O.id, L.brand, L.code, qty, L.unit_price_cents, L.currency || 'USD', L.id]);
+      VALUES ($1,$2,$3,$4,$5,$6,$7)`, [O.id, L.brand, L.code, qty, unitPrice, L.currency || 'USD', L.id]);
+    const seller_orders = await splitIntoSellerOrders(client, O);
     const remain = Number(L.qty_available) - qty;
     await client.query(`UPDATE public.listings SET qty_available=$2, status=CASE WHEN $2=0 THEN 'soldout' ELSE status END, updated_at=now() WHERE id=$1`, [L.id, remain]);
     await client.query('COMMIT');
-    res.json({ ok: true, order: O, remaining: remain });
+    res.json({ ok: true, order: O, seller_orders, remaining: remain });
   } catch (e) {
     try { await client.query('ROLLBACK'); } catch {}
     console.error(e); res.status(400).json({ ok:false, error:String(e.message || e) });
@@ -1094,7 +1153,7 @@ app.get('/api/purchase-requests', async (req, res) => {
   }
 });
 
-app.post('/api/purchase-requests', async (req, res) => {
+app.post('/api/purchase-requests', idempotent, async (req, res) => {
   try {
     const actor = parseActor(req);
     const t = getTenant(req);
@@ -1113,7 +1172,7 @@ app.post('/api/purchase-requests', async (req, res) => {
 });
 
 // Confirm a bid; reduce outstanding qty in PR
-app.post('/api/purchase-requests/:id/confirm', async (req, res) => {
+app.post('/api/purchase-requests/:id/confirm', idempotent, async (req, res) => {
   const client = await pool.connect();
   try {
     const prId = (req.params.id || '').toString();
@@ -1222,7 +1281,7 @@ app.get('/api/fx/latest/:currency', async (req, res) => {
   }
 });
 
-app.post('/api/bid/submit', async (req, res) => {
+app.post('/api/bid/submit', idempotent, async (req, res) => {
   try {
     const sellerKeySet = getSellerKeySet(req);
     if (!sellerKeySet.length) return res.status(401).json({ ok: false, error: 'auth required' });
@@ -1511,7 +1570,7 @@ app.get('/api/seller/docs-requests', async (_req, res) => {
 });
 
 // POST /api/bids (seller 전용)
-app.post('/api/bids', async (req, res) => {
+app.post('/api/bids', idempotent, async (req, res) => {
   try {
     const sellerKeySet = getSellerKeySet(req);
     if (!sellerKeySet.length) {
@@ -1591,9 +1650,10 @@ app.get('/api/seller/items', async (req, res) => {
     }
     args.push(limit);
 
+    await ensurePriceBreaks();
     const sql = `SELECT id, seller_id, brand, code, qty_available, unit_price_cents,
                         unit_price_krw_cents, unit_price_fx_rate, unit_price_fx_yyyymm,
-                        unit_price_fx_src, currency, lead_time_days, status, note,
+                        unit_price_fx_src, price_breaks, currency, lead_time_days, status, note,
                         incoming_schedule1, incoming_qty1, incoming_schedule2, incoming_qty2,
                         location, condition, packaging, no_parcel, image_url, datasheet_url, moq, mpq, mpq_required_order,
                         part_type, mfg_year, is_over_2yrs, created_at, updated_at
@@ -1621,24 +1681,25 @@ app.post('/api/import/seller-items', upload.single('file'), async (req, res) =>
     const auto = String(req.body?.mode || 'auto').toLowerCase() === 'auto';
     if (!buf) return res.status(400).json({ ok: false, error: 'file_required' });
 
-    const wb = XLSX.read(buf, { type: 'buffer' });
-    const ws = wb.Sheets[wb.SheetNames[0]];
-    const rows = XLSX.utils.sheet_to_json(ws, { header: 1, defval: '' });
+    const rows = readSheetRows(buf);
 
     if (!rows.length) {
       return res.json({ ok: true, items: [] });
     }
 
-    const header = (rows[0] || []).map((h) => String(h).trim().toLowerCase());
-    const idx = (patterns) =>
-      header.findIndex((h) => patterns.some((p) => new RegExp(p, 'i').test(h)));
+    const header = normalizeHeader(rows[0]);
+    const idx = (patterns) => headerIndex(header, patterns);
+    // "Price Breaks" / "구간 단가" 컬럼이 단가 컬럼으로 잡히지 않도록 먼저 찾아서 뺀다
+    const priceBreaksIdx = idx(['price\\s*breaks?', 'price\\s*tiers?', '구간\\s*단가', '구간가']);
+    const priceIdx = header.findIndex((h, i) => i !== priceBreaksIdx && ['unit', '단가', 'price'].some((p) => new RegExp(p, 'i').test(h)));
 
     const map = {
-      brand: idx(['brand', '제조사']),
-      code: idx(['part', 'parts?\\s*no', '제품명', '부품번호', 'code']),
-      price: idx(['unit', '단가', 'price']),
+      brand: idx(HEADER_PATTERNS.brand),
+      code: idx(HEADER_PATTERNS.code),
+      price: priceIdx,
+      price_breaks: priceBreaksIdx,
       currency: idx(['currency', '통화']),
-      qty: idx(['qty', '수량', '가용']),
+      qty: idx(HEADER_PATTERNS.qty),
       moq: idx(['moq']),
       mpq: idx(['mpq']),
       lead: idx(['lead', '리드', '납기', 'days']),
@@ -1646,7 +1707,7 @@ app.post('/api/import/seller-items', upload.single('file'), async (req, res) =>
       location: idx(['location', '위치']),
       condition: idx(['condition', '컨디션', '상태\s*\(품질\)?']),
       packaging: idx(['packaging', '포장']),
-      note: idx(['note', '비고']),
+      note: idx(HEADER_PATTERNS.note),
       offer_qty: idx(['offer', '견적\\s*수량']),
       is_alt: idx(['substitute', '대체']),
       valid_until: idx(['valid', '유효']),
@@ -1656,6 +1717,7 @@ app.post('/api/import/seller-items', upload.single('file'), async (req, res) =>
     };
 
     const items = [];
+    const priceBreakErrors = [];
     for (let r = 1; r < rows.length; r++) {
       const row = rows[r] || [];
       const brand = map.brand >= 0 ? row[map.brand] : row[0];
@@ -1722,6 +1784,15 @@ app.post('/api/import/seller-items', upload.single('file'), async (req, res) =>
           image_url: imageUrl || null,
         });
       } else {
+        // 구간 단가 셀: "100:1.20; 500:1.05"
+        let priceBreaks = [];
+        if (map.price_breaks >= 0) {
+          try {
+            priceBreaks = parsePriceBreaks(String(row[map.price_breaks] ?? ''));
+          } catch (err) {
+            priceBreakErrors.push({ row: r + 1, error: err.message });
+          }
+        }
         items.push({
           ...base,
           qty_available:
@@ -1729,12 +1800,16 @@ app.post('/api/import/seller-items', upload.single('file'), async (req, res) =>
               ? Number(String(row[map.qty]).replace(/[^\d]/g, '')) || 0
               : 0,
           no_parcel: /^y(es)?$/i.test(noParcelYN),
+          price_breaks: priceBreaks,
         });
       }
     }
 
     if (!auto || !items.length) {
-      return res.json({ ok: true, items });
+      return res.json({ ok: true, items, ...(priceBreakErrors.length ? { price_break_errors: priceBreakErrors } : {}) });
+    }
+    if (priceBreakErrors.length) {
+      return res.status(400).json({ ok: false, error: 'invalid_price_breaks', rows: priceBreakErrors });
     }
 
     const sellerKeySet = getSellerKeySet(req);
@@ -1745,21 +1820,25 @@ app.post('/api/import/seller-items', upload.single('file'), async (req, res) =>
     const actor = parseActor(req) || {};
     const tenantId = actor?.tenantId ?? actor?.tenant_id ?? null;
 
+    if (kind === 'stock') await ensurePriceBreaks();
     const client = await pool.connect();
     try {
       await client.query('BEGIN');
       for (const it of items) {
         if (kind === 'stock') {
+          const priceBreaks = await priceBreaksWithKrw(client, it.price_breaks, it.currency);
           await client.query(
             `INSERT INTO public.listings
              (tenant_id, seller_id, brand, code, qty_available, moq, mpq, mpq_required_order,
               unit_price_cents, unit_price_krw_cents, unit_price_fx_rate, unit_price_fx_yyyymm, unit_price_fx_src,
               currency, lead_time_days, location, condition, packaging, note, status,
-              no_parcel, image_url, incoming_schedule1, incoming_qty1, incoming_schedule2, incoming_qty2, datasheet_url)
+              no_parcel, image_url, incoming_schedule1, incoming_qty1, incoming_schedule2, incoming_qty2, datasheet_url,
+              price_breaks)
              VALUES ($1,$2,$3,$4,$5,$6,$7,$8,
                      $9,$10,$11,$12,$13,
                      upper($14),$15,$16,$17,$18,$19,COALESCE($20,'pending'),
-                     $21,$22,$23,$24,$25,$26,$27)` ,
+                     $21,$22,$23,$24,$25,$26,$27,
+                     $28::jsonb)` ,
             [
               tenantId,
               String(sellerId),
@@ -1788,6 +1867,7 @@ app.post('/api/import/seller-items', upload.single('file'), async (req, res) =>
               U(it.incoming_schedule2),
               U(it.incoming_qty2),
               U(it.datasheet_url),
+              priceBreaks.length ? JSON.stringify(priceBreaks) : null,
             ]
           );
         } else {
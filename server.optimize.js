@@ -3,6 +3,13 @@ const cors = require('cors');
 const bodyParser = require('body-parser');
 const { optimize, optimizeLine } = (()=>{ try { return require('./src/opt/optimizer'); } catch { return { optimize: async(b)=>b, optimizeLine: async(b)=>b }; } })();
 const { ilpOptimize, ilpOptimizeLine } = (()=>{ try { return require('./src/opt/ilp'); } catch { return { ilpOptimize: async(b)=>b, ilpOptimizeLine: async(b)=>b }; } })();
+const { basketOptimize } = (()=>{ try { return require('./src/opt/basket'); } catch { return { basketOptimize: async(b)=>b }; } })();
+const { paretoScenarios } = (()=>{ try { return require('./src/opt/scenarios'); } catch { return { paretoScenarios: async(b)=>b }; } })();
+
+const { parseActor, hasRole } = require('./src/utils/auth');
+const { createOfferCache } = require('./src/opt/offers');
+const { offersSnapshot, savePlan, listPlans, getPlan, executePlan } = require('./src/opt/plans');
+const { idempotent } = require('./src/utils/idempotency');
 
 const app = express();
 app.use(cors());
@@ -13,8 +20,85 @@ app.post('/api/optimize/plan', async (req, res) => {
     const body = req.body || {};
     if (!Array.isArray(body.items) || !body.items.length) return res.status(400).json({ error: 'items[] required' });
     const solver = (body.solver || 'greedy').toString();
-    const out = solver === 'ilp' ? await ilpOptimize(body) : await optimize(body);
-    res.json({ solver, ...out });
+    const cache = createOfferCache();
+    // mode=basket: 라인 전체를 한 번에 (판매자 고정비/최대 판매자 수 반영)
+    const out = body.mode === 'basket' ? await basketOptimize({ ...body, solver, cache })
+      : solver === 'ilp' ? await ilpOptimize({ ...body, cache }) : await optimize({ ...body, cache });
+
+    // 로그인한 구매자의 계획은 입력/오퍼 스냅샷과 함께 저장 (save:false 로 끌 수 있음)
+    const actor = parseActor(req);
+    let saved = null;
+    if (actor?.id && body.save !== false) {
+      const opts = { allow_alternatives: body.allow_alternatives !== false, k_alternatives: body.k_alternatives ?? 6, use_bids: body.use_bids !== false };
+      saved = await savePlan({
+        tenant_id: actor.tenantId || null,
+        owner_id: actor.id,
+        solver,
+        mode: body.mode === 'basket' ? 'basket' : 'line',
+        input: body,
+        offers_snapshot: await offersSnapshot(body.items, opts, cache),
+        result: out,
+      });
+    }
+    res.json({ solver, plan_id: saved?.id || null, ...out });
+  } catch (e) {
+    console.error(e);
+    res.status(400).json({ error: String(e.message || e) });
+  }
+});
+
+app.get('/api/optimize/plans', async (req, res) => {
+  try {
+    const actor = parseActor(req);
+    if (!actor?.id) return res.status(401).json({ error: 'auth required' });
+    const items = await listPlans({ owner_id: actor.id, status: req.query.status ? String(req.query.status) : null, limit: req.query.limit });
+    res.json({ ok: true, items });
+  } catch (e) {
+    console.error(e);
+    res.status(400).json({ ok: false, error: String(e.message || e) });
+  }
+});
+
+app.get('/api/optimize/plans/:id', async (req, res) => {
+  try {
+    const actor = parseActor(req);
+    if (!actor?.id) return res.status(401).json({ error: 'auth required' });
+    const plan = await getPlan((req.params.id || '').toString(), actor.id);
+    if (!plan) return res.status(404).json({ ok: false, error: 'plan not found' });
+    res.json({ ok: true, plan });
+  } catch (e) {
+    console.error(e);
+    res.status(400).json({ ok: false, error: String(e.message || e) });
+  }
+});
+
+// 저장된 계획 → 주문(listing) + RFQ(잔량). body: { allow_partial?, notes? }
+app.post('/api/optimize/plans/:id/execute', idempotent, async (req, res) => {
+  try {
+    const actor = parseActor(req);
+    if (!actor?.id) return res.status(401).json({ error: 'auth required' });
+    if (!hasRole(actor, 'buyer', 'admin')) return res.status(403).json({ error: 'buyer role required' });
+    const out = await executePlan((req.params.id || '').toString(), actor, {
+      allow_partial: req.body?.allow_partial === true,
+      notes: req.body?.notes || null,
+      ship_to: req.body?.ship_to || null,
+    });
+    res.json({ ok: true, ...out });
+  } catch (e) {
+    console.error(e);
+    const msg = String(e.message || e);
+    const status = /not found/.test(msg) ? 404 : /already executed|insufficient stock/.test(msg) ? 409 : 400;
+    res.status(status).json({ ok: false, error: msg });
+  }
+});
+
+// 비용/리드타임/대체품 trade-off: 가중치·납기 제약을 바꿔 풀고 pareto 계획만 골라준다
+app.post('/api/optimize/scenarios', async (req, res) => {
+  try {
+    const body = req.body || {};
+    if (!Array.isArray(body.items) || !body.items.length) return res.status(400).json({ error: 'items[] required' });
+    const out = await paretoScenarios({ ...body, solver: (body.solver || 'greedy').toString() });
+    res.json(out);
   } catch (e) {
     console.error(e);
     res.status(400).json({ error: String(e.message || e) });
@@ -0,0 +1,270 @@
+const express = require('express');
+const cors = require('cors');
+const bodyParser = require('body-parser');
+const db = require('./db');
+const { parseActor, hasRole } = require('./src/utils/auth');
+const { transitionOrder, getOrder, listOrders } = require('./src/orders/lifecycle');
+const { markInvoicePaid } = require('./src/payments/fulfill');
+const { SELLER_ACTIONS, listSellerOrders, getSellerOrder, acknowledgeSellerOrder, transitionSellerOrder } = require('./src/orders/suborders');
+const { sweepExpired, startSweeper } = require('./src/orders/reservations');
+const { idempotent } = require('./src/utils/idempotency');
+const { createShipment, confirmDelivery, listShipments, getShipment, pollShipments, startPoller } = require('./src/orders/shipments');
+
+const app = express();
+app.use(cors());
+app.use(bodyParser.json({ limit: '1mb' }));
+
+// 엔드포인트 동사 → 목표 상태 (역할 검사는 lifecycle.TRANSITIONS 기준)
+const ACTIONS = {
+  allocate: 'allocated',
+  ship: 'shipped',
+  deliver: 'delivered',
+  close: 'closed',
+  cancel: 'cancelled',
+  refund: 'refunded',
+};
+
+function errorStatus(msg) {
+  if (/not found/.test(msg)) return 404;
+  if (/^forbidden/.test(msg)) return 403;
+  if (/invalid transition|invalid request|^order is /.test(msg)) return 409;
+  return 400;
+}
+
+function requireActor(req, res) {
+  const actor = parseActor(req);
+  if (!actor?.id) { res.status(401).json({ ok: false, error: 'auth required' }); return null; }
+  return actor;
+}
+
+function requireSellerActor(req, res) {
+  const actor = requireActor(req, res);
+  if (!actor) return null;
+  if (!hasRole(actor, 'seller', 'admin')) { res.status(403).json({ ok: false, error: 'seller role required' }); return null; }
+  return actor;
+}
+
+app.get('/api/orders', async (req, res) => {
+  try {
+    const actor = requireActor(req, res);
+    if (!actor) return;
+    const items = await listOrders(actor, { status: req.query.status ? String(req.query.status) : null, limit: req.query.limit });
+    res.json({ ok: true, items });
+  } catch (e) {
+    console.error(e);
+    res.status(400).json({ ok: false, error: String(e.message || e) });
+  }
+});
+
+app.get('/api/orders/:id', async (req, res) => {
+  try {
+    const actor = requireActor(req, res);
+    if (!actor) return;
+    const out = await getOrder((req.params.id || '').toString(), actor, { req });
+    res.json({ ok: true, ...out });
+  } catch (e) {
+    console.error(e);
+    const msg = String(e.message || e);
+    res.status(errorStatus(msg)).json({ ok: false, error: msg });
+  }
+});
+
+// 수동 결제 확인(무통장 입금 등): 미결 인보이스를 결제 처리 → markInvoicePaid 가 paid 로 전이
+app.post('/api/orders/:id/pay', idempotent, async (req, res) => {
+  try {
+    const actor = requireActor(req, res);
+    if (!actor) return;
+    if (!hasRole(actor, 'admin')) return res.status(403).json({ ok: false, error: 'admin role required' });
+    const id = (req.params.id || '').toString();
+    const inv = await db.query(`SELECT id FROM public.invoices WHERE order_id = $1 AND status <> 'paid' ORDER BY id LIMIT 1`, [id]);
+    if (!inv.rows.length) return res.status(404).json({ ok: false, error: 'unpaid invoice not found' });
+    const out = await markInvoicePaid(inv.rows[0].id, { payment_id: req.body?.payment_id || null });
+    res.json({ ok: true, invoice_id: inv.rows[0].id, ...out });
+  } catch (e) {
+    console.error(e);
+    const msg = String(e.message || e);
+    res.status(/insufficient stock/.test(msg) ? 409 : errorStatus(msg)).json({ ok: false, error: msg });
+  }
+});
+
+/* ---------------- 출고 ---------------- */
+
+// body: { carrier, tracking_no, items?: [{ order_item_id, qty }], shipped_at? } — items 생략 시 남은 수량 전부
+async function shipHandler(scope, req, res) {
+  try {
+    const actor = requireActor(req, res);
+    if (!actor) return;
+    const b = req.body || {};
+    const out = await createShipment(scope, {
+      carrier: b.carrier ? String(b.carrier) : null,
+      tracking_no: b.tracking_no ? String(b.tracking_no) : null,
+      items: Array.isArray(b.items) ? b.items : null,
+      shipped_at: b.shipped_at || null,
+    }, actor, { req });
+    res.json({ ok: true, ...out });
+  } catch (e) {
+    console.error(e);
+    const msg = String(e.message || e);
+    res.status(errorStatus(msg)).json({ ok: false, error: msg });
+  }
+}
+
+async function listShipmentsHandler(scope, req, res) {
+  try {
+    const actor = requireActor(req, res);
+    if (!actor) return;
+    res.json({ ok: true, items: await listShipments(scope, actor, { req }) });
+  } catch (e) {
+    console.error(e);
+    const msg = String(e.message || e);
+    res.status(errorStatus(msg)).json({ ok: false, error: msg });
+  }
+}
+
+// 판매자 하위 주문이 없는 주문(관리자/판매자)
+app.post('/api/orders/:id/shipments', idempotent, (req, res) => shipHandler({ order_id: (req.params.id || '').toString() }, req, res));
+app.get('/api/orders/:id/shipments', (req, res) => listShipmentsHandler({ order_id: (req.params.id || '').toString() }, req, res));
+
+app.get('/api/shipments/:id', async (req, res) => {
+  try {
+    const actor = requireActor(req, res);
+    if (!actor) return;
+    res.json({ ok: true, shipment: await getShipment((req.params.id || '').toString(), actor, { req }) });
+  } catch (e) {
+    console.error(e);
+    const msg = String(e.message || e);
+    res.status(errorStatus(msg)).json({ ok: false, error: msg });
+  }
+});
+
+// 구매자 수령 확인
+app.post('/api/shipments/:id/confirm-delivery', async (req, res) => {
+  try {
+    const actor = requireActor(req, res);
+    if (!actor) return;
+    const out = await confirmDelivery((req.params.id || '').toString(), actor, { req });
+    res.json({ ok: true, ...out });
+  } catch (e) {
+    console.error(e);
+    const msg = String(e.message || e);
+    res.status(errorStatus(msg)).json({ ok: false, error: msg });
+  }
+});
+
+// 택배사 상태 폴링(스케줄러용)
+app.post('/api/shipments/poll', async (req, res) => {
+  try {
+    const actor = requireActor(req, res);
+    if (!actor) return;
+    if (!hasRole(actor, 'admin')) return res.status(403).json({ ok: false, error: 'admin role required' });
+    res.json({ ok: true, ...(await pollShipments({ limit: req.body?.limit })) });
+  } catch (e) {
+    console.error(e);
+    res.status(400).json({ ok: false, error: String(e.message || e) });
+  }
+});
+
+startPoller();
+
+app.post('/api/orders/:id/:action', async (req, res) => {
+  try {
+    const to = ACTIONS[req.params.action];
+    if (!to) return res.status(404).json({ ok: false, error: `unknown action: ${req.params.action}` });
+    const actor = requireActor(req, res);
+    if (!actor) return;
+    const out = await transitionOrder((req.params.id || '').toString(), to, actor, {
+      reason: req.body?.reason || null,
+      meta: req.body?.meta && typeof req.body.meta === 'object' ? req.body.meta : null,
+      req,
+    });
+    res.json({ ok: true, ...out });
+  } catch (e) {
+    console.error(e);
+    const msg = String(e.message || e);
+    res.status(errorStatus(msg)).json({ ok: false, error: msg });
+  }
+});
+
+/* ---------------- 재고 홀드 ---------------- */
+
+// 만료된 홀드 정리(스케줄러용). 만료 홀드는 정리 전에도 가용 재고 계산에서 이미 빠진다
+app.post('/api/inventory/reservations/sweep', async (req, res) => {
+  try {
+    const actor = requireActor(req, res);
+    if (!actor) return;
+    if (!hasRole(actor, 'admin')) return res.status(403).json({ ok: false, error: 'admin role required' });
+    const out = await sweepExpired({ limit: req.body?.limit });
+    res.json({ ok: true, ...out });
+  } catch (e) {
+    console.error(e);
+    res.status(400).json({ ok: false, error: String(e.message || e) });
+  }
+});
+
+startSweeper();
+
+/* ---------------- 판매자: 자기 하위 주문만 ---------------- */
+
+app.get('/api/seller/orders', async (req, res) => {
+  try {
+    const actor = requireSellerActor(req, res);
+    if (!actor) return;
+    const items = await listSellerOrders(actor, { req, status: req.query.status ? String(req.query.status) : null, limit: req.query.limit });
+    res.json({ ok: true, items });
+  } catch (e) {
+    console.error(e);
+    res.status(400).json({ ok: false, error: String(e.message || e) });
+  }
+});
+
+app.get('/api/seller/orders/:id', async (req, res) => {
+  try {
+    const actor = requireSellerActor(req, res);
+    if (!actor) return;
+    const out = await getSellerOrder((req.params.id || '').toString(), actor, { req });
+    res.json({ ok: true, ...out });
+  } catch (e) {
+    console.error(e);
+    const msg = String(e.message || e);
+    res.status(errorStatus(msg)).json({ ok: false, error: msg });
+  }
+});
+
+app.post('/api/seller/orders/:id/acknowledge', async (req, res) => {
+  try {
+    const actor = requireSellerActor(req, res);
+    if (!actor) return;
+    const out = await acknowledgeSellerOrder((req.params.id || '').toString(), actor, { req, note: req.body?.note || null });
+    res.json({ ok: true, ...out });
+  } catch (e) {
+    console.error(e);
+    const msg = String(e.message || e);
+    res.status(errorStatus(msg)).json({ ok: false, error: msg });
+  }
+});
+
+app.post('/api/seller/orders/:id/shipments', idempotent, (req, res) => {
+  if (!requireSellerActor(req, res)) return;
+  shipHandler({ seller_order_id: (req.params.id || '').toString() }, req, res);
+});
+app.get('/api/seller/orders/:id/shipments', (req, res) => {
+  if (!requireSellerActor(req, res)) return;
+  listShipmentsHandler({ seller_order_id: (req.params.id || '').toString() }, req, res);
+});
+
+app.post('/api/seller/orders/:id/:action', async (req, res) => {
+  try {
+    const to = SELLER_ACTIONS[req.params.action];
+    if (!to) return res.status(404).json({ ok: false, error: `unknown action: ${req.params.action}` });
+    const actor = requireSellerActor(req, res);
+    if (!actor) return;
+    const out = await transitionSellerOrder((req.params.id || '').toString(), to, actor, { req, reason: req.body?.reason || null });
+    res.json({ ok: true, ...out });
+  } catch (e) {
+    console.error(e);
+    const msg = String(e.message || e);
+    res.status(errorStatus(msg)).json({ ok: false, error: msg });
+  }
+});
+
+module.exports = app;
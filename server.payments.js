@@ -0,0 +1,92 @@
+const express = require('express');
+const cors = require('cors');
+const bodyParser = require('body-parser');
+const db = require('./db');
+const { parseActor, hasRole } = require('./src/utils/auth');
+const { createPaymentIntent, getPayment, handleWebhook } = require('./src/payments/intents');
+const { getProvider, mockEnabled } = require('./src/payments/providers');
+
+const app = express();
+app.use(cors());
+// 단독 실행 시에도 webhook 원문을 보존 (server.js 에 붙을 때는 전역 parser 가 처리)
+app.use(bodyParser.json({
+  limit: '1mb',
+  verify: (req, _res, buf) => { if (req.url.startsWith('/api/payments/webhook')) req.rawBody = Buffer.from(buf); },
+}));
+
+function errorStatus(msg) {
+  if (/not found/.test(msg)) return 404;
+  if (/^forbidden/.test(msg)) return 403;
+  if (/already paid|^order is /.test(msg)) return 409;
+  return 400;
+}
+
+// POST /api/payments/intents { invoice_id | order_id, provider? }
+app.post('/api/payments/intents', async (req, res) => {
+  try {
+    const actor = parseActor(req);
+    if (!actor?.id) return res.status(401).json({ ok: false, error: 'auth required' });
+    if (!hasRole(actor, 'buyer', 'admin')) return res.status(403).json({ ok: false, error: 'buyer role required' });
+    let invoice_id = req.body?.invoice_id || null;
+    if (!invoice_id && req.body?.order_id) {
+      const r = await db.query(`SELECT id FROM public.invoices WHERE order_id = $1 AND status <> 'paid' ORDER BY id LIMIT 1`, [req.body.order_id]);
+      invoice_id = r.rows[0]?.id || null;
+      if (!invoice_id) return res.status(404).json({ ok: false, error: 'unpaid invoice not found' });
+    }
+    if (!invoice_id) return res.status(400).json({ ok: false, error: 'invoice_id or order_id required' });
+    const out = await createPaymentIntent({ invoice_id, provider: req.body?.provider || null }, actor);
+    res.json({ ok: true, ...out });
+  } catch (e) {
+    console.error(e);
+    const msg = String(e.message || e);
+    res.status(errorStatus(msg)).json({ ok: false, error: msg });
+  }
+});
+
+app.get('/api/payments/:id', async (req, res) => {
+  try {
+    const actor = parseActor(req);
+    if (!actor?.id) return res.status(401).json({ ok: false, error: 'auth required' });
+    const payment = await getPayment((req.params.id || '').toString(), actor);
+    res.json({ ok: true, payment });
+  } catch (e) {
+    console.error(e);
+    const msg = String(e.message || e);
+    res.status(errorStatus(msg)).json({ ok: false, error: msg });
+  }
+});
+
+// PG → 서버. 인증 헤더 대신 제공자 서명으로 검증한다
+app.post('/api/payments/webhook/:provider', async (req, res) => {
+  try {
+    const rawBody = req.rawBody || Buffer.from(JSON.stringify(req.body || {}));
+    const out = await handleWebhook((req.params.provider || '').toString(), { rawBody, headers: req.headers });
+    res.json({ ok: true, ...out });
+  } catch (e) {
+    const msg = String(e.message || e);
+    if (/invalid signature|not available|event id missing/.test(msg)) return res.status(400).json({ ok: false, error: msg });
+    console.error(e);
+    res.status(500).json({ ok: false, error: msg });
+  }
+});
+
+// 로컬 전용: mock 결제 완료/실패를 서명된 webhook 으로 흉내 낸다. event_id 를 주면 재전송 테스트
+app.post('/api/payments/mock/:id/simulate', async (req, res) => {
+  try {
+    if (!mockEnabled()) return res.status(404).json({ ok: false, error: 'not found' });
+    const actor = parseActor(req);
+    if (!actor?.id) return res.status(401).json({ ok: false, error: 'auth required' });
+    const payment = await getPayment((req.params.id || '').toString(), actor);
+    if (payment.provider !== 'mock') return res.status(400).json({ ok: false, error: 'not a mock payment' });
+    const outcome = req.body?.outcome === 'failed' ? 'failed' : 'succeeded';
+    const hook = getProvider('mock').buildWebhook({ payment, outcome, event_id: req.body?.event_id || null });
+    const out = await handleWebhook('mock', hook);
+    res.json({ ok: true, ...out });
+  } catch (e) {
+    console.error(e);
+    const msg = String(e.message || e);
+    res.status(errorStatus(msg)).json({ ok: false, error: msg });
+  }
+});
+
+module.exports = app;
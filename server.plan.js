@@ -5,6 +5,7 @@ const cors = require('cors');
 const bodyParser = require('body-parser');
 const { getPool } = require('./db');
 const { parseActor } = require('./src/utils/auth');
+const { explodeBom } = require('./src/pipeline/bom-explode');
 
 const app = express();
 app.use(cors());
@@ -83,6 +84,20 @@ async function ensureTables() {
         updated_at timestamptz DEFAULT now()
       )
     `);
+    await pool.query(`
+      ALTER TABLE public.bom_items
+      ADD COLUMN IF NOT EXISTS ref_des text,
+      ADD COLUMN IF NOT EXISTS sub_bom_id uuid REFERENCES public.bom_lists(id) ON DELETE RESTRICT
+    `);
+    await pool.query(`
+      ALTER TABLE public.bom_lists
+      ADD COLUMN IF NOT EXISTS revision integer NOT NULL DEFAULT 1,
+      ADD COLUMN IF NOT EXISTS base_bom_id uuid REFERENCES public.bom_lists(id) ON DELETE CASCADE
+    `);
+    await pool.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS ux_bom_lists_revision
+        ON public.bom_lists ((COALESCE(base_bom_id, id)), revision)
+    `);
     await pool.query(`
       CREATE TABLE IF NOT EXISTS public.plan_item_pr_links (
         plan_item_id uuid REFERENCES public.purchase_plan_items(id) ON DELETE CASCADE,
@@ -464,34 +479,41 @@ app.post('/api/purchase-plans/from-bom', async (req, res) => {
       title: body.plan_title || body.title || null,
       notes: body.plan_notes || body.notes || null,
     });
-    const items = await client.query(`
-      SELECT * FROM public.bom_items WHERE bom_id = $1 ORDER BY COALESCE(row_no, 0) ASC, created_at ASC
-    `, [bomId]);
-    if (!items.rows.length) {
+    // 하위 어셈블리를 펼친 총 소요량으로 계획 라인 생성
+    const exploded = await explodeBom(bomId, {
+      build_qty: coerceInt(body.build_qty ?? body.buildQty, 1) || 1,
+      pg: client,
+    });
+    const lines = exploded.lines.filter((l) => l.manufacturer && l.part_number);
+    if (!lines.length) {
       await client.query('COMMIT');
       client.release();
       return res.json({ ok: true, plan, inserted: [] });
     }
-    const inserted = await client.query(`
-      INSERT INTO public.purchase_plan_items
-        (plan_id, manufacturer, part_number, category, required_qty, moq, quote_deadline, delivery_deadline)
-      SELECT $1, manufacturer, part_number, COALESCE(component_family, $2::text), COALESCE(qty, 0), moq, $3::date, $4::date
-        FROM public.bom_items
-       WHERE bom_id = $5
-         AND manufacturer IS NOT NULL
-         AND part_number IS NOT NULL
-      RETURNING *
-    `, [
-      plan.id,
-      body.category || null,
-      body.quote_deadline || null,
-      body.delivery_deadline || null,
-      bomId,
-    ]);
+    const inserted = [];
+    for (const l of lines) {
+      const r = await client.query(`
+        INSERT INTO public.purchase_plan_items
+          (plan_id, manufacturer, part_number, category, required_qty, moq, quote_deadline, delivery_deadline)
+        VALUES ($1,$2,$3,COALESCE($4::text, $5::text),$6,$7,$8::date,$9::date)
+        RETURNING *
+      `, [
+        plan.id,
+        l.manufacturer,
+        l.part_number,
+        l.component_family,
+        body.category || null,
+        Math.ceil(Number(l.qty || 0)),
+        l.moq,
+        body.quote_deadline || null,
+        body.delivery_deadline || null,
+      ]);
+      inserted.push(r.rows[0]);
+    }
     await client.query(`UPDATE public.purchase_plans SET updated_at = now() WHERE id = $1`, [plan.id]);
     await client.query('COMMIT');
     client.release();
-    res.json({ ok: true, plan, inserted: inserted.rows });
+    res.json({ ok: true, plan, inserted });
   } catch (err) {
     try {
       await client.query('ROLLBACK');
@@ -0,0 +1,107 @@
+const express = require('express');
+const cors = require('cors');
+const bodyParser = require('body-parser');
+const { parseActor } = require('./src/utils/auth');
+const { idempotent } = require('./src/utils/idempotency');
+const { REASON_CODES, createRma, listRmas, getRma, transitionRma } = require('./src/orders/rma');
+
+const app = express();
+app.use(cors());
+app.use(bodyParser.json({ limit: '1mb' }));
+
+// 엔드포인트 동사 → 목표 상태 (역할 검사는 rma.RMA_TRANSITIONS 기준)
+const ACTIONS = {
+  approve: 'approved',
+  reject: 'rejected',
+  ship: 'return_shipped',
+  receive: 'received',
+  resolve: 'resolved',
+  cancel: 'cancelled',
+};
+
+function errorStatus(msg) {
+  if (/not found/.test(msg)) return 404;
+  if (/^forbidden/.test(msg)) return 403;
+  if (/invalid transition|invalid request/.test(msg)) return 409;
+  return 400;
+}
+
+function requireActor(req, res) {
+  const actor = parseActor(req);
+  if (!actor?.id) { res.status(401).json({ ok: false, error: 'auth required' }); return null; }
+  return actor;
+}
+
+app.get('/api/rma/reason-codes', (_req, res) => res.json({ ok: true, items: REASON_CODES }));
+
+// body: { order_item_id, qty, reason_code, description?, photos?: [blob_id] } — 사진은 /api/uploads/datasheet 로 먼저 올린다
+app.post('/api/rma', idempotent, async (req, res) => {
+  try {
+    const actor = requireActor(req, res);
+    if (!actor) return;
+    const b = req.body || {};
+    const rma = await createRma({
+      order_item_id: b.order_item_id,
+      qty: b.qty,
+      reason_code: (b.reason_code || '').toString(),
+      description: b.description || null,
+      photos: b.photos || [],
+    }, actor);
+    res.json({ ok: true, rma });
+  } catch (e) {
+    console.error(e);
+    const msg = String(e.message || e);
+    res.status(errorStatus(msg)).json({ ok: false, error: msg });
+  }
+});
+
+app.get('/api/rma', async (req, res) => {
+  try {
+    const actor = requireActor(req, res);
+    if (!actor) return;
+    const items = await listRmas(actor, { req, status: req.query.status ? String(req.query.status) : null, limit: req.query.limit });
+    res.json({ ok: true, items });
+  } catch (e) {
+    console.error(e);
+    res.status(400).json({ ok: false, error: String(e.message || e) });
+  }
+});
+
+app.get('/api/rma/:id', async (req, res) => {
+  try {
+    const actor = requireActor(req, res);
+    if (!actor) return;
+    const out = await getRma((req.params.id || '').toString(), actor, { req });
+    res.json({ ok: true, ...out });
+  } catch (e) {
+    console.error(e);
+    const msg = String(e.message || e);
+    res.status(errorStatus(msg)).json({ ok: false, error: msg });
+  }
+});
+
+// body: { note?, carrier?, tracking_no? (ship), resolution?, restock? (resolve) }
+app.post('/api/rma/:id/:action', async (req, res) => {
+  try {
+    const to = ACTIONS[req.params.action];
+    if (!to) return res.status(404).json({ ok: false, error: `unknown action: ${req.params.action}` });
+    const actor = requireActor(req, res);
+    if (!actor) return;
+    const b = req.body || {};
+    const out = await transitionRma((req.params.id || '').toString(), to, actor, {
+      req,
+      note: b.note || null,
+      carrier: b.carrier || null,
+      tracking_no: b.tracking_no || null,
+      resolution: b.resolution || null,
+      restock: b.restock === true,
+    });
+    res.json({ ok: true, ...out });
+  } catch (e) {
+    console.error(e);
+    const msg = String(e.message || e);
+    res.status(errorStatus(msg)).json({ ok: false, error: msg });
+  }
+});
+
+module.exports = app;
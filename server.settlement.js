@@ -0,0 +1,153 @@
+const express = require('express');
+const cors = require('cors');
+const bodyParser = require('body-parser');
+const { parseActor, hasRole } = require('./src/utils/auth');
+const { sellerKeys } = require('./src/orders/lifecycle');
+const { sellerBalances, sellerStatement, listCommissionRules, upsertCommissionRule } = require('./src/payments/ledger');
+const { schedulePayoutBatch, markPayoutBatchPaid, cancelPayoutBatch, listPayoutBatches, getPayoutBatch, listSellerPayouts } = require('./src/payments/payouts');
+const { idempotent } = require('./src/utils/idempotency');
+
+const app = express();
+app.use(cors());
+app.use(bodyParser.json({ limit: '1mb' }));
+
+function errorStatus(msg) {
+  if (/not found/.test(msg)) return 404;
+  if (/^forbidden/.test(msg)) return 403;
+  if (/^payout batch is |no seller balance/.test(msg)) return 409;
+  return 400;
+}
+
+function fail(res, e) {
+  console.error(e);
+  const msg = String(e.message || e);
+  res.status(errorStatus(msg)).json({ ok: false, error: msg });
+}
+
+function requireActor(req, res, ...roles) {
+  const actor = parseActor(req);
+  if (!actor?.id) { res.status(401).json({ ok: false, error: 'auth required' }); return null; }
+  if (roles.length && !hasRole(actor, ...roles)) { res.status(403).json({ ok: false, error: `${roles.join('/')} role required` }); return null; }
+  return actor;
+}
+
+// 판매자는 자기 키만, 관리자는 ?seller_id 로 특정 판매자를 본다
+function sellerScope(req, res) {
+  const actor = requireActor(req, res, 'seller', 'admin');
+  if (!actor) return null;
+  if (hasRole(actor, 'admin') && req.query.seller_id) return [String(req.query.seller_id)];
+  const keys = sellerKeys(actor, req);
+  if (!keys.length) { res.status(403).json({ ok: false, error: 'seller role required' }); return null; }
+  return keys;
+}
+
+function csvCell(v) {
+  if (v == null) return '';
+  const s = v instanceof Date ? v.toISOString() : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+const STATEMENT_COLUMNS = ['created_at', 'kind', 'account', 'seller_id', 'currency', 'amount_cents', 'balance_cents', 'order_no', 'order_id', 'seller_order_id', 'order_item_id', 'payout_batch_id', 'memo'];
+
+/* ---------------- 판매자 ---------------- */
+
+app.get('/api/seller/settlement/balance', async (req, res) => {
+  try {
+    const keys = sellerScope(req, res);
+    if (!keys) return;
+    res.json({ ok: true, seller_ids: keys, balances: await sellerBalances(keys) });
+  } catch (e) { fail(res, e); }
+});
+
+// ?from=&to=&currency=&format=csv
+app.get('/api/seller/settlement/statement', async (req, res) => {
+  try {
+    const keys = sellerScope(req, res);
+    if (!keys) return;
+    const rows = await sellerStatement(keys, {
+      from: req.query.from ? String(req.query.from) : null,
+      to: req.query.to ? String(req.query.to) : null,
+      currency: req.query.currency ? String(req.query.currency).toUpperCase() : null,
+      limit: req.query.limit,
+    });
+    if (String(req.query.format || '').toLowerCase() === 'csv') {
+      const body = [STATEMENT_COLUMNS.join(','), ...rows.map((r) => STATEMENT_COLUMNS.map((c) => csvCell(r[c])).join(','))].join('\r\n');
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="statement-${new Date().toISOString().slice(0, 10)}.csv"`);
+      return res.send('\uFEFF' + body);
+    }
+    res.json({ ok: true, items: rows });
+  } catch (e) { fail(res, e); }
+});
+
+app.get('/api/seller/settlement/payouts', async (req, res) => {
+  try {
+    const keys = sellerScope(req, res);
+    if (!keys) return;
+    res.json({ ok: true, items: await listSellerPayouts(keys, { limit: req.query.limit }) });
+  } catch (e) { fail(res, e); }
+});
+
+/* ---------------- 관리자: 수수료 규칙 / 지급 배치 ---------------- */
+
+app.get('/api/settlement/commission-rules', async (req, res) => {
+  try {
+    if (!requireActor(req, res, 'admin')) return;
+    res.json({ ok: true, items: await listCommissionRules() });
+  } catch (e) { fail(res, e); }
+});
+
+// body: { id?, seller_id?, family_slug?, rate_bp, active?, note? } — id 가 있으면 수정
+app.post('/api/settlement/commission-rules', async (req, res) => {
+  try {
+    if (!requireActor(req, res, 'admin')) return;
+    res.json({ ok: true, rule: await upsertCommissionRule(req.body || {}) });
+  } catch (e) { fail(res, e); }
+});
+
+// 정산가능 잔액으로 지급 배치 예약 (스케줄러가 주기적으로 호출). body: { scheduled_for?, currency?, seller_ids?, min_amount_cents?, note? }
+app.post('/api/settlement/payouts', idempotent, async (req, res) => {
+  try {
+    const actor = requireActor(req, res, 'admin');
+    if (!actor) return;
+    const b = req.body || {};
+    const out = await schedulePayoutBatch({
+      scheduled_for: b.scheduled_for || null,
+      currency: b.currency ? String(b.currency).toUpperCase() : null,
+      seller_ids: Array.isArray(b.seller_ids) ? b.seller_ids : null,
+      min_amount_cents: b.min_amount_cents,
+      note: b.note || null,
+    }, actor);
+    res.json({ ok: true, ...out });
+  } catch (e) { fail(res, e); }
+});
+
+app.get('/api/settlement/payouts', async (req, res) => {
+  try {
+    if (!requireActor(req, res, 'admin')) return;
+    res.json({ ok: true, items: await listPayoutBatches({ status: req.query.status ? String(req.query.status) : null, limit: req.query.limit }) });
+  } catch (e) { fail(res, e); }
+});
+
+app.get('/api/settlement/payouts/:id', async (req, res) => {
+  try {
+    if (!requireActor(req, res, 'admin')) return;
+    res.json({ ok: true, ...(await getPayoutBatch((req.params.id || '').toString())) });
+  } catch (e) { fail(res, e); }
+});
+
+app.post('/api/settlement/payouts/:id/paid', async (req, res) => {
+  try {
+    if (!requireActor(req, res, 'admin')) return;
+    res.json({ ok: true, ...(await markPayoutBatchPaid((req.params.id || '').toString(), { reference: req.body?.reference || null })) });
+  } catch (e) { fail(res, e); }
+});
+
+app.post('/api/settlement/payouts/:id/cancel', async (req, res) => {
+  try {
+    if (!requireActor(req, res, 'admin')) return;
+    res.json({ ok: true, ...(await cancelPayoutBatch((req.params.id || '').toString(), { reason: req.body?.reason || null })) });
+  } catch (e) { fail(res, e); }
+});
+
+module.exports = app;
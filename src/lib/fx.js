@@ -75,5 +75,57 @@ function toKrwCentsRounded10(amount, currency, fxRate) {
   return Math.max(0, Math.round(wonRounded10 * 100));
 }
 
-module.exports = { fetchFx, toKrwCentsRounded10 };
+/**
+ * Build a request-scoped converter into a base currency. Rates are looked up once
+ * per currency via fetchFx (KRW per unit) and crossed through KRW.
+ *
+ * @param {{ query(text: string, params?: any[]): Promise<{ rows: any[], rowCount: number }> }} pg
+ * @param {string} baseCurrency
+ */
+function createFxConverter(pg, baseCurrency = 'USD') {
+  const base = String(baseCurrency || 'USD').toUpperCase();
+  const cache = new Map();
+  const krwRate = (curr) => {
+    if (!cache.has(curr)) {
+      const p = fetchFx(pg, curr);
+      p.catch(() => cache.delete(curr));
+      cache.set(curr, p);
+    }
+    return cache.get(curr);
+  };
+
+  async function rateFor(currency) {
+    const from = String(currency || base).toUpperCase();
+    if (from === base) return { from, to: base, rate: 1, yyyymm: null, source: 'identity' };
+    const [src, dst] = await Promise.all([krwRate(from), krwRate(base)]);
+    const rate = Number(src.rate) / Number(dst.rate);
+    if (!Number.isFinite(rate) || rate <= 0) throw new Error(`fx_rate_invalid_${from}_${base}`);
+    return { from, to: base, rate, yyyymm: src.yyyymm ?? null, source: src.source ?? null };
+  }
+
+  async function convertCents(cents, currency) {
+    const fx = await rateFor(currency);
+    return { cents: Math.round(Number(cents || 0) * fx.rate), fx };
+  }
+
+  return { base, rateFor, convertCents };
+}
+
+/**
+ * Collapse the `fx` objects returned by convertCents into the distinct rates
+ * actually applied (one per currency pair, identity conversions dropped).
+ *
+ * @param {Array<{ from: string, to: string, rate: number, yyyymm?: number|null, source?: string|null }|null>} list
+ */
+function summarizeFx(list) {
+  const out = new Map();
+  for (const fx of list || []) {
+    if (!fx || fx.source === 'identity' || !fx.from || fx.from === fx.to) continue;
+    const key = `${fx.from}>${fx.to}`;
+    if (!out.has(key)) out.set(key, { from: fx.from, to: fx.to, rate: Number(fx.rate), yyyymm: fx.yyyymm ?? null, source: fx.source ?? null });
+  }
+  return [...out.values()];
+}
+
+module.exports = { fetchFx, toKrwCentsRounded10, createFxConverter, summarizeFx };
 
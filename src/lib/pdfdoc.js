@@ -0,0 +1,146 @@
+const zlib = require('zlib');
+
+/**
+ * 견적서/청구서용 최소 PDF 작성기 (외부 의존성 없음).
+ *  - 글꼴: Adobe-Korea1 표준 CID 글꼴 HYGoThic-Medium (임베드하지 않음 → 뷰어의 한글 글꼴로 대체)
+ *  - 문자열은 UniKS-UCS2-H 인코딩(UTF-16BE)으로 쓴다. BMP 밖 문자는 '?' 로 바꾼다.
+ *  - 좌표는 왼쪽 위 기준 pt (A4 595×842)
+ */
+const A4 = { width: 595.28, height: 841.89 };
+const FONT = 'HYGoThic-Medium';
+
+// ASCII(CID 1~95)는 반각, 나머지는 전각으로 잰다 (/W 와 같은 값)
+function charWidth(ch) {
+  const c = ch.codePointAt(0);
+  return c >= 0x20 && c <= 0x7e ? 0.5 : 1;
+}
+
+function textWidth(str, size) {
+  let w = 0;
+  for (const ch of String(str ?? '')) w += charWidth(ch);
+  return w * size;
+}
+
+function hex16(str) {
+  let out = '';
+  for (const ch of String(str ?? '')) {
+    const c = ch.codePointAt(0);
+    const u = c > 0xffff || (c < 0x20 && c !== 0x09) ? 0x3f : (c === 0x09 ? 0x20 : c);
+    out += u.toString(16).padStart(4, '0');
+  }
+  return out.toUpperCase();
+}
+
+// 폭을 넘으면 말줄임
+function fit(str, width, size) {
+  const s = String(str ?? '');
+  if (textWidth(s, size) <= width) return s;
+  let out = '';
+  for (const ch of s) {
+    if (textWidth(out + ch + '…', size) > width) break;
+    out += ch;
+  }
+  return out + '…';
+}
+
+// 공백 기준 줄바꿈 (한 단어가 폭을 넘으면 글자 단위로 자른다)
+function wrap(str, width, size) {
+  const lines = [];
+  for (const para of String(str ?? '').split(/\r?\n/)) {
+    let line = '';
+    for (const word of para.split(/(\s+)/)) {
+      if (!word) continue;
+      if (textWidth(line + word, size) <= width) { line += word; continue; }
+      if (line.trim()) lines.push(line.trimEnd());
+      line = '';
+      for (const ch of word.trimStart()) {
+        if (textWidth(line + ch, size) > width) { lines.push(line); line = ''; }
+        line += ch;
+      }
+    }
+    lines.push(line.trimEnd());
+  }
+  return lines;
+}
+
+const num = (n) => Number(n.toFixed(2)).toString();
+
+function createPdf({ width = A4.width, height = A4.height, title = null } = {}) {
+  const pages = [];
+  let ops = null;
+
+  function addPage() {
+    ops = [];
+    pages.push(ops);
+    return pages.length;
+  }
+
+  // 이미 만든 페이지로 돌아가 쓰기 (쪽번호 등). n 은 1부터
+  function usePage(n) {
+    if (!pages[n - 1]) throw new Error(`no page ${n}`);
+    ops = pages[n - 1];
+  }
+
+  function text(str, x, y, { size = 10, align = 'left', width: box = 0 } = {}) {
+    const s = String(str ?? '');
+    if (!s) return;
+    let tx = x;
+    if (align === 'right') tx = x + box - textWidth(s, size);
+    else if (align === 'center') tx = x + (box - textWidth(s, size)) / 2;
+    // y 는 글자 윗선 기준 → baseline 으로 내린다
+    ops.push(`BT /F1 ${num(size)} Tf ${num(tx)} ${num(height - y - size * 0.88)} Td <${hex16(s)}> Tj ET`);
+  }
+
+  function line(x1, y1, x2, y2, { lineWidth = 0.5 } = {}) {
+    ops.push(`${num(lineWidth)} w ${num(x1)} ${num(height - y1)} m ${num(x2)} ${num(height - y2)} l S`);
+  }
+
+  function rect(x, y, w, h, { fill = null, stroke = true, lineWidth = 0.5 } = {}) {
+    const r = `${num(x)} ${num(height - y - h)} ${num(w)} ${num(h)} re`;
+    if (fill != null) ops.push(`q ${num(fill)} g ${r} f Q`);
+    if (stroke) ops.push(`${num(lineWidth)} w ${r} S`);
+  }
+
+  function toBuffer() {
+    if (!pages.length) addPage();
+    const objs = [];
+    const add = (body) => { objs.push(body); return objs.length; };
+    const catalog = add(null);
+    const pagesId = add(null);
+    const descriptor = add(`<< /Type /FontDescriptor /FontName /${FONT} /Flags 6 /FontBBox [-6 -145 1003 880] /ItalicAngle 0 /Ascent 880 /Descent -120 /CapHeight 880 /StemV 93 >>`);
+    const cidFont = add(`<< /Type /Font /Subtype /CIDFontType0 /BaseFont /${FONT} /CIDSystemInfo << /Registry (Adobe) /Ordering (Korea1) /Supplement 1 >> /FontDescriptor ${descriptor} 0 R /DW 1000 /W [1 95 500] >>`);
+    const font = add(`<< /Type /Font /Subtype /Type0 /BaseFont /${FONT}-UniKS-UCS2-H /Encoding /UniKS-UCS2-H /DescendantFonts [${cidFont} 0 R] >>`);
+    const info = title ? add(`<< /Title <FEFF${hex16(title)}> /Producer (relay-worker) >>`) : null;
+    const kids = [];
+    for (const p of pages) {
+      const data = zlib.deflateSync(Buffer.from(p.join('\n'), 'latin1'));
+      const content = add({ dict: `/Length ${data.length} /Filter /FlateDecode`, data });
+      kids.push(add(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${num(width)} ${num(height)}] /Resources << /Font << /F1 ${font} 0 R >> >> /Contents ${content} 0 R >>`));
+    }
+    objs[catalog - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+    objs[pagesId - 1] = `<< /Type /Pages /Kids [${kids.map((k) => `${k} 0 R`).join(' ')}] /Count ${kids.length} >>`;
+
+    const chunks = [Buffer.from('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n', 'latin1')];
+    let offset = chunks[0].length;
+    const offsets = [];
+    objs.forEach((o, i) => {
+      offsets.push(offset);
+      const parts = typeof o === 'string'
+        ? [Buffer.from(`${i + 1} 0 obj\n${o}\nendobj\n`, 'latin1')]
+        : [Buffer.from(`${i + 1} 0 obj\n<< ${o.dict} >>\nstream\n`, 'latin1'), o.data, Buffer.from('\nendstream\nendobj\n', 'latin1')];
+      for (const b of parts) { chunks.push(b); offset += b.length; }
+    });
+    const xref = [`xref\n0 ${objs.length + 1}\n0000000000 65535 f \n`, ...offsets.map((o) => `${String(o).padStart(10, '0')} 00000 n \n`)].join('');
+    chunks.push(Buffer.from(`${xref}trailer\n<< /Size ${objs.length + 1} /Root ${catalog} 0 R${info ? ` /Info ${info} 0 R` : ''} >>\nstartxref\n${offset}\n%%EOF\n`, 'latin1'));
+    return Buffer.concat(chunks);
+  }
+
+  return {
+    width, height,
+    addPage, usePage, text, line, rect, toBuffer,
+    pageCount: () => pages.length,
+    textWidth, fit, wrap,
+  };
+}
+
+module.exports = { A4, createPdf, textWidth, fit, wrap };
@@ -0,0 +1,107 @@
+const db = require('../../db');
+
+/**
+ * listing 수량 구간 단가 (listings.price_breaks jsonb).
+ *  - 저장 형태: [{ min_qty, unit_price_cents, unit_price_krw_cents, unit_price_fx_rate, unit_price_fx_yyyymm, unit_price_fx_src }]
+ *    단가는 listing 통화, 원화 환산 값은 listing 의 unit_price_krw_* 컬럼과 같은 규칙(enrichKRWDaily)으로 구간마다 둔다.
+ *  - 전체 수량 적용(all-units): 주문 수량 이상인 가장 큰 min_qty 구간의 단가가 수량 전체에 적용된다.
+ *  - 기본 단가(unit_price_cents / price_cents)가 1개부터의 가격이므로 구간은 min_qty 2 이상만 받는다.
+ */
+const MAX_TIERS = 20;
+
+let ensured = null;
+function ensurePriceBreaks() {
+  if (!ensured) {
+    ensured = db.query(`ALTER TABLE public.listings ADD COLUMN IF NOT EXISTS price_breaks jsonb`)
+      .then(() => undefined)
+      .catch((e) => { ensured = null; throw e; });
+  }
+  return ensured;
+}
+
+function toCents(v) {
+  const digits = v == null ? '' : String(v).replace(/[^\d.]/g, '');
+  if (!digits) return NaN;
+  const n = Number(digits);
+  return Number.isFinite(n) ? Math.round(n * 100) : NaN;
+}
+
+/**
+ * 입력(API body / XLSX 셀) → [{ min_qty, unit_price_cents }] (min_qty 오름차순).
+ *  - 배열: [{ min_qty, unit_price }] 또는 [{ min_qty, unit_price_cents }] (qty / price 도 허용)
+ *  - 문자열: "100:1.20; 500:1.05" (구간 구분 ; | 줄바꿈, 수량/단가 사이 : = @. 천 단위 쉼표 허용)
+ *  - null / '' / [] → [] (구간 삭제)
+ * 형식이 틀리면 'invalid price_breaks: …' 로 던진다.
+ */
+function parsePriceBreaks(input) {
+  if (input == null || input === '') return [];
+  let list = input;
+  if (typeof list === 'string') {
+    const s = list.trim();
+    if (!s) return [];
+    if (s.startsWith('[')) {
+      try { list = JSON.parse(s); } catch { throw new Error('invalid price_breaks: bad json'); }
+    } else {
+      list = s.split(/[;|\n]+/).map((p) => p.trim()).filter(Boolean).map((p) => {
+        const m = p.match(/^(\d[\d,]*)\s*\+?\s*[:=@]\s*(.+)$/);
+        if (!m) throw new Error(`invalid price_breaks: "${p}"`);
+        return { min_qty: m[1].replace(/,/g, ''), unit_price: m[2] };
+      });
+    }
+  }
+  if (!Array.isArray(list)) throw new Error('invalid price_breaks: array required');
+  if (list.length > MAX_TIERS) throw new Error(`invalid price_breaks: at most ${MAX_TIERS} tiers`);
+  const out = list.map((t) => {
+    const min_qty = Number(t?.min_qty ?? t?.qty);
+    const cents = t?.unit_price_cents != null ? Number(t.unit_price_cents) : toCents(t?.unit_price ?? t?.price);
+    if (!Number.isInteger(min_qty) || min_qty < 2) throw new Error('invalid price_breaks: min_qty must be an integer >= 2');
+    if (!Number.isInteger(cents) || cents < 0) throw new Error(`invalid price_breaks: bad price for min_qty ${min_qty}`);
+    return { min_qty, unit_price_cents: cents };
+  }).sort((a, b) => a.min_qty - b.min_qty);
+  for (let i = 1; i < out.length; i++) {
+    if (out[i].min_qty === out[i - 1].min_qty) throw new Error(`invalid price_breaks: duplicate min_qty ${out[i].min_qty}`);
+  }
+  return out;
+}
+
+// 저장된 값 읽기 (컬럼이 없거나 깨진 값은 빈 배열)
+function readPriceBreaks(raw) {
+  let arr = raw;
+  if (typeof arr === 'string') { try { arr = JSON.parse(arr); } catch { arr = null; } }
+  if (!Array.isArray(arr)) return [];
+  return arr
+    .map(t => ({ min_qty: Math.trunc(Number(t?.min_qty ?? t?.qty ?? 0)), unit_price_cents: Number(t?.unit_price_cents ?? t?.price_cents) }))
+    .filter(t => t.min_qty > 0 && Number.isFinite(t.unit_price_cents) && t.unit_price_cents >= 0)
+    .sort((a, b) => a.min_qty - b.min_qty);
+}
+
+/** qty 에 적용되는 단가. 구간이 없거나 qty 가 첫 구간보다 작으면 기본 단가(min_qty 1) */
+function tierPrice(baseCents, tiers, qty) {
+  let hit = { min_qty: 1, unit_price_cents: Number(baseCents || 0) };
+  for (const t of tiers || []) {
+    if (Number(qty) >= t.min_qty) hit = t;
+  }
+  return hit;
+}
+
+/**
+ * 구간마다 원화 환산 값을 붙인다. enrich(currency, cents) 는 server.market 의 enrichKRWDaily 와 같은
+ * { krw_cents, rate, yyyymm, src } 를 돌려준다.
+ */
+async function withKrw(tiers, currency, enrich) {
+  const out = [];
+  for (const t of tiers || []) {
+    const fx = await enrich(currency, t.unit_price_cents);
+    out.push({
+      min_qty: t.min_qty,
+      unit_price_cents: t.unit_price_cents,
+      unit_price_krw_cents: fx.krw_cents ?? null,
+      unit_price_fx_rate: fx.rate ?? null,
+      unit_price_fx_yyyymm: fx.yyyymm ?? null,
+      unit_price_fx_src: fx.src ?? null,
+    });
+  }
+  return out;
+}
+
+module.exports = { MAX_TIERS, ensurePriceBreaks, parsePriceBreaks, readPriceBreaks, tierPrice, withKrw };
@@ -0,0 +1,192 @@
+const db = require('../../db');
+
+// 세금/배송비 규칙. 금액(cents)은 규칙의 currency 기준이고, 계산 시 주문 통화로 환산한다.
+let ensured = null;
+function ensurePricingTables() {
+  if (!ensured) {
+    ensured = (async () => {
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS public.tax_rules (
+          id bigserial PRIMARY KEY,
+          tenant_id text,
+          country text NOT NULL,
+          name text NOT NULL,
+          rate_bp integer NOT NULL CHECK (rate_bp >= 0),
+          applies_to_shipping boolean NOT NULL DEFAULT true,
+          active boolean NOT NULL DEFAULT true,
+          created_at timestamptz DEFAULT now()
+        )
+      `);
+      // 기본: 한국 부가세 10%
+      await db.query(`
+        INSERT INTO public.tax_rules (country, name, rate_bp)
+        SELECT 'KR', 'VAT', 1000
+         WHERE NOT EXISTS (SELECT 1 FROM public.tax_rules WHERE country = 'KR' AND tenant_id IS NULL)
+      `);
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS public.tax_exempt_buyers (
+          buyer_id text NOT NULL,
+          tenant_id text,
+          reason text,
+          certificate_no text,
+          valid_until date,
+          created_at timestamptz DEFAULT now(),
+          PRIMARY KEY (buyer_id)
+        )
+      `);
+      // seller_id/origin/destination 이 NULL 이면 모두 허용. method: parcel(택배) | freight(화물)
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS public.shipping_rules (
+          id bigserial PRIMARY KEY,
+          seller_id text,
+          origin text,
+          destination text,
+          method text NOT NULL CHECK (method IN ('parcel','freight')),
+          base_cents integer NOT NULL DEFAULT 0,
+          per_unit_cents integer NOT NULL DEFAULT 0,
+          free_over_cents integer,
+          currency text NOT NULL DEFAULT 'KRW',
+          active boolean NOT NULL DEFAULT true,
+          created_at timestamptz DEFAULT now()
+        )
+      `);
+      await db.query(`ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS pricing jsonb`);
+    })().catch((e) => { ensured = null; throw e; });
+  }
+  return ensured;
+}
+
+function norm(v) { return String(v || '').trim().toLowerCase(); }
+
+// 구체적인 규칙 우선: 판매자 > 출고지 > 도착지
+function ruleScore(rule, { seller_id, origin, destinations }) {
+  let score = 0;
+  if (rule.seller_id != null) { if (norm(rule.seller_id) !== norm(seller_id)) return -1; score += 4; }
+  if (rule.origin != null) { if (norm(rule.origin) !== norm(origin)) return -1; score += 2; }
+  if (rule.destination != null) { if (!destinations.includes(norm(rule.destination))) return -1; score += 1; }
+  return score;
+}
+
+function pickShippingRule(rules, ctx) {
+  let best = null;
+  for (const r of rules) {
+    if (r.method !== ctx.method) continue;
+    const s = ruleScore(r, ctx);
+    if (s < 0) continue;
+    if (!best || s > best.score || (s === best.score && Number(r.id) < Number(best.rule.id))) best = { score: s, rule: r };
+  }
+  return best ? best.rule : null;
+}
+
+/**
+ * 판매자·출고지별 배송 묶음. no_parcel listing 은 택배 불가이므로 화물(freight) 묶음으로 따로 간다.
+ * 화물 규칙이 없으면 비용 0 + quote_required (별도 견적).
+ */
+async function computeShipping(assignments, { currency, ship_to = {}, fx, rules }) {
+  const destinations = [ship_to.country, ship_to.region, ship_to.city].filter(Boolean).map(norm);
+  const groups = new Map();
+  for (const a of assignments) {
+    if (!a.listing_id || a.backorder) continue;
+    const method = a.no_parcel ? 'freight' : 'parcel';
+    const key = `${a.seller_id || ''}|${norm(a.location)}|${method}`;
+    if (!groups.has(key)) groups.set(key, { seller_id: a.seller_id || null, origin: a.location || null, method, qty: 0, subtotal_cents: 0, listing_ids: [] });
+    const g = groups.get(key);
+    g.qty += Number(a.qty || 0);
+    g.subtotal_cents += Number(a.qty || 0) * Number(a.unit_price_cents || 0);
+    g.listing_ids.push(a.listing_id);
+  }
+
+  const out = [];
+  for (const g of groups.values()) {
+    const rule = pickShippingRule(rules, { ...g, destinations });
+    let cost = 0, free = false, quote_required = false, fxUsed = null;
+    if (!rule) {
+      quote_required = g.method === 'freight';
+    } else {
+      const conv = async (cents) => (await fx.convertCents(cents, rule.currency || currency));
+      const raw = await conv(Number(rule.base_cents || 0) + Number(rule.per_unit_cents || 0) * g.qty);
+      cost = raw.cents; fxUsed = raw.fx;
+      if (rule.free_over_cents != null && g.subtotal_cents >= (await conv(rule.free_over_cents)).cents) { cost = 0; free = true; }
+    }
+    out.push({ ...g, rule_id: rule ? rule.id : null, shipping_cents: cost, free_shipping: free, quote_required, fx: fxUsed });
+  }
+  return out;
+}
+
+// 판매자/출고지/no_parcel 은 클라이언트 값이 아니라 listing 에서 다시 읽는다
+async function withListingAttrs(assignments) {
+  const ids = [...new Set(assignments.filter((a) => a.listing_id).map((a) => String(a.listing_id)))];
+  if (!ids.length) return assignments;
+  const r = await db.query(`
+    SELECT l.id::text AS id,
+           COALESCE(to_jsonb(l)->>'seller_id', to_jsonb(l)->>'seller_ref') AS seller_id,
+           to_jsonb(l)->>'location' AS location,
+           COALESCE((to_jsonb(l)->>'no_parcel')::boolean, false) AS no_parcel
+      FROM public.listings l
+     WHERE l.id::text = ANY($1::text[])
+  `, [ids]);
+  const byId = new Map(r.rows.map((x) => [x.id, x]));
+  return assignments.map((a) => {
+    const L = a.listing_id ? byId.get(String(a.listing_id)) : null;
+    return L ? { ...a, seller_id: L.seller_id, location: L.location, no_parcel: L.no_parcel === true } : a;
+  });
+}
+
+async function buyerExemption(buyer) {
+  if (!buyer?.id) return null;
+  const r = await db.query(`
+    SELECT * FROM public.tax_exempt_buyers
+     WHERE buyer_id = $1 AND (tenant_id IS NULL OR tenant_id = $2)
+       AND (valid_until IS NULL OR valid_until >= current_date)
+  `, [String(buyer.id), buyer.tenantId || null]);
+  return r.rows[0] || null;
+}
+
+async function pickTaxRule(country, tenant_id) {
+  const r = await db.query(`
+    SELECT * FROM public.tax_rules
+     WHERE active AND upper(country) = upper($1) AND (tenant_id IS NULL OR tenant_id = $2)
+     ORDER BY (tenant_id IS NULL), id DESC
+     LIMIT 1
+  `, [country, tenant_id || null]);
+  return r.rows[0] || null;
+}
+
+/**
+ * 주문 금액 계산: 소계 + 배송비 + 세금.
+ *  - assignments: [{ qty, unit_price_cents, listing_id, seller_id, location, no_parcel }]
+ *  - buyer: parseActor 결과 (면세 확인용)
+ *  - ship_to: { country='KR', region, city }
+ */
+async function priceOrder({ assignments = [], currency = 'USD', buyer = null, ship_to = {}, fx }) {
+  await ensurePricingTables();
+  const country = String(ship_to?.country || 'KR').toUpperCase();
+  const rules = (await db.query(`SELECT * FROM public.shipping_rules WHERE active ORDER BY id`)).rows;
+  const shipping = await computeShipping(await withListingAttrs(assignments), { currency, ship_to: { ...ship_to, country }, fx, rules });
+
+  const subtotal = assignments.reduce((s, a) => s + Number(a.unit_price_cents || 0) * Number(a.qty || 0), 0);
+  const shippingCents = shipping.reduce((s, g) => s + g.shipping_cents, 0);
+
+  const exemption = await buyerExemption(buyer);
+  const rule = await pickTaxRule(country, buyer?.tenantId);
+  const taxable = rule ? subtotal + (rule.applies_to_shipping ? shippingCents : 0) : 0;
+  const tax = rule && !exemption ? Math.round((taxable * Number(rule.rate_bp)) / 10000) : 0;
+
+  return {
+    totals: { subtotal_cents: subtotal, tax_cents: tax, shipping_cents: shippingCents, total_cents: subtotal + tax + shippingCents },
+    shipping,
+    tax: {
+      country,
+      rule_id: rule ? rule.id : null,
+      name: rule ? rule.name : null,
+      rate_bp: rule ? Number(rule.rate_bp) : 0,
+      applies_to_shipping: rule ? rule.applies_to_shipping !== false : false,
+      taxable_cents: taxable,
+      exempt: !!exemption,
+      exemption_reason: exemption ? exemption.reason || 'tax exempt buyer' : null,
+    },
+    freight_quote_required: shipping.some((g) => g.quote_required),
+  };
+}
+
+module.exports = { ensurePricingTables, priceOrder, pickShippingRule };
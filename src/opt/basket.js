@@ -0,0 +1,203 @@
+const solver = require('javascript-lp-solver');
+const { greedyAllocate, classifyRoute } = require('./optimizer');
+const { buildModel, readSolution } = require('./ilp');
+const { converterFor, normalizeOffers } = require('./currency');
+const { createOfferCache, prefetchOffers, gatherOffers } = require('./offers');
+
+const ILP_TIMEOUT_MS = Number(process.env.ILP_TIMEOUT_MS || 5000);
+
+// 판매자 키: listing 은 seller_ref, bid 는 seller_id. 둘 다 없으면 오퍼 자체를 독립 판매자로 본다.
+function sellerOf(o) {
+  const s = o.meta?.seller_ref ?? o.meta?.seller_id ?? o.seller_id;
+  return s != null && s !== '' ? String(s) : `${o.source}:${o.id}`;
+}
+function offerKey(o) { return `${o.source}:${o.id}`; }
+
+function fixedCostFn({ seller_fixed_cost_cents = 0, seller_fixed_costs = {}, existing_sellers = [] }) {
+  const existing = new Set((existing_sellers || []).map(String));
+  return (seller) => {
+    // 이미 주문 중인 판매자는 배송/처리비가 이미 발생했으므로 0
+    if (existing.has(seller)) return 0;
+    const v = Object.prototype.hasOwnProperty.call(seller_fixed_costs || {}, seller) ? seller_fixed_costs[seller] : seller_fixed_cost_cents;
+    return Math.max(0, Number(v) || 0);
+  };
+}
+
+// 공급 부족 1개당 비용: 라인 최고가의 1000배(사실상 "가능하면 채운다")
+function shortfallUnit(offers) {
+  return (offers.reduce((m, o) => Math.max(m, Number(o.unit_price_cents || 0)), 0) + 1) * 1000;
+}
+
+/** 열린 판매자 집합 안에서 라인 순서대로 greedy 할당. 라인 간 같은 오퍼 재고는 공유한다. */
+function allocateWithin(lines, open, penaltyFor) {
+  const used = new Map();
+  return lines.map((l) => {
+    const offers = l.offers
+      .filter((o) => open.has(sellerOf(o)))
+      .map((o) => ({ ...o, available_qty: Math.max(0, Number(o.available_qty || 0) - (used.get(offerKey(o)) || 0)) }));
+    const plan = greedyAllocate(l.required_qty, offers, penaltyFor(l));
+    for (const a of plan.assignments) {
+      const k = `${a.source}:${a.offer_id}`;
+      used.set(k, (used.get(k) || 0) + a.qty);
+    }
+    return plan;
+  });
+}
+
+function usedSellers(lines, plans) {
+  const out = new Set();
+  plans.forEach((p, i) => {
+    const byKey = new Map(lines[i].offers.map((o) => [offerKey(o), o]));
+    for (const a of p.assignments) out.add(sellerOf(byKey.get(`${a.source}:${a.offer_id}`) || a));
+  });
+  return out;
+}
+
+/**
+ * greedy 장바구니: 판매자를 하나씩 열면서(총비용이 가장 많이 줄어드는 판매자부터) 라인을 다시 배정하고,
+ * 마지막에 빼도 손해가 없는 판매자를 닫는다. 총비용 = 물품+페널티 + 판매자 고정비 + 부족분 비용.
+ */
+function greedyBasket(lines, { fixedCost, max_sellers, penaltyFor }) {
+  const sellers = [...new Set(lines.flatMap((l) => l.offers.map(sellerOf)))];
+  const evaluate = (open) => {
+    const plans = allocateWithin(lines, open, penaltyFor);
+    const active = usedSellers(lines, plans);
+    let total = 0;
+    plans.forEach((p, i) => { total += p.totals.grand_cents + p.remaining * lines[i].shortfall_unit; });
+    for (const s of active) total += fixedCost(s);
+    return { total, plans, active };
+  };
+
+  let open = new Set();
+  let best = evaluate(open);
+  for (;;) {
+    if (max_sellers && best.active.size >= max_sellers) break;
+    let pick = null;
+    for (const s of sellers) {
+      if (open.has(s)) continue;
+      const trial = evaluate(new Set([...open, s]));
+      if (max_sellers && trial.active.size > max_sellers) continue;
+      if (trial.total < (pick ? pick.result.total : best.total)) pick = { seller: s, result: trial };
+    }
+    if (!pick) break;
+    open.add(pick.seller);
+    best = pick.result;
+  }
+  // 열어둔 판매자 중 빼는 편이 나은 것 정리
+  for (const s of [...open]) {
+    const without = new Set([...open].filter((x) => x !== s));
+    const trial = evaluate(without);
+    if (trial.total <= best.total) { open = without; best = trial; }
+  }
+  return best.plans;
+}
+
+/** ILP 장바구니: 라인별 모델을 합치고, 판매자 binary z 로 재고 제약을 게이트한다. */
+function ilpBasket(lines, { fixedCost, max_sellers, penaltyFor }) {
+  const caps = new Map();
+  const capKey = (o) => {
+    const k = offerKey(o);
+    if (!caps.has(k)) caps.set(k, { name: `cap_${caps.size}`, offer: o });
+    return caps.get(k).name;
+  };
+  const model = { optimize: 'cost', opType: 'min', constraints: {}, variables: {}, ints: {}, binaries: {}, options: { timeout: ILP_TIMEOUT_MS } };
+  const parts = lines.map((l, i) => {
+    const m = buildModel(l.required_qty, l.offers, penaltyFor(l), { prefix: `l${i}_`, capKey });
+    for (const k of ['variables', 'ints', 'binaries']) Object.assign(model[k], m.model[k]);
+    for (const [k, v] of Object.entries(m.model.constraints)) if (!model.constraints[k]) model.constraints[k] = v;
+    return m.segments;
+  });
+
+  const zOf = new Map();
+  for (const { name, offer } of caps.values()) {
+    const seller = sellerOf(offer);
+    if (!zOf.has(seller)) {
+      const z = `z_${zOf.size}`;
+      zOf.set(seller, z);
+      model.binaries[z] = 1;
+      model.variables[z] = { cost: fixedCost(seller), sellers: 1 };
+    }
+    // Σ x·unit − available·z ≤ 0 : 판매자를 열어야만 재고를 쓸 수 있다
+    model.constraints[name] = { max: 0 };
+    model.variables[zOf.get(seller)][name] = -Math.max(0, Math.trunc(Number(offer.available_qty || 0)));
+  }
+  if (max_sellers) model.constraints.sellers = { max: max_sellers };
+
+  const res = solver.Solve(model);
+  if (!res.feasible) return null;
+  return lines.map((l, i) => {
+    const assignments = readSolution(res, l.offers, parts[i]);
+    const qty = assignments.reduce((s, a) => s + a.qty, 0);
+    const cost = assignments.reduce((s, a) => s + a.qty * a.unit_price_cents, 0);
+    const grand = assignments.reduce((s, a) => s + a.qty * a.effective_unit_cents, 0);
+    return {
+      assignments,
+      remaining: Math.max(0, l.required_qty - qty),
+      overbuy_qty: Math.max(0, qty - l.required_qty),
+      totals: { cost_cents: Math.round(cost), penalty_cents: Math.round(grand - cost), grand_cents: Math.round(grand) },
+    };
+  });
+}
+
+/**
+ * 장바구니 전체 최적화. 라인별 최적화와 달리 판매자 고정비(배송/처리)와 최대 판매자 수를 반영해
+ * 여러 라인을 적은 수의 판매자로 모은다. existing_sellers 는 이미 주문 중인 판매자(고정비 0)로 우선 사용된다.
+ */
+async function basketOptimize({
+  items = [], solver: solverName = 'greedy',
+  allow_alternatives = true, k_alternatives = 6, use_bids = true,
+  lead_penalty_cents_per_unit_per_day = 10, alternative_penalty_cents_per_unit = 0,
+  seller_fixed_cost_cents = 0, seller_fixed_costs = {}, max_sellers = null, existing_sellers = [],
+  base_currency = 'USD', cache = null,
+} = {}) {
+  const useIlp = solverName === 'ilp';
+  // 고정비(seller_fixed_cost_cents 등)도 기준 통화 기준
+  const fx = converterFor({ base_currency });
+  cache = cache || createOfferCache();
+  await prefetchOffers(items, { allow_alternatives, k_alternatives, use_bids }, cache);
+  const lines = [];
+  for (const it of items) {
+    const gathered = await gatherOffers({ brand: it.brand, code: it.code }, { allow_alternatives, k_alternatives, use_bids }, cache);
+    const { offers, excluded } = await normalizeOffers(gathered, fx);
+    lines.push({ input: { brand: it.brand, code: it.code, required_qty: Number(it.required_qty || 0), due_date: it.due_date || null }, required_qty: Number(it.required_qty || 0), offers, excluded, shortfall_unit: shortfallUnit(offers) });
+  }
+
+  const maxSellers = Number(max_sellers) > 0 ? Math.trunc(Number(max_sellers)) : null;
+  const fixedCost = fixedCostFn({ seller_fixed_cost_cents, seller_fixed_costs, existing_sellers });
+  const penaltyFor = (l) => ({ due_date: l.input.due_date, lead_penalty_cents_per_unit_per_day, alternative_penalty_cents_per_unit });
+  const ctx = { fixedCost, max_sellers: maxSellers, penaltyFor };
+  const plans = useIlp ? ilpBasket(lines, ctx) : greedyBasket(lines, ctx);
+  if (!plans) throw new Error('basket model infeasible');
+
+  const sellerTotals = new Map();
+  const out = lines.map((l, i) => {
+    const byKey = new Map(l.offers.map((o) => [offerKey(o), o]));
+    const plan = plans[i];
+    for (const a of plan.assignments) {
+      a.seller = sellerOf(byKey.get(`${a.source}:${a.offer_id}`) || a);
+      const t = sellerTotals.get(a.seller) || { seller: a.seller, lines: 0, qty: 0, cost_cents: 0, fixed_cost_cents: fixedCost(a.seller) };
+      t.lines += 1; t.qty += a.qty; t.cost_cents += a.qty * a.unit_price_cents;
+      sellerTotals.set(a.seller, t);
+    }
+    return { input: l.input, offers_count: l.offers.length, offers_excluded_fx: l.excluded, route: classifyRoute(plan), plan };
+  });
+
+  const sellers = [...sellerTotals.values()].sort((a, b) => b.cost_cents - a.cost_cents);
+  const fixed = sellers.reduce((s, x) => s + x.fixed_cost_cents, 0);
+  const goods = out.reduce((s, r) => s + r.plan.totals.grand_cents, 0);
+  const summary = {
+    total_lines: out.length,
+    base_currency: fx.base,
+    total_required_qty: lines.reduce((s, l) => s + l.required_qty, 0),
+    goods_grand_cents: goods,
+    fixed_cost_cents: fixed,
+    total_grand_cents: goods + fixed,
+    sellers_used: sellers.length,
+    max_sellers: maxSellers,
+    lines_fully_satisfied: out.filter((r) => r.plan.remaining <= 0).length,
+    lines_need_pr: out.filter((r) => r.plan.remaining > 0).length,
+  };
+  return { mode: 'basket', summary, sellers, items: out };
+}
+
+module.exports = { basketOptimize, sellerOf };
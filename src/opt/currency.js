@@ -0,0 +1,35 @@
+const db = require('../../db');
+const { createFxConverter } = require('../lib/fx');
+
+function converterFor({ fx = null, base_currency = 'USD' } = {}) {
+  return fx || createFxConverter(db, base_currency);
+}
+
+/**
+ * 오퍼 단가(및 가격 구간)를 기준 통화로 환산한다. 원래 값은 original_* 로 남기고,
+ * 환율을 찾지 못한 오퍼는 비교할 수 없으므로 excluded 로 분리한다.
+ */
+async function normalizeOffers(offers, fx) {
+  const out = [];
+  const excluded = [];
+  for (const o of offers) {
+    let rate;
+    try { rate = await fx.rateFor(o.currency); } catch (e) {
+      excluded.push({ source: o.source, offer_id: o.id, currency: o.currency || null, reason: String(e.message || e) });
+      continue;
+    }
+    const conv = (cents) => Math.round(Number(cents || 0) * rate.rate);
+    out.push({
+      ...o,
+      unit_price_cents: conv(o.unit_price_cents),
+      currency: fx.base,
+      original_unit_price_cents: Number(o.unit_price_cents || 0),
+      original_currency: String(o.currency || fx.base).toUpperCase(),
+      price_tiers: (o.price_tiers || []).map((t) => ({ ...t, unit_price_cents: conv(t.unit_price_cents), original_unit_price_cents: t.unit_price_cents })),
+      fx: rate,
+    });
+  }
+  return { offers: out, excluded };
+}
+
+module.exports = { converterFor, normalizeOffers };
@@ -0,0 +1,94 @@
+function offerKey(o) { return `${o.source}:${o.id}`; }
+
+const EXCLUDE_DETAIL = {
+  inactive: 'listing/bid is not active (status or quote expired)',
+  unavailable: 'no quantity available',
+  fx_rate_missing: 'no FX rate to compare in base currency',
+};
+
+/**
+ * 라인 하나의 "왜 이 오퍼를 (안) 썼나" 설명.
+ *  - offers: 최적화에 들어간(기준 통화로 환산된) 오퍼
+ *  - unusable: unusable_reason 이 붙은 오퍼 / fx_excluded: 환율이 없어 뺀 오퍼
+ *  - metrics(o): { leadPenaltyCents, altPenaltyCents, effectiveUnitCents }
+ *  - segmentsOf(o): ILP 에서 주문 가능한 구간(MOQ/MPQ/가격 구간). greedy 는 생략
+ */
+function explainLine({ offers = [], unusable = [], fx_excluded = [], assignments = [], required_qty = 0, metrics, segmentsOf = null }) {
+  const alloc = new Map();
+  for (const a of assignments) alloc.set(`${a.source}:${a.offer_id}`, (alloc.get(`${a.source}:${a.offer_id}`) || 0) + Number(a.qty || 0));
+  const rows = offers.map((o) => ({ o, m: metrics(o), qty: alloc.get(offerKey(o)) || 0 }))
+    .sort((a, b) => a.m.effectiveUnitCents - b.m.effectiveUnitCents);
+  const used = rows.filter((r) => r.qty > 0);
+  const worstUsed = used.reduce((mx, r) => Math.max(mx, r.m.effectiveUnitCents), 0);
+  const cheapestUsedRaw = used.reduce((mn, r) => Math.min(mn, Number(r.o.unit_price_cents || 0)), Infinity);
+
+  const considered = rows.map((r, i) => {
+    const { o, m, qty } = r;
+    const available = Number(o.available_qty || 0);
+    const reasons = [];
+    if (m.leadPenaltyCents > 0) reasons.push({ code: 'lead_penalty', cents_per_unit: m.leadPenaltyCents, detail: `lead time ${o.lead_time_days}d is past due_date` });
+    if (m.altPenaltyCents > 0) reasons.push({ code: 'alternative_penalty', cents_per_unit: m.altPenaltyCents, detail: 'alternative part' });
+    if (qty > 0 && qty >= available) reasons.push({ code: 'quantity_cap', detail: `all ${available} available units taken` });
+    if (qty === 0) {
+      const segs = segmentsOf ? segmentsOf(o) : null;
+      if (segs && !segs.length) {
+        reasons.push({ code: 'moq_or_pack_unfillable', detail: `moq ${o.moq || 1} / pack ${o.mpq || 1} exceeds available ${available}` });
+      } else if (segs && segs.every((s) => s.min_units * s.unit > required_qty)) {
+        reasons.push({ code: 'moq_exceeds_need', detail: `minimum order ${segs[0].min_units * segs[0].unit} > required ${required_qty}` });
+      } else if (used.length && m.effectiveUnitCents >= worstUsed) {
+        reasons.push({ code: 'demand_met_by_better_offers', detail: `effective ${m.effectiveUnitCents} ≥ ${worstUsed} of offers used` });
+      } else if (used.length) {
+        reasons.push({ code: 'not_selected_by_solver', detail: 'cheaper per unit, but the pack/MOQ/tier mix elsewhere was cheaper overall' });
+      }
+      if (Number(o.unit_price_cents || 0) < cheapestUsedRaw && (m.leadPenaltyCents > 0 || m.altPenaltyCents > 0)) {
+        reasons.push({ code: 'cheaper_but_penalized', detail: `base price ${o.unit_price_cents} < ${cheapestUsedRaw} but penalties raise effective cost to ${m.effectiveUnitCents}` });
+      }
+    }
+    return {
+      rank: i + 1,
+      source: o.source,
+      offer_id: o.id,
+      brand: o.brand, code: o.code,
+      is_alternative: !!o.is_alternative,
+      status: qty <= 0 ? 'not_used' : qty >= Math.min(available, required_qty) ? 'used' : 'partially_used',
+      allocated_qty: qty,
+      available_qty: available,
+      lead_time_days: o.lead_time_days,
+      unit_price_cents: o.unit_price_cents,
+      original_unit_price_cents: o.original_unit_price_cents ?? o.unit_price_cents,
+      original_currency: o.original_currency || o.currency || null,
+      effective_unit_cents: m.effectiveUnitCents,
+      penalties_per_unit: { lead_cents: m.leadPenaltyCents, alternative_cents: m.altPenaltyCents },
+      moq: o.moq ?? null,
+      mpq: o.mpq ?? null,
+      reasons,
+    };
+  });
+
+  const excluded = [
+    ...unusable.map((o) => ({ source: o.source, offer_id: o.id, brand: o.brand, code: o.code, status: 'excluded', reasons: [{ code: o.unusable_reason, detail: EXCLUDE_DETAIL[o.unusable_reason] || o.unusable_reason }] })),
+    ...fx_excluded.map((x) => ({ source: x.source, offer_id: x.offer_id, status: 'excluded', reasons: [{ code: 'fx_rate_missing', detail: `${EXCLUDE_DETAIL.fx_rate_missing} (${x.currency || '?'})` }] })),
+  ];
+  return { considered, excluded };
+}
+
+// 풀이 결과에서 lhs == bound 인 제약(등호로 묶인 제약)
+function bindingConstraints(model, solution, describe) {
+  const lhs = {};
+  for (const [v, attrs] of Object.entries(model.variables)) {
+    const x = Number(solution[v] || 0);
+    if (!x) continue;
+    for (const [c, coef] of Object.entries(attrs)) if (model.constraints[c]) lhs[c] = (lhs[c] || 0) + coef * x;
+  }
+  const out = [];
+  for (const [c, bound] of Object.entries(model.constraints)) {
+    const value = lhs[c] || 0;
+    const hit = (bound.max != null && Math.abs(value - bound.max) < 1e-6) || (bound.min != null && Math.abs(value - bound.min) < 1e-6);
+    if (!hit) continue;
+    const d = describe(c);
+    if (d) out.push({ constraint: c, value, ...bound, ...d });
+  }
+  return out;
+}
+
+module.exports = { explainLine, bindingConstraints };
@@ -1,5 +1,8 @@
-const db = require('../../db');
 const solver = require('javascript-lp-solver');
+const { converterFor, normalizeOffers } = require('./currency');
+const { createOfferCache, prefetchOffers, gatherOffers, gatherAllOffers } = require('./offers');
+const { computeEffectiveUnit } = require('./optimizer');
+const { explainLine, bindingConstraints } = require('./explain');
 
 function daysUntil(due) {
   if (!due) return null;
@@ -9,94 +12,6 @@ function daysUntil(due) {
   } catch { return null; }
 }
 
-async function getKnownSpecsTables() {
-  const r = await db.query(`SELECT family_slug, specs_table FROM public.component_registry ORDER BY family_slug`);
-  return r.rows;
-}
-async function findExactRow(brand, code) {
-  const regs = await getKnownSpecsTables();
-  for (const r of regs) {
-    const q = await db.query(`SELECT * FROM public/${r.specs_table} WHERE (brand_norm=lower($1) OR lower(brand)=lower($1)) AND (code_norm=lower($2) OR lower(code)=lower($2)) LIMIT 1`, [brand, code]);
-    if (q.rows.length) return { table: r.specs_table, family_slug: q.rows[0].family_slug || r.family_slug, row: q.rows[0] };
-  }
-  return null;
-}
-async function getAlternativesFor(table, baseRow, k=6) {
-  try {
-    if (baseRow.embedding) {
-      const q = await db.query(`SELECT *, (embedding <=> $1::vector) AS dist FROM public/${table} WHERE NOT (brand_norm=$2 AND code_norm=$3) ORDER BY embedding <=> $1::vector LIMIT $4`,
-        [baseRow.embedding, baseRow.brand_norm || baseRow.brand?.toLowerCase(), baseRow.code_norm || baseRow.code?.toLowerCase(), k]);
-      return { mode: 'embedding', items: q.rows };
-    }
-  } catch {}
-  const q2 = await db.query(`
-    SELECT *,
-      (CASE WHEN family_slug IS NOT NULL AND family_slug = $1 THEN 0 ELSE 1 END) * 1.0 +
-      COALESCE(ABS(COALESCE(coil_voltage_vdc,0) - COALESCE($2::numeric,0)) / 100.0, 1.0) AS score
-    FROM public/${table}
-    WHERE NOT (brand_norm=$3 AND code_norm=$4)
-    ORDER BY score ASC
-    LIMIT $5
-  `, [baseRow.family_slug || null, baseRow.coil_voltage_vdc || null, baseRow.brand_norm || baseRow.brand?.toLowerCase(), baseRow.code_norm || baseRow.code?.toLowerCase(), k]);
-  return { mode: 'rule-fallback', items: q2.rows };
-}
-
-async function gatherListings(brand, code) {
-  const r = await db.query(`
-    SELECT id, brand, code, brand_norm, code_norm, price_cents, currency, quantity_available, lead_time_days, seller_ref
-    FROM public.listings
-    WHERE brand_norm=lower($1) AND code_norm=lower($2) AND quantity_available > 0
-    ORDER BY price_cents ASC, lead_time_days NULLS FIRST, created_at DESC
-  `, [brand, code]);
-  return r.rows.map(x => ({
-    source: 'listing',
-    id: x.id,
-    brand: x.brand, code: x.code,
-    is_alternative: false,
-    unit_price_cents: Number(x.price_cents || 0),
-    currency: x.currency || 'USD',
-    available_qty: Number(x.quantity_available || 0),
-    lead_time_days: x.lead_time_days == null ? null : Number(x.lead_time_days),
-    meta: { seller_ref: x.seller_ref }
-  }));
-}
-async function gatherBidsForSku(brand, code) {
-  const r = await db.query(`
-    SELECT b.*, pr.brand, pr.code
-    FROM public.bids b
-    JOIN public.purchase_requests pr ON pr.id = b.purchase_request_id
-    WHERE pr.brand_norm=lower($1) AND pr.code_norm=lower($2)
-    ORDER BY b.price_cents ASC, b.lead_time_days NULLS FIRST, b.created_at DESC
-  `, [brand, code]);
-  return r.rows.map(x => ({
-    source: 'bid', id: x.id,
-    brand: x.brand, code: x.code,
-    is_alternative: false,
-    unit_price_cents: Number(x.price_cents || 0),
-    currency: x.currency || 'USD',
-    available_qty: Number(x.offer_qty || 0),
-    lead_time_days: x.lead_time_days == null ? null : Number(x.lead_time_days),
-    meta: { purchase_request_id: x.purchase_request_id }
-  }));
-}
-async function gatherAltBidsFor(brand, code) {
-  const r = await db.query(`
-    SELECT * FROM public.bids
-    WHERE is_alternative = true AND lower(alt_brand)=lower($1) AND lower(alt_code)=lower($2)
-    ORDER BY price_cents ASC, lead_time_days NULLS FIRST, created_at DESC
-  `, [brand, code]);
-  return r.rows.map(x => ({
-    source: 'bid', id: x.id,
-    brand: x.alt_brand, code: x.alt_code,
-    is_alternative: true,
-    unit_price_cents: Number(x.price_cents || 0),
-    currency: x.currency || 'USD',
-    available_qty: Number(x.offer_qty || 0),
-    lead_time_days: x.lead_time_days == null ? null : Number(x.lead_time_days),
-    meta: { purchase_request_id: x.purchase_request_id }
-  }));
-}
-
 function coefficientFor(offer, { due_date=null, lead_penalty_cents_per_unit_per_day=10, alternative_penalty_cents_per_unit=0 }) {
   const unit = Number(offer.unit_price_cents || 0);
   let leadPenalty = 0;
@@ -111,112 +26,234 @@ function coefficientFor(offer, { due_date=null, lead_penalty_cents_per_unit_per_
   return unit + leadPenalty + alt;
 }
 
-function buildModel(required_qty, offers, penaltyCfg) {
+const ILP_TIMEOUT_MS = Number(process.env.ILP_TIMEOUT_MS || 5000);
+
+/**
+ * 오퍼 → 구매 가능한 구간(segment) 목록.
+ *  - unit: 주문 단위(mpq_required_order 면 MPQ, 아니면 1)
+ *  - 구간마다 최소 수량(MOQ·가격 구간 시작점 중 큰 값)과 단가를 갖는다
+ *  - 가격 구간은 전체 수량 적용(all-units) 방식: 선택된 구간의 단가가 주문 수량 전체에 적용
+ */
+function offerSegments(o) {
+  const available = Math.max(0, Math.trunc(Number(o.available_qty || 0)));
+  const mpq = Math.trunc(Number(o.mpq || 0));
+  const unit = o.mpq_required_order && mpq > 1 ? mpq : 1;
+  const moq = Math.max(1, Math.trunc(Number(o.moq || 0)));
+  const maxUnits = Math.floor(available / unit);
+  const tiers = [{ min_qty: 1, unit_price_cents: Number(o.unit_price_cents || 0), original_unit_price_cents: o.original_unit_price_cents }, ...(o.price_tiers || [])];
+  const segs = [];
+  for (const t of tiers) {
+    const minQty = Math.max(moq, t.min_qty);
+    const minUnits = Math.ceil(minQty / unit);
+    if (minUnits > maxUnits) continue;
+    segs.push({ tier_min_qty: t.min_qty, unit_price_cents: t.unit_price_cents, original_unit_price_cents: t.original_unit_price_cents ?? t.unit_price_cents, unit, min_units: minUnits, max_units: maxUnits });
+  }
+  return segs;
+}
+
+/**
+ * 한 라인의 ILP 모델. prefix 로 변수/제약 이름을 구분하고, capKey 로 여러 라인이 같은 오퍼 재고를
+ * 공유하게 할 수 있다(장바구니 단위 최적화).
+ */
+function buildModel(required_qty, offers, penaltyCfg, { prefix = '', capKey = null } = {}) {
   const variables = {};
-  const constraints = { demand: { min: Number(required_qty || 0) } };
-  let intVars = {};
+  const demand = `${prefix}demand`;
+  const constraints = { [demand]: { min: Number(required_qty || 0) } };
+  const ints = {};
+  const binaries = {};
+  const segments = {};
+  // 주문 단위 하나(MPQ 팩·MOQ 하한 포함)를 살 때의 최대 비용 — 부족분 slack 은 이보다 비싸야 한다
+  let worstOrderCost = 0;
   offers.forEach((o, idx) => {
-    const name = `x_${idx}`;
-    const coef = coefficientFor(o, penaltyCfg);
-    variables[name] = {
-      cost: coef,
-      demand: 1,
-    };
-    constraints[name] = { max: Number(o.available_qty || 0) };
-    variables[name][name] = 1;
-    // Treat as integer? For discrete units we can set integers; keep continuous first for speed.
-    // intVars[name] = 1;
+    const segs = offerSegments(o);
+    if (!segs.length) return;
+    // 오퍼 하나의 구간들은 재고를 공유하고, 가격 구간은 하나만 고른다
+    const cap = capKey ? capKey(o, idx) : `${prefix}cap_${idx}`;
+    constraints[cap] = constraints[cap] || { max: segs[0].max_units * segs[0].unit };
+    const gated = segs.length > 1 || segs[0].min_units > 1;
+    const one = `${prefix}one_${idx}`;
+    if (segs.length > 1) constraints[one] = { max: 1 };
+    segs.forEach((seg, t) => {
+      const name = `${prefix}x_${idx}_${t}`;
+      const coef = coefficientFor({ ...o, unit_price_cents: seg.unit_price_cents }, penaltyCfg);
+      worstOrderCost = Math.max(worstOrderCost, coef * seg.unit * seg.min_units);
+      // 변수 단위는 주문 단위(팩) 수량
+      variables[name] = { cost: coef * seg.unit, [demand]: seg.unit, [cap]: seg.unit };
+      ints[name] = 1;
+      segments[name] = { idx, ...seg, coef };
+      if (!gated) return;
+      // MOQ/구간 하한: y=0 이면 0, y=1 이면 min_units ≤ x ≤ max_units
+      const y = `${prefix}y_${idx}_${t}`;
+      const lo = `${prefix}lo_${idx}_${t}`;
+      const hi = `${prefix}hi_${idx}_${t}`;
+      binaries[y] = 1;
+      variables[y] = { [lo]: -seg.min_units, [hi]: -seg.max_units };
+      if (segs.length > 1) variables[y][one] = 1;
+      variables[name][lo] = 1;
+      variables[name][hi] = 1;
+      constraints[lo] = { min: 0 };
+      constraints[hi] = { max: 0 };
+    });
   });
+  // 공급 부족분은 큰 비용의 slack 으로 받아서 부분 계획이라도 돌려준다.
+  // 부족 1개 비용이 어떤 주문 단위 하나보다도 비싸서, 살 수 있으면 항상 사는 쪽이 이긴다
+  variables[`${prefix}shortfall`] = { cost: worstOrderCost + 1, [demand]: 1 };
+  ints[`${prefix}shortfall`] = 1;
   const model = {
     optimize: 'cost',
     opType: 'min',
     constraints,
     variables,
-    // integers: intVars,  // enable if strictly integer is needed
+    ints,
+    binaries,
+    options: { timeout: ILP_TIMEOUT_MS },
   };
-  return model;
+  return { model, segments };
 }
 
-function readSolution(soln, offers) {
+function readSolution(soln, offers, segments) {
   const out = [];
-  let remaining = 0;
   for (const [name, v] of Object.entries(soln)) {
-    if (!name.startsWith('x_')) continue;
-    const idx = Number(name.split('_')[1]);
-    const qty = Math.max(0, Math.round(v));
-    if (qty <= 0) continue;
-    const o = offers[idx];
+    const seg = segments[name];
+    if (!seg) continue;
+    const units = Math.max(0, Math.round(v));
+    if (units <= 0) continue;
+    const o = offers[seg.idx];
     out.push({
       source: o.source,
       offer_id: o.id,
       brand: o.brand, code: o.code,
-      qty,
-      unit_price_cents: o.unit_price_cents,
-      effective_unit_cents: o.unit_price_cents, // ILP already included penalties in objective
+      qty: units * seg.unit,
+      unit_price_cents: seg.unit_price_cents,
+      effective_unit_cents: seg.coef,
       lead_time_days: o.lead_time_days,
       is_alternative: !!o.is_alternative,
       currency: o.currency || 'USD',
+      original_unit_price_cents: seg.original_unit_price_cents,
+      original_currency: o.original_currency || o.currency || 'USD',
+      fx: o.fx || null,
+      order_unit: seg.unit,
+      moq: o.moq || null,
+      price_tier_min_qty: seg.tier_min_qty,
       meta: o.meta || {},
     });
-    remaining += qty;
   }
   return out;
 }
 
-async function ilpOptimizeLine({ brand, code, required_qty, due_date=null }, { allow_alternatives=true, k_alternatives=6, use_bids=true, lead_penalty_cents_per_unit_per_day=10, alternative_penalty_cents_per_unit=0 } = {}) {
-  // 1) enumerate offers
-  const offers = [];
-  offers.push(...await gatherListings(brand, code));
-  if (use_bids) offers.push(...await gatherBidsForSku(brand, code));
-  if (allow_alternatives) {
-    const base = await findExactRow(brand, code);
-    if (base) {
-      const alts = await getAlternativesFor(base.table, base.row, k_alternatives);
-      for (const r of alts.items) {
-        offers.push(...(await gatherListings(r.brand || r.brand_norm, r.code || r.code_norm)).map(x => ({ ...x, is_alternative: true })));
-        if (use_bids) offers.push(...(await gatherAltBidsFor(r.brand || r.brand_norm, r.code || r.code_norm)));
-      }
+function planFrom(res, required_qty, offers, segments) {
+  const assigns = readSolution(res, offers, segments);
+  const sumQty = assigns.reduce((s,a)=>s+a.qty,0);
+  // 팩/MOQ 때문에 필요 수량보다 더 사게 될 수 있다(overbuy_qty)
+  const cost = assigns.reduce((s,a)=>s + a.qty * a.unit_price_cents, 0);
+  const grand = assigns.reduce((s,a)=>s + a.qty * a.effective_unit_cents, 0);
+  return {
+    assignments: assigns,
+    remaining: Math.max(0, required_qty - sumQty),
+    overbuy_qty: Math.max(0, sumQty - required_qty),
+    totals: { cost_cents: Math.round(cost), penalty_cents: Math.round(grand - cost), grand_cents: Math.round(grand) }
+  };
+}
+
+function solveLine(required_qty, offers, penaltyCfg) {
+  // ILP model: MPQ 팩 단위 정수, MOQ/가격 구간은 binary 로 게이트
+  const { model, segments } = buildModel(required_qty, offers, penaltyCfg);
+  const res = solver.Solve(model);
+  if (!res.feasible) return null;
+  return { model, segments, res, plan: planFrom(res, required_qty, offers, segments) };
+}
+
+// 이미 모은(환산된) 오퍼로 한 라인을 푼다. 실패 시 null.
+function solvePlan(required_qty, offers, penaltyCfg) {
+  const solved = solveLine(required_qty, offers, penaltyCfg);
+  return solved ? solved.plan : null;
+}
+
+/**
+ * 풀이에서 등호로 묶인 제약. 쓰지 않은 구간(y=0)의 lo/hi 는 0=0 으로 자명하게 묶이므로 뺀다.
+ *  - demand: 필요 수량 / quantity_cap: 오퍼 재고 소진 / min_order: MOQ·가격 구간 하한 / tier_max: 구간 상한
+ */
+function bindingOf({ model, res }, offers) {
+  const ref = (idx) => ({ source: offers[idx].source, offer_id: offers[idx].id });
+  return bindingConstraints(model, res, (c) => {
+    if (c === 'demand') return { kind: 'demand' };
+    let m = /^cap_(\d+)$/.exec(c);
+    if (m) return { kind: 'quantity_cap', ...ref(Number(m[1])) };
+    m = /^(lo|hi)_(\d+)_(\d+)$/.exec(c);
+    if (m) {
+      if (!Math.round(Number(res[`y_${m[2]}_${m[3]}`] || 0))) return null;
+      return { kind: m[1] === 'lo' ? 'min_order' : 'tier_max', ...ref(Number(m[2])) };
     }
-  }
-  // 2) build LP model
+    return null;
+  });
+}
+
+/**
+ * 수요 제약의 shadow price: 정수 모델이라 LP 쌍대값 대신 필요 수량을 1 늘려 다시 푼 목적값 차이.
+ * 늘린 1개를 부족분(shortfall slack)으로 받았다면 시장에서 더 살 수 없다는 뜻이다.
+ */
+function demandShadowPrice(solved, required_qty, offers, penaltyCfg) {
+  const { model } = buildModel(required_qty + 1, offers, penaltyCfg);
+  const next = solver.Solve(model);
+  if (!next.feasible) return null;
+  return {
+    method: 'finite_difference',
+    cents_per_unit: Math.round(Number(next.result || 0) - Number(solved.res.result || 0)),
+    from_shortfall: Number(next.shortfall || 0) > Number(solved.res.shortfall || 0),
+  };
+}
+
+function routeOf(plan, required_qty) {
+  const sumQty = plan.assignments.reduce((s,a)=>s+a.qty,0);
+  const usedBids = plan.assignments.some(a=>a.source==='bid');
+  const usedListings = plan.assignments.some(a=>a.source==='listing');
+  return sumQty >= required_qty
+    ? (usedBids && usedListings ? 'mixed' : (usedBids ? 'auction' : 'stock'))
+    : (usedListings ? 'mixed' : 'auction');
+}
+
+async function ilpOptimizeLine({ brand, code, required_qty, due_date=null }, { allow_alternatives=true, k_alternatives=6, use_bids=true, lead_penalty_cents_per_unit_per_day=10, alternative_penalty_cents_per_unit=0, base_currency='USD', fx=null, cache=null } = {}) {
+  // 1) enumerate offers
+  const gathered = await gatherAllOffers({ brand, code }, { allow_alternatives, k_alternatives, use_bids }, cache || createOfferCache());
+  const unusable = gathered.filter(o => o.unusable_reason);
+  // 기준 통화로 환산해야 계수(coefficientFor)끼리 비교가 된다
+  fx = converterFor({ fx, base_currency });
+  const { offers, excluded } = await normalizeOffers(gathered.filter(o => !o.unusable_reason), fx);
+  // 2) build + solve
   const penaltyCfg = { due_date, lead_penalty_cents_per_unit_per_day, alternative_penalty_cents_per_unit };
-  const model = buildModel(required_qty, offers, penaltyCfg);
-  // 3) solve
-  const res = solver.Solve(model);
-  if (!res.feasible) {
-    return {
-      input: { brand, code, required_qty, due_date },
-      offers_count: offers.length,
-      solver: 'ilp',
-      feasible: false,
-      plan: { assignments: [], remaining: required_qty, totals: { cost_cents: 0, penalty_cents: 0, grand_cents: 0 } },
-      route: 'auction'
-    };
+  const solved = solveLine(required_qty, offers, penaltyCfg);
+  const plan = solved ? solved.plan : { assignments: [], remaining: required_qty, totals: { cost_cents: 0, penalty_cents: 0, grand_cents: 0 } };
+  // 3) explain: 오퍼별 순위/제외 사유 + 묶인 제약과 수요 shadow price
+  const explanation = explainLine({
+    offers, unusable, fx_excluded: excluded, assignments: plan.assignments, required_qty,
+    metrics: (o) => computeEffectiveUnit(o, penaltyCfg),
+    segmentsOf: offerSegments,
+  });
+  if (solved) {
+    explanation.binding_constraints = bindingOf(solved, offers);
+    explanation.demand_shadow_price = demandShadowPrice(solved, required_qty, offers, penaltyCfg);
   }
-  const assigns = readSolution(res, offers);
-  const sumQty = assigns.reduce((s,a)=>s+a.qty,0);
-  const route = sumQty >= required_qty ? (assigns.some(a=>a.source==='bid') && assigns.some(a=>a.source==='listing') ? 'mixed' : (assigns.some(a=>a.source==='bid') ? 'auction' : 'stock')) : 'mixed';
-  // 비용 합산(목표에 페널티 포함했으므로 penalty 별도 0으로 처리, grand=objective)
   return {
     input: { brand, code, required_qty, due_date },
     offers_count: offers.length,
+    offers_excluded_fx: excluded,
     solver: 'ilp',
-    feasible: true,
-    plan: {
-      assignments: assigns,
-      remaining: Math.max(0, required_qty - sumQty),
-      totals: { cost_cents: Math.round(res.result), penalty_cents: 0, grand_cents: Math.round(res.result) }
-    },
-    route
+    feasible: !!solved,
+    plan,
+    route: solved ? routeOf(plan, required_qty) : 'auction',
+    explanation
   };
 }
 
-async function ilpOptimize({ items=[], allow_alternatives=true, k_alternatives=6, use_bids=true, lead_penalty_cents_per_unit_per_day=10, alternative_penalty_cents_per_unit=0 } = {}) {
+async function ilpOptimize({ items=[], allow_alternatives=true, k_alternatives=6, use_bids=true, lead_penalty_cents_per_unit_per_day=10, alternative_penalty_cents_per_unit=0, base_currency='USD', cache=null } = {}) {
+  const fx = converterFor({ base_currency });
+  cache = cache || createOfferCache();
+  await prefetchOffers(items, { allow_alternatives, k_alternatives, use_bids }, cache);
   const out = [];
-  let summary = { total_lines: items.length, total_required_qty: 0, total_grand_cents: 0, lines_fully_satisfied: 0, lines_need_pr: 0 };
+  let summary = { total_lines: items.length, base_currency: fx.base, total_required_qty: 0, total_grand_cents: 0, lines_fully_satisfied: 0, lines_need_pr: 0 };
   for (const it of items) {
     summary.total_required_qty += Number(it.required_qty || 0);
-    const r = await ilpOptimizeLine(it, { allow_alternatives, k_alternatives, use_bids, lead_penalty_cents_per_unit_per_day, alternative_penalty_cents_per_unit });
+    const r = await ilpOptimizeLine(it, { allow_alternatives, k_alternatives, use_bids, lead_penalty_cents_per_unit_per_day, alternative_penalty_cents_per_unit, fx, cache });
     out.push(r);
     summary.total_grand_cents += r.plan.totals.grand_cents;
     if (r.plan.remaining > 0 || !r.feasible) summary.lines_need_pr += 1; else summary.lines_fully_satisfied += 1;
@@ -224,4 +261,4 @@ async function ilpOptimize({ items=[], allow_alternatives=true, k_alternatives=6
   return { summary, items: out };
 }
 
-module.exports = { ilpOptimize, ilpOptimizeLine };
+module.exports = { ilpOptimize, ilpOptimizeLine, gatherOffers, solvePlan, routeOf, buildModel, readSolution, offerSegments, coefficientFor };
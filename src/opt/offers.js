@@ -0,0 +1,293 @@
+const db = require('../../db');
+const { ensureReservations, heldQtySql } = require('../orders/reservations');
+const { readPriceBreaks } = require('../lib/priceBreaks');
+
+/**
+ * 요청 단위 오퍼 캐시 + 일괄 조회.
+ * 라인마다 specs 테이블을 하나씩 뒤지고 대체품마다 listing/bid 를 따로 읽던 것을
+ * 장바구니 전체에 대해 집합 쿼리 몇 번으로 끝낸다. optimizer/ilp/bom 이 같은 캐시를 공유한다.
+ */
+function createOfferCache() {
+  return {
+    registry: null,
+    columns: new Map(),
+    exact: new Map(),
+    alternatives: new Map(),
+    listings: new Map(),
+    bids: new Map(),
+    altBids: new Map(),
+  };
+}
+
+function norm(v) { return String(v || '').toLowerCase(); }
+function skuKey(brand, code) { return `${norm(brand)}|${norm(code)}`; }
+
+// 캐시에 없는 (brand, code) 만 골라 unnest 용 배열로
+function missingPairs(pairs, map) {
+  const seen = new Set();
+  const bn = [], cn = [];
+  for (const [b, c] of pairs) {
+    if (!b || !c) continue;
+    const k = skuKey(b, c);
+    if (map.has(k) || seen.has(k)) continue;
+    seen.add(k);
+    bn.push(norm(b)); cn.push(norm(c));
+  }
+  return { keys: [...seen], bn, cn };
+}
+
+async function registry(cache) {
+  if (!cache.registry) {
+    const r = await db.query(`SELECT family_slug, specs_table FROM public.component_registry ORDER BY family_slug`);
+    cache.registry = r.rows;
+  }
+  return cache.registry;
+}
+
+async function columnNames(table, cache) {
+  if (!cache.columns.has(table)) {
+    const q = await db.query(
+      `SELECT column_name FROM information_schema.columns WHERE table_schema='public' AND table_name=$1`,
+      [table]
+    );
+    cache.columns.set(table, new Set(q.rows.map(r => r.column_name)));
+  }
+  return cache.columns.get(table);
+}
+
+// 모든 family 테이블을 UNION ALL 한 번으로 조회. 여러 테이블에 있으면 registry 순서가 앞선 쪽.
+async function loadExact(pairs, cache) {
+  const { keys, bn, cn } = missingPairs(pairs, cache.exact);
+  if (!keys.length) return;
+  for (const k of keys) cache.exact.set(k, null);
+  const regs = await registry(cache);
+  if (!regs.length) return;
+  const parts = regs.map((r, i) => `
+    SELECT ${i}::int AS reg, brand_norm, code_norm, to_jsonb(t) AS row
+      FROM public.${r.specs_table} t
+     WHERE (brand_norm, code_norm) IN (SELECT * FROM unnest($1::text[], $2::text[]))`);
+  const q = await db.query(`${parts.join(' UNION ALL ')} ORDER BY reg`, [bn, cn]);
+  for (const x of q.rows) {
+    const k = `${x.brand_norm}|${x.code_norm}`;
+    if (cache.exact.get(k)) continue;
+    const reg = regs[x.reg];
+    cache.exact.set(k, { table: reg.specs_table, family_slug: x.row.family_slug || reg.family_slug, row: x.row });
+  }
+}
+
+async function loadListings(pairs, cache) {
+  const { keys, bn, cn } = missingPairs(pairs, cache.listings);
+  if (!keys.length) return;
+  for (const k of keys) cache.listings.set(k, []);
+  await ensureReservations();
+  const q = await db.query(`
+    SELECT l.*, ${heldQtySql('l')} AS held_qty
+      FROM public.listings l
+     WHERE (brand_norm, code_norm) IN (SELECT * FROM unnest($1::text[], $2::text[]))
+     ORDER BY price_cents ASC, lead_time_days NULLS FIRST, created_at DESC
+  `, [bn, cn]);
+  for (const x of q.rows) cache.listings.get(`${x.brand_norm}|${x.code_norm}`)?.push(x);
+}
+
+async function loadBids(pairs, cache) {
+  const { keys, bn, cn } = missingPairs(pairs, cache.bids);
+  if (!keys.length) return;
+  for (const k of keys) cache.bids.set(k, []);
+  const q = await db.query(`
+    SELECT b.*, pr.brand, pr.code, pr.brand_norm AS pr_brand_norm, pr.code_norm AS pr_code_norm
+      FROM public.bids b
+      JOIN public.purchase_requests pr ON pr.id = b.purchase_request_id
+     WHERE (pr.brand_norm, pr.code_norm) IN (SELECT * FROM unnest($1::text[], $2::text[]))
+     ORDER BY b.price_cents ASC, b.lead_time_days NULLS FIRST, b.created_at DESC
+  `, [bn, cn]);
+  for (const x of q.rows) cache.bids.get(`${x.pr_brand_norm}|${x.pr_code_norm}`)?.push(x);
+}
+
+async function loadAltBids(pairs, cache) {
+  const { keys, bn, cn } = missingPairs(pairs, cache.altBids);
+  if (!keys.length) return;
+  for (const k of keys) cache.altBids.set(k, []);
+  const q = await db.query(`
+    SELECT * FROM public.bids
+     WHERE is_alternative = true
+       AND (lower(alt_brand), lower(alt_code)) IN (SELECT * FROM unnest($1::text[], $2::text[]))
+     ORDER BY price_cents ASC, lead_time_days NULLS FIRST, created_at DESC
+  `, [bn, cn]);
+  for (const x of q.rows) cache.altBids.get(skuKey(x.alt_brand, x.alt_code))?.push(x);
+}
+
+function altKey(table, row, k) { return `${table}|${row.brand_norm || norm(row.brand)}|${row.code_norm || norm(row.code)}|${k}`; }
+
+/**
+ * 대체품 후보. 임베딩이 있으면 벡터 거리, 없으면 family/코일전압 룰 스코어.
+ * 테이블별로 LATERAL 조인 한 번씩만 실행한다.
+ */
+async function loadAlternatives(bases, k, cache) {
+  const byTable = new Map();
+  for (const b of bases) {
+    if (!b?.table || !b.row) continue;
+    const key = altKey(b.table, b.row, k);
+    if (cache.alternatives.has(key)) continue;
+    cache.alternatives.set(key, { mode: b.row.embedding ? 'embedding' : 'rule-fallback', items: [] });
+    if (!byTable.has(b.table)) byTable.set(b.table, []);
+    byTable.get(b.table).push({ key, row: b.row });
+  }
+
+  for (const [table, list] of byTable) {
+    const emb = list.filter(x => x.row.embedding);
+    const rule = list.filter(x => !x.row.embedding);
+    const bnOf = (r) => r.brand_norm || norm(r.brand);
+    const cnOf = (r) => r.code_norm || norm(r.code);
+    try {
+      if (emb.length) {
+        const q = await db.query(`
+          SELECT b.idx, a.*
+            FROM unnest($1::int[], $2::text[], $3::text[], $4::text[]) AS b(idx, emb, bn, cn)
+            CROSS JOIN LATERAL (
+              SELECT t.*, (t.embedding <=> b.emb::vector) AS dist
+                FROM public.${table} t
+               WHERE NOT (t.brand_norm = b.bn AND t.code_norm = b.cn)
+               ORDER BY t.embedding <=> b.emb::vector
+               LIMIT $5
+            ) a
+        `, [emb.map((_, i) => i), emb.map(x => String(x.row.embedding)), emb.map(x => bnOf(x.row)), emb.map(x => cnOf(x.row)), k]);
+        for (const r of q.rows) {
+          const { idx, ...row } = r;
+          cache.alternatives.get(emb[idx].key).items.push(row);
+        }
+      }
+      if (rule.length) {
+        const cols = await columnNames(table, cache);
+        const coilTerm = cols.has('coil_voltage_vdc')
+          ? `COALESCE(ABS(COALESCE(t.coil_voltage_vdc::numeric,0) - COALESCE(b.coil::numeric,0)) / 100.0, 1.0)`
+          : `1.0`;
+        const familyTerm = cols.has('family_slug')
+          ? `CASE WHEN t.family_slug IS NOT NULL AND t.family_slug = b.fam THEN 0 ELSE 1 END`
+          : `1`;
+        const q = await db.query(`
+          SELECT b.idx, a.*
+            FROM unnest($1::int[], $2::text[], $3::text[], $4::text[], $5::text[]) AS b(idx, fam, coil, bn, cn)
+            CROSS JOIN LATERAL (
+              SELECT t.*, (${familyTerm})*1.0 + ${coilTerm} AS score
+                FROM public.${table} t
+               WHERE NOT (t.brand_norm = b.bn AND t.code_norm = b.cn)
+               ORDER BY score ASC
+               LIMIT $6
+            ) a
+        `, [rule.map((_, i) => i), rule.map(x => x.row.family_slug || null), rule.map(x => x.row.coil_voltage_vdc == null ? null : String(x.row.coil_voltage_vdc)), rule.map(x => bnOf(x.row)), rule.map(x => cnOf(x.row)), k]);
+        for (const r of q.rows) {
+          const { idx, ...row } = r;
+          cache.alternatives.get(rule[idx].key).items.push(row);
+        }
+      }
+    } catch (e) {
+      // 대체품은 부가 정보 — 테이블 하나가 실패해도 나머지는 계속
+      console.warn(`[offers] alternatives for ${table} failed`, e.message || e);
+    }
+  }
+}
+
+function alternativesOf(base, k, cache) {
+  return cache.alternatives.get(altKey(base.table, base.row, k)) || { mode: 'none', items: [] };
+}
+
+// 후보에서 빠지는 이유 (설명용으로 남겨 둔다)
+const CLOSED_BID_STATUS = new Set(['rejected', 'withdrawn', 'cancelled', 'canceled', 'expired']);
+function unusableReason(x, source) {
+  if (source === 'listing') {
+    if (x.status === 'soldout' || !(Number(x.quantity_available) - Number(x.held_qty || 0) > 0)) return 'unavailable';
+    if (x.status != null && x.status !== 'active') return 'inactive';
+    return null;
+  }
+  if (x.status && CLOSED_BID_STATUS.has(String(x.status).toLowerCase())) return 'inactive';
+  if (x.quote_valid_until && new Date(x.quote_valid_until).getTime() < Date.now()) return 'inactive';
+  if (!(Number(x.offer_qty) > 0)) return 'unavailable';
+  return null;
+}
+
+function listingOffer(x) {
+  return {
+    source: 'listing',
+    id: x.id,
+    brand: x.brand, code: x.code,
+    is_alternative: false,
+    unit_price_cents: Number(x.price_cents || 0),
+    currency: x.currency || 'USD',
+    available_qty: Math.max(0, Number(x.quantity_available || 0) - Number(x.held_qty || 0)),
+    lead_time_days: x.lead_time_days == null ? null : Number(x.lead_time_days),
+    moq: x.moq == null ? null : Number(x.moq),
+    mpq: x.mpq == null ? null : Number(x.mpq),
+    mpq_required_order: !!x.mpq_required_order,
+    price_tiers: readPriceBreaks(x.price_breaks),
+    unusable_reason: unusableReason(x, 'listing'),
+    meta: { seller_ref: x.seller_ref }
+  };
+}
+
+function bidOffer(x, { alternative = false } = {}) {
+  return {
+    source: 'bid',
+    id: x.id,
+    brand: alternative ? x.alt_brand : x.brand,
+    code: alternative ? x.alt_code : x.code,
+    is_alternative: alternative,
+    unit_price_cents: Number(x.price_cents || 0),
+    currency: x.currency || 'USD',
+    available_qty: Number(x.offer_qty || 0),
+    lead_time_days: x.lead_time_days == null ? null : Number(x.lead_time_days),
+    unusable_reason: unusableReason(x, 'bid'),
+    meta: { purchase_request_id: x.purchase_request_id, seller_id: x.seller_id }
+  };
+}
+
+/** 장바구니 전체의 오퍼 재료를 미리 읽어 둔다. 이후 gatherOffers 는 캐시만 본다. */
+async function prefetchOffers(lines, { allow_alternatives = true, k_alternatives = 6, use_bids = true } = {}, cache) {
+  const pairs = lines.filter(l => l && l.brand && l.code).map(l => [l.brand, l.code]);
+  await loadListings(pairs, cache);
+  if (use_bids) await loadBids(pairs, cache);
+  if (!allow_alternatives) return;
+  await loadExact(pairs, cache);
+  const bases = pairs.map(([b, c]) => cache.exact.get(skuKey(b, c))).filter(Boolean);
+  await loadAlternatives(bases, k_alternatives, cache);
+  const altPairs = bases.flatMap(b => alternativesOf(b, k_alternatives, cache).items.map(r => [r.brand || r.brand_norm, r.code || r.code_norm]));
+  await loadListings(altPairs, cache);
+  if (use_bids) await loadAltBids(altPairs, cache);
+}
+
+/** 비활성/재고 없음 오퍼까지 포함한 전체 목록(unusable_reason 으로 구분) */
+async function gatherAllOffers({ brand, code }, { allow_alternatives = true, k_alternatives = 6, use_bids = true } = {}, cache = createOfferCache()) {
+  await prefetchOffers([{ brand, code }], { allow_alternatives, k_alternatives, use_bids }, cache);
+  const k = skuKey(brand, code);
+  const offers = [];
+  offers.push(...(cache.listings.get(k) || []).map(listingOffer));
+  if (use_bids) offers.push(...(cache.bids.get(k) || []).map(x => bidOffer(x)));
+  if (allow_alternatives) {
+    const base = cache.exact.get(k);
+    if (base) {
+      for (const r of alternativesOf(base, k_alternatives, cache).items) {
+        const ak = skuKey(r.brand || r.brand_norm, r.code || r.code_norm);
+        offers.push(...(cache.listings.get(ak) || []).map(x => ({ ...listingOffer(x), is_alternative: true })));
+        if (use_bids) offers.push(...(cache.altBids.get(ak) || []).map(x => bidOffer(x, { alternative: true })));
+      }
+    }
+  }
+  return offers;
+}
+
+async function gatherOffers(line, opts = {}, cache = createOfferCache()) {
+  return (await gatherAllOffers(line, opts, cache)).filter(o => !o.unusable_reason);
+}
+
+module.exports = {
+  createOfferCache,
+  prefetchOffers,
+  gatherOffers,
+  gatherAllOffers,
+  loadExact,
+  loadListings,
+  loadAlternatives,
+  alternativesOf,
+  columnNames,
+  registry,
+  skuKey,
+};
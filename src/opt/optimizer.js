@@ -1,4 +1,8 @@
 const db = require('../../db');
+const { converterFor, normalizeOffers } = require('./currency');
+const { createOfferCache, prefetchOffers, gatherAllOffers: gatherSharedOffers } = require('./offers');
+const { explainLine } = require('./explain');
+const { tierPrice } = require('../lib/priceBreaks');
 
 function daysUntil(due) {
   if (!due) return null;
@@ -9,119 +13,15 @@ function daysUntil(due) {
   } catch { return null; }
 }
 
-async function ensureExt() {
-  try { await db.query('CREATE EXTENSION IF NOT EXISTS pg_trgm;'); } catch {}
-  try { await db.query('CREATE EXTENSION IF NOT EXISTS vector;'); } catch {}
-}
-
-async function getKnownSpecsTables() {
-  const r = await db.query(`SELECT family_slug, specs_table FROM public.component_registry ORDER BY family_slug`);
-  return r.rows;
-}
-
-async function findExactRow(brand, code) {
-  const regs = await getKnownSpecsTables();
-  const bn = brand.toLowerCase();
-  const cn = code.toLowerCase();
-  for (const r of regs) {
-    const q = await db.query(`
-      SELECT * FROM public/${r.specs_table}
-      WHERE (brand_norm=lower($1) OR lower(brand)=lower($1))
-        AND (code_norm=lower($2) OR lower(code)=lower($2))
-      LIMIT 1
-    `, [brand, code]);
-    if (q.rows.length) return { table: r.specs_table, family_slug: q.rows[0].family_slug || r.family_slug, row: q.rows[0] };
-  }
-  return null;
-}
-
-async function getAlternativesFor(table, baseRow, k=8) {
-  // try embedding first
-  try {
-    if (baseRow.embedding) {
-      const q = await db.query(`
-        SELECT *, (embedding <=> $1::vector) AS dist
-        FROM public/${table}
-        WHERE NOT (brand_norm=$2 AND code_norm=$3)
-        ORDER BY embedding <=> $1::vector
-        LIMIT $4
-      `, [baseRow.embedding, baseRow.brand_norm || baseRow.brand?.toLowerCase(), baseRow.code_norm || baseRow.code?.toLowerCase(), k]);
-      return { mode: 'embedding', items: q.rows };
-    }
-  } catch (e) {
-    // ignore if embedding/extension not present
+let extReady = null;
+function ensureExt() {
+  if (!extReady) {
+    extReady = (async () => {
+      try { await db.query('CREATE EXTENSION IF NOT EXISTS pg_trgm;'); } catch {}
+      try { await db.query('CREATE EXTENSION IF NOT EXISTS vector;'); } catch {}
+    })();
   }
-  // fallback: rule-based
-  const q2 = await db.query(`
-    SELECT *,
-      (CASE WHEN family_slug IS NOT NULL AND family_slug = $1 THEN 0 ELSE 1 END) * 1.0 +
-      COALESCE(ABS(COALESCE(coil_voltage_vdc,0) - COALESCE($2::numeric,0)) / 100.0, 1.0) AS score
-    FROM public/${table}
-    WHERE NOT (brand_norm=$3 AND code_norm=$4)
-    ORDER BY score ASC
-    LIMIT $5
-  `, [baseRow.family_slug || null, baseRow.coil_voltage_vdc || null, baseRow.brand_norm || baseRow.brand?.toLowerCase(), baseRow.code_norm || baseRow.code?.toLowerCase(), k]);
-  return { mode: 'rule-fallback', items: q2.rows };
-}
-
-async function gatherListings(brand, code) {
-  const r = await db.query(`
-    SELECT id, brand, code, brand_norm, code_norm, price_cents, currency, quantity_available, lead_time_days, seller_ref
-    FROM public.listings
-    WHERE brand_norm=lower($1) AND code_norm=lower($2) AND quantity_available > 0
-    ORDER BY price_cents ASC, lead_time_days NULLS FIRST, created_at DESC
-  `, [brand, code]);
-  return r.rows.map(x => ({
-    source: 'listing',
-    id: x.id,
-    brand: x.brand, code: x.code,
-    is_alternative: false,
-    unit_price_cents: Number(x.price_cents || 0),
-    currency: x.currency || 'USD',
-    available_qty: Number(x.quantity_available || 0),
-    lead_time_days: x.lead_time_days == null ? null : Number(x.lead_time_days),
-    meta: { seller_ref: x.seller_ref }
-  }));
-}
-
-async function gatherBidsForSku(brand, code) {
-  const r = await db.query(`
-    SELECT b.*, pr.brand, pr.code
-    FROM public.bids b
-    JOIN public.purchase_requests pr ON pr.id = b.purchase_request_id
-    WHERE pr.brand_norm=lower($1) AND pr.code_norm=lower($2)
-    ORDER BY b.price_cents ASC, b.lead_time_days NULLS FIRST, b.created_at DESC
-  `, [brand, code]);
-  return r.rows.map(x => ({
-    source: 'bid',
-    id: x.id,
-    brand: x.brand, code: x.code,
-    is_alternative: false,
-    unit_price_cents: Number(x.price_cents || 0),
-    currency: x.currency || 'USD',
-    available_qty: Number(x.offer_qty || 0),
-    lead_time_days: x.lead_time_days == null ? null : Number(x.lead_time_days),
-    meta: { purchase_request_id: x.purchase_request_id }
-  }));
-}
-
-async function gatherAltBidsFor(brand, code) {
-  const r = await db.query(`
-    SELECT * FROM public.bids
-    WHERE is_alternative = true AND lower(alt_brand)=lower($1) AND lower(alt_code)=lower($2)
-    ORDER BY price_cents ASC, lead_time_days NULLS FIRST, created_at DESC
-  `, [brand, code]);
-  return r.rows.map(x => ({
-    source: 'bid',
-    id: x.id,
-    brand: x.alt_brand, code: x.alt_code,
-    is_alternative: true,
-    unit_price_cents: Number(x.price_cents || 0),
-    currency: x.currency || 'USD',
-    available_qty: Number(x.offer_qty || 0),
-    lead_time_days: x.lead_time_days == null ? null : Number(x.lead_time_days),
-    meta: { purchase_request_id: x.purchase_request_id }
-  }));
+  return extReady;
 }
 
 function computeEffectiveUnit(offer, { due_date=null, lead_penalty_cents_per_unit_per_day=10, alternative_penalty_cents_per_unit=0 }) {
@@ -140,31 +40,39 @@ function computeEffectiveUnit(offer, { due_date=null, lead_penalty_cents_per_uni
 }
 
 function greedyAllocate(required_qty, offers, penaltyCfg) {
-  const ranked = offers.slice().map(o => {
-    const m = computeEffectiveUnit(o, penaltyCfg);
-    return { ...o, _metrics: m };
-  }).sort((a,b) => a._metrics.effectiveUnitCents - b._metrics.effectiveUnitCents);
-
+  // 수량 구간 단가는 가져갈 수량에 따라 달라지므로 남은 수량 기준으로 매번 가장 싼 오퍼를 다시 고른다
+  const pool = offers.slice();
   const plan = [];
   let remaining = Number(required_qty || 0);
   let totalCost = 0, totalPenalty = 0;
-  for (const o of ranked) {
-    if (remaining <= 0) break;
-    const take = Math.min(remaining, Number(o.available_qty || 0));
-    if (take <= 0) continue;
-    const unit = Number(o.unit_price_cents || 0);
-    const eff = o._metrics.effectiveUnitCents;
-    const leadPen = o._metrics.leadPenaltyCents;
-    const altPen = o._metrics.altPenaltyCents;
+  while (remaining > 0 && pool.length) {
+    let best = null;
+    for (const o of pool) {
+      const take = Math.min(remaining, Number(o.available_qty || 0));
+      if (take <= 0) continue;
+      const tier = tierPrice(o.unit_price_cents, o.price_tiers, take);
+      const m = computeEffectiveUnit({ ...o, unit_price_cents: tier.unit_price_cents }, penaltyCfg);
+      if (!best || m.effectiveUnitCents < best.m.effectiveUnitCents) best = { o, take, tier, m };
+    }
+    if (!best) break;
+    pool.splice(pool.indexOf(best.o), 1);
+    const { o, take, tier, m } = best;
+    const unit = Number(tier.unit_price_cents || 0);
+    const leadPen = m.leadPenaltyCents;
+    const altPen = m.altPenaltyCents;
     plan.push({
       source: o.source, offer_id: o.id,
       brand: o.brand, code: o.code,
       qty: take,
       unit_price_cents: unit,
-      effective_unit_cents: eff,
+      effective_unit_cents: m.effectiveUnitCents,
+      price_tier_min_qty: tier.min_qty,
       lead_time_days: o.lead_time_days,
       is_alternative: o.is_alternative,
       currency: o.currency || 'USD',
+      original_unit_price_cents: tier.min_qty > 1 ? (tier.original_unit_price_cents ?? unit) : (o.original_unit_price_cents ?? unit),
+      original_currency: o.original_currency || o.currency || 'USD',
+      fx: o.fx || null,
       penalties_per_unit: { lead_cents: leadPen, alternative_cents: altPen },
       meta: o.meta || {}
     });
@@ -184,45 +92,49 @@ function classifyRoute(plan) {
   return 'stock';
 }
 
-async function optimizeLine({ brand, code, required_qty, due_date=null }, { allow_alternatives=true, k_alternatives=6, use_bids=true, lead_penalty_cents_per_unit_per_day=10, alternative_penalty_cents_per_unit=0 } = {}) {
+// 비활성/재고 없음 오퍼 포함(unusable_reason). 설명(explanation)에 쓰인다.
+async function gatherAllOffers(line, opts = {}, cache = null) {
   await ensureExt();
-  const offers = [];
-  // direct sku offers
-  offers.push(...await gatherListings(brand, code));
-  if (use_bids) offers.push(...await gatherBidsForSku(brand, code));
+  return gatherSharedOffers(line, opts, cache || createOfferCache());
+}
 
-  if (allow_alternatives) {
-    const base = await findExactRow(brand, code);
-    if (base) {
-      const alts = await getAlternativesFor(base.table, base.row, k_alternatives);
-      for (const r of alts.items) {
-        // listings for alternatives
-        offers.push(...(await gatherListings(r.brand || r.brand_norm, r.code || r.code_norm)).map(x => ({ ...x, is_alternative: true })));
-        // alternative bids that point to this alt brand/code
-        if (use_bids) offers.push(...(await gatherAltBidsFor(r.brand || r.brand_norm, r.code || r.code_norm)));
-      }
-    }
-  }
+async function gatherOffers(line, opts = {}, cache = null) {
+  return (await gatherAllOffers(line, opts, cache)).filter(o => !o.unusable_reason);
+}
 
-  // normalize
+async function optimizeLine({ brand, code, required_qty, due_date=null }, { allow_alternatives=true, k_alternatives=6, use_bids=true, lead_penalty_cents_per_unit_per_day=10, alternative_penalty_cents_per_unit=0, base_currency='USD', fx=null, cache=null } = {}) {
+  const gathered = await gatherAllOffers({ brand, code }, { allow_alternatives, k_alternatives, use_bids }, cache);
+  const unusable = gathered.filter(o => o.unusable_reason);
+
+  // normalize: 모든 오퍼를 기준 통화로 환산한 뒤 비교
+  fx = converterFor({ fx, base_currency });
+  const { offers, excluded } = await normalizeOffers(gathered.filter(o => !o.unusable_reason), fx);
   const penaltyCfg = { due_date, lead_penalty_cents_per_unit_per_day, alternative_penalty_cents_per_unit };
   const plan = greedyAllocate(required_qty, offers, penaltyCfg);
   const route = classifyRoute(plan);
+  const explanation = explainLine({ offers, unusable, fx_excluded: excluded, assignments: plan.assignments, required_qty, metrics: (o) => computeEffectiveUnit(o, penaltyCfg) });
   return {
     input: { brand, code, required_qty, due_date },
-    options: { allow_alternatives, k_alternatives, use_bids, lead_penalty_cents_per_unit_per_day, alternative_penalty_cents_per_unit },
+    options: { allow_alternatives, k_alternatives, use_bids, lead_penalty_cents_per_unit_per_day, alternative_penalty_cents_per_unit, base_currency: fx.base },
     offers_count: offers.length,
+    offers_excluded_fx: excluded,
     route,
-    plan
+    plan,
+    explanation
   };
 }
 
-async function optimize({ items=[], allow_alternatives=true, k_alternatives=6, use_bids=true, lead_penalty_cents_per_unit_per_day=10, alternative_penalty_cents_per_unit=0 } = {}) {
+async function optimize({ items=[], allow_alternatives=true, k_alternatives=6, use_bids=true, lead_penalty_cents_per_unit_per_day=10, alternative_penalty_cents_per_unit=0, base_currency='USD', cache=null } = {}) {
   const out = [];
-  let summary = { total_lines: items.length, total_required_qty: 0, total_grand_cents: 0, lines_fully_satisfied: 0, lines_need_pr: 0 };
+  const fx = converterFor({ base_currency });
+  // 장바구니 전체 오퍼를 한 번에 읽고 라인별로는 캐시만 사용
+  cache = cache || createOfferCache();
+  await ensureExt();
+  await prefetchOffers(items, { allow_alternatives, k_alternatives, use_bids }, cache);
+  let summary = { total_lines: items.length, base_currency: fx.base, total_required_qty: 0, total_grand_cents: 0, lines_fully_satisfied: 0, lines_need_pr: 0 };
   for (const it of items) {
     summary.total_required_qty += Number(it.required_qty || 0);
-    const r = await optimizeLine(it, { allow_alternatives, k_alternatives, use_bids, lead_penalty_cents_per_unit_per_day, alternative_penalty_cents_per_unit });
+    const r = await optimizeLine(it, { allow_alternatives, k_alternatives, use_bids, lead_penalty_cents_per_unit_per_day, alternative_penalty_cents_per_unit, fx, cache });
     out.push(r);
     summary.total_grand_cents += r.plan.totals.grand_cents;
     if (r.plan.remaining > 0) summary.lines_need_pr += 1; else summary.lines_fully_satisfied += 1;
@@ -230,4 +142,4 @@ async function optimize({ items=[], allow_alternatives=true, k_alternatives=6, u
   return { summary, items: out };
 }
 
-module.exports = { optimize, optimizeLine };
+module.exports = { optimize, optimizeLine, gatherOffers, gatherAllOffers, computeEffectiveUnit, greedyAllocate, classifyRoute };
@@ -0,0 +1,204 @@
+const db = require('../../db');
+const { createFxConverter, summarizeFx } = require('../lib/fx');
+const { ensurePricingTables, priceOrder } = require('../lib/pricing');
+const { ensurePriceBreaks, readPriceBreaks, tierPrice } = require('../lib/priceBreaks');
+const { gatherOffers } = require('./offers');
+const { ensureOrderLifecycle } = require('../orders/lifecycle');
+const { splitIntoSellerOrders } = require('../orders/suborders');
+const { heldQtySql, reserveOrder } = require('../orders/reservations');
+
+// 최적화 결과 저장(입력/오퍼 스냅샷/솔버) + 주문·RFQ 로 실행
+let ensured = null;
+function ensurePlanTables() {
+  if (!ensured) {
+    ensured = (async () => {
+      await db.query('CREATE EXTENSION IF NOT EXISTS "uuid-ossp"');
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS public.optimizer_plans (
+          id uuid DEFAULT uuid_generate_v4() PRIMARY KEY,
+          tenant_id text,
+          owner_id text,
+          solver text NOT NULL,
+          mode text NOT NULL DEFAULT 'line',
+          base_currency text,
+          input jsonb NOT NULL,
+          offers_snapshot jsonb,
+          result jsonb NOT NULL,
+          total_grand_cents bigint,
+          status text NOT NULL DEFAULT 'draft' CHECK (status IN ('draft','executed')),
+          execution jsonb,
+          executed_at timestamptz,
+          created_at timestamptz DEFAULT now()
+        )
+      `);
+      await db.query(`CREATE INDEX IF NOT EXISTS ix_optimizer_plans_owner ON public.optimizer_plans (owner_id, created_at DESC)`);
+    })().catch((e) => { ensured = null; throw e; });
+  }
+  return ensured;
+}
+
+/** 계산 당시 라인별 오퍼 목록. 같은 요청 캐시를 쓰므로 추가 쿼리가 없다. */
+async function offersSnapshot(items, opts, cache) {
+  const out = [];
+  for (const it of items) {
+    const offers = await gatherOffers({ brand: it.brand, code: it.code }, opts, cache);
+    out.push({ brand: it.brand, code: it.code, offers });
+  }
+  return out;
+}
+
+async function savePlan({ tenant_id = null, owner_id = null, solver, mode = 'line', input, offers_snapshot = null, result }) {
+  await ensurePlanTables();
+  const r = await db.query(`
+    INSERT INTO public.optimizer_plans
+      (tenant_id, owner_id, solver, mode, base_currency, input, offers_snapshot, result, total_grand_cents)
+    VALUES ($1,$2,$3,$4,$5,$6::jsonb,$7::jsonb,$8::jsonb,$9)
+    RETURNING id, status, created_at
+  `, [
+    tenant_id, owner_id, solver, mode,
+    result?.summary?.base_currency || null,
+    JSON.stringify(input || {}),
+    offers_snapshot ? JSON.stringify(offers_snapshot) : null,
+    JSON.stringify(result || {}),
+    result?.summary?.total_grand_cents ?? null,
+  ]);
+  return r.rows[0];
+}
+
+async function listPlans({ owner_id, status = null, limit = 50 }) {
+  await ensurePlanTables();
+  const args = [owner_id];
+  const where = ['owner_id = $1'];
+  if (status) { args.push(status); where.push(`status = $${args.length}`); }
+  args.push(Math.min(Math.max(Number(limit) || 50, 1), 200));
+  const r = await db.query(`
+    SELECT id, solver, mode, base_currency, total_grand_cents, status, executed_at, created_at,
+           jsonb_array_length(COALESCE(input->'items', '[]'::jsonb)) AS line_count
+      FROM public.optimizer_plans
+     WHERE ${where.join(' AND ')}
+     ORDER BY created_at DESC
+     LIMIT $${args.length}
+  `, args);
+  return r.rows;
+}
+
+async function getPlan(id, owner_id) {
+  await ensurePlanTables();
+  const r = await db.query(`SELECT * FROM public.optimizer_plans WHERE id = $1 AND owner_id = $2`, [id, owner_id]);
+  return r.rows[0] || null;
+}
+
+/**
+ * 저장된 계획을 실행한다(한 트랜잭션).
+ *  - listing 배정 → orders/order_items/invoices (재고·가격은 지금 시점으로 다시 확인, 세금/배송비는 체크아웃과 같은 pricing 규칙)
+ *  - 남은 수량(+ allow_partial 일 때 재고가 줄어 못 산 수량) → purchase_requests
+ *  - bid 배정은 PR 확정 절차가 따로 있으므로 목록으로만 돌려준다
+ */
+async function executePlan(id, actor, { allow_partial = false, notes = null, ship_to = null } = {}) {
+  await ensurePlanTables();
+  await ensureOrderLifecycle();
+  await ensurePricingTables();
+  await ensurePriceBreaks();
+  return db.withTransaction(async (client) => {
+    const P = (await client.query(`SELECT * FROM public.optimizer_plans WHERE id = $1 AND owner_id = $2 FOR UPDATE`, [id, actor.id])).rows[0];
+    if (!P) throw new Error('plan not found');
+    if (P.status === 'executed') throw new Error('plan already executed');
+
+    const lines = P.result?.items || [];
+    const listingIds = [...new Set(lines.flatMap((l) => (l.plan?.assignments || []).filter((a) => a.source === 'listing').map((a) => a.offer_id)))];
+    const locked = new Map();
+    if (listingIds.length) {
+      const q = await client.query(`
+        SELECT l.id, l.brand, l.code, l.price_cents, l.currency, l.quantity_available, l.price_breaks, ${heldQtySql('l')} AS held_qty
+          FROM public.listings l
+         WHERE l.id = ANY($1::uuid[])
+         ORDER BY l.id
+           FOR UPDATE
+      `, [listingIds]);
+      // 다른 주문의 유효 홀드는 가용 재고에서 뺀다
+      for (const row of q.rows) locked.set(String(row.id), { ...row, left: Number(row.quantity_available || 0) - Number(row.held_qty || 0) });
+    }
+
+    const fx = createFxConverter(client, P.base_currency || 'USD');
+    const orderItems = [];
+    const fxUsed = [];
+    const rfqs = [];
+    const bids = [];
+    const adjustments = [];
+    for (const line of lines) {
+      let shortfall = Number(line.plan?.remaining || 0);
+      for (const a of line.plan?.assignments || []) {
+        if (a.source !== 'listing') { bids.push({ offer_id: a.offer_id, brand: a.brand, code: a.code, qty: a.qty, purchase_request_id: a.meta?.purchase_request_id || null }); continue; }
+        const L = locked.get(String(a.offer_id));
+        const take = Math.min(Number(a.qty || 0), L ? L.left : 0);
+        if (take < a.qty) {
+          if (!allow_partial) throw new Error(`insufficient stock for listing ${a.offer_id}: planned ${a.qty}, available ${L ? L.left : 0}`);
+          adjustments.push({ listing_id: a.offer_id, type: 'qty', planned: a.qty, taken: take });
+          shortfall += a.qty - take;
+        }
+        if (take <= 0) continue;
+        L.left -= take;
+        // 실제로 가져가는 수량의 구간 단가로 다시 계산
+        const tier = tierPrice(L.price_cents, readPriceBreaks(L.price_breaks), take);
+        const conv = await fx.convertCents(tier.unit_price_cents, L.currency || 'USD');
+        fxUsed.push(conv.fx);
+        if (conv.cents !== Number(a.unit_price_cents)) {
+          adjustments.push({ listing_id: a.offer_id, type: 'price', planned_unit_cents: a.unit_price_cents, current_unit_cents: conv.cents });
+        }
+        orderItems.push({ brand: L.brand, code: L.code, qty: take, unit_price_cents: conv.cents, listing_id: L.id, is_alternative: !!a.is_alternative, lead_time_days: a.lead_time_days ?? null });
+      }
+      if (shortfall > 0) rfqs.push({ brand: line.input.brand, code: line.input.code, qty: shortfall, need_by: line.input.due_date || null });
+    }
+
+    let order = null, invoice = null, seller_orders = [], reservation = null;
+    if (orderItems.length) {
+      const dest = ship_to || P.input?.ship_to || {};
+      const pricing = await priceOrder({ assignments: orderItems, currency: fx.base, buyer: actor, ship_to: dest, fx });
+      const totals = pricing.totals;
+      order = (await client.query(`
+        INSERT INTO public.orders (order_no, tenant_id, buyer_id, currency, status, subtotal_cents, tax_cents, shipping_cents, total_cents, notes, pricing)
+        VALUES ('O'||nextval('seq_order_no')::text, $1,$2,$3,'awaiting_payment',$4,$5,$6,$7,$8,$9::jsonb)
+        RETURNING *
+      `, [actor.tenantId || null, actor.id, fx.base, totals.subtotal_cents, totals.tax_cents, totals.shipping_cents, totals.total_cents, notes || `optimizer plan ${P.id}`,
+          JSON.stringify({ ship_to: dest, shipping: pricing.shipping, tax: pricing.tax, freight_quote_required: pricing.freight_quote_required, fx: summarizeFx(fxUsed) })])).rows[0];
+      for (const it of orderItems) {
+        await client.query(`
+          INSERT INTO public.order_items
+            (order_id, brand, code, brand_norm, code_norm, qty, unit_price_cents, currency, listing_id, is_alternative, lead_time_days)
+          VALUES ($1,$2,$3,lower($2),lower($3),$4,$5,$6,$7,$8,$9)
+        `, [order.id, it.brand, it.code, it.qty, it.unit_price_cents, fx.base, it.listing_id, it.is_alternative, it.lead_time_days]);
+      }
+      seller_orders = await splitIntoSellerOrders(client, order, { shipping: pricing.shipping, tax: pricing.tax });
+      reservation = await reserveOrder(client, order);
+      invoice = (await client.query(`
+        INSERT INTO public.invoices (order_id, invoice_no, status, currency, amount_cents)
+        VALUES ($1, 'I'||nextval('seq_invoice_no')::text, 'unpaid', $2, $3)
+        RETURNING *
+      `, [order.id, fx.base, order.total_cents])).rows[0];
+    }
+
+    const purchase_requests = [];
+    for (const r of rfqs) {
+      const pr = (await client.query(`
+        INSERT INTO public.purchase_requests (tenant_id, buyer_id, brand, code, qty_required, need_by_date, notes, status)
+        VALUES ($1,$2,$3,$4,$5,$6,$7,'open')
+        RETURNING *
+      `, [actor.tenantId || null, actor.id, r.brand, r.code, r.qty, r.need_by, `optimizer plan ${P.id}`])).rows[0];
+      purchase_requests.push(pr);
+    }
+
+    const execution = {
+      order_id: order?.id || null,
+      invoice_id: invoice?.id || null,
+      purchase_request_ids: purchase_requests.map((p) => p.id),
+      bids,
+      adjustments,
+    };
+    await client.query(`
+      UPDATE public.optimizer_plans SET status = 'executed', executed_at = now(), execution = $2::jsonb WHERE id = $1
+    `, [P.id, JSON.stringify(execution)]);
+    return { plan_id: P.id, order, seller_orders, invoice, reserved_until: reservation?.expires_at || null, purchase_requests, bids, adjustments };
+  });
+}
+
+module.exports = { offersSnapshot, savePlan, listPlans, getPlan, executePlan };
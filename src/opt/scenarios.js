@@ -0,0 +1,121 @@
+const { greedyAllocate, classifyRoute } = require('./optimizer');
+const { solvePlan, routeOf } = require('./ilp');
+const { converterFor, normalizeOffers } = require('./currency');
+const { createOfferCache, prefetchOffers, gatherOffers } = require('./offers');
+
+const DEFAULT_LEAD_PENALTIES = [0, 10, 50, 200, 1000];
+const MAX_SCENARIOS = 60;
+
+function numList(v, fallback) {
+  const arr = (Array.isArray(v) ? v : v == null ? fallback : [v]).map(Number).filter((n) => Number.isFinite(n) && n >= 0);
+  return [...new Set(arr)];
+}
+
+// 납기 제약: 리드타임이 max_lead_days 를 넘는 오퍼는 제외(리드타임 미기재 = 재고 즉시 출고로 간주)
+function withinDeadline(offers, maxLead) {
+  if (maxLead == null) return offers;
+  return offers.filter((o) => o.lead_time_days == null || Number(o.lead_time_days) <= maxLead);
+}
+
+function planMetrics(lines) {
+  let cost = 0, altQty = 0, qty = 0, shortfall = 0, worst = 0, overbuy = 0;
+  for (const l of lines) {
+    cost += l.plan.totals.cost_cents;
+    shortfall += Number(l.plan.remaining || 0);
+    overbuy += Number(l.plan.overbuy_qty || 0);
+    for (const a of l.plan.assignments) {
+      qty += a.qty;
+      if (a.is_alternative) altQty += a.qty;
+      worst = Math.max(worst, Number(a.lead_time_days || 0));
+    }
+  }
+  return {
+    cost_cents: Math.round(cost),
+    worst_lead_time_days: worst,
+    alternative_qty: altQty,
+    alternative_share: qty ? Math.round((altQty / qty) * 1000) / 1000 : 0,
+    shortfall_qty: shortfall,
+    overbuy_qty: overbuy,
+  };
+}
+
+// 최소화 목표: 부족분, 비용, 최악 리드타임, 대체품 수량
+const OBJECTIVES = ['shortfall_qty', 'cost_cents', 'worst_lead_time_days', 'alternative_qty'];
+function dominates(a, b) {
+  let strictly = false;
+  for (const k of OBJECTIVES) {
+    if (a[k] > b[k]) return false;
+    if (a[k] < b[k]) strictly = true;
+  }
+  return strictly;
+}
+
+function signature(lines) {
+  return lines.map((l) => l.plan.assignments.map((a) => `${a.source}:${a.offer_id}:${a.qty}`).sort().join(',')).join('|');
+}
+
+/**
+ * 비용 ↔ 리드타임 ↔ 대체품 사용 trade-off 시나리오.
+ * 리드 페널티/대체품 페널티 가중치와 납기 제약(max_lead_days)을 조합해 풀고, 지배되지 않는 계획만 pareto 로 표시한다.
+ * 오퍼는 라인마다 한 번만 모아서 모든 시나리오에 재사용한다.
+ */
+async function paretoScenarios({
+  items = [], solver = 'greedy',
+  allow_alternatives = true, k_alternatives = 6, use_bids = true,
+  lead_penalties = DEFAULT_LEAD_PENALTIES, alternative_penalties = [0], max_lead_days = [],
+  base_currency = 'USD',
+} = {}) {
+  const useIlp = solver === 'ilp';
+  const fx = converterFor({ base_currency });
+  const cache = createOfferCache();
+  await prefetchOffers(items, { allow_alternatives, k_alternatives, use_bids }, cache);
+  const lines = [];
+  for (const it of items) {
+    const gathered = await gatherOffers({ brand: it.brand, code: it.code }, { allow_alternatives, k_alternatives, use_bids }, cache);
+    const { offers, excluded } = await normalizeOffers(gathered, fx);
+    lines.push({ input: { brand: it.brand, code: it.code, required_qty: Number(it.required_qty || 0), due_date: it.due_date || null }, offers, excluded });
+  }
+
+  const leads = numList(lead_penalties, DEFAULT_LEAD_PENALTIES);
+  const alts = numList(alternative_penalties, [0]);
+  const deadlines = [null, ...numList(max_lead_days, [])];
+  const combos = [];
+  for (const d of deadlines) for (const lp of leads) for (const ap of alts) combos.push({ lead_penalty_cents_per_unit_per_day: lp, alternative_penalty_cents_per_unit: ap, max_lead_days: d });
+  if (combos.length > MAX_SCENARIOS) throw new Error(`too many scenarios (${combos.length} > ${MAX_SCENARIOS})`);
+
+  const bySig = new Map();
+  for (const params of combos) {
+    const planned = lines.map((l) => {
+      const offers = withinDeadline(l.offers, params.max_lead_days);
+      const cfg = { due_date: l.input.due_date, lead_penalty_cents_per_unit_per_day: params.lead_penalty_cents_per_unit_per_day, alternative_penalty_cents_per_unit: params.alternative_penalty_cents_per_unit };
+      const plan = useIlp
+        ? (solvePlan(l.input.required_qty, offers, cfg) || { assignments: [], remaining: l.input.required_qty, totals: { cost_cents: 0, penalty_cents: 0, grand_cents: 0 } })
+        : greedyAllocate(l.input.required_qty, offers, cfg);
+      return { input: l.input, offers_count: offers.length, route: useIlp ? routeOf(plan, l.input.required_qty) : classifyRoute(plan), plan };
+    });
+    // 가중치만 다르고 결과가 같은 계획은 하나로 합친다
+    const sig = signature(planned);
+    if (bySig.has(sig)) { bySig.get(sig).params.push(params); continue; }
+    bySig.set(sig, { params: [params], metrics: planMetrics(planned), items: planned });
+  }
+
+  const scenarios = [...bySig.values()].map((s, i) => ({ id: i + 1, ...s }));
+  for (const s of scenarios) {
+    const by = scenarios.find((o) => o !== s && dominates(o.metrics, s.metrics));
+    s.pareto = !by;
+    s.dominated_by = by ? by.id : null;
+    if (!s.pareto) delete s.items;
+  }
+  scenarios.sort((a, b) => (b.pareto - a.pareto) || (a.metrics.cost_cents - b.metrics.cost_cents));
+  return {
+    solver: useIlp ? 'ilp' : 'greedy',
+    base_currency: fx.base,
+    objectives: OBJECTIVES,
+    scenarios_tried: combos.length,
+    pareto: scenarios.filter((s) => s.pareto).map((s) => s.id),
+    scenarios,
+    offers_excluded_fx: lines.flatMap((l) => l.excluded),
+  };
+}
+
+module.exports = { paretoScenarios };
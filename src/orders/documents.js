@@ -0,0 +1,556 @@
+const db = require('../../db');
+const { createPdf } = require('../lib/pdfdoc');
+const { createFxConverter, summarizeFx } = require('../lib/fx');
+const { priceOrder } = require('../lib/pricing');
+const { ensureOrderLifecycle, sellerKeys, rolesFor } = require('./lifecycle');
+
+// 견적서/청구서 PDF: 체크아웃 미리보기·채택된 입찰(plan_bids)·청구(invoices)에서 만들어 file_blobs 에 저장한다
+const QUOTE_VALID_DAYS = Number(process.env.QUOTE_VALID_DAYS || 14);
+// 플랫폼(중개) 명의 사업자 정보는 business_profiles 의 이 party_id 로 관리한다
+const PLATFORM_PARTY = 'platform';
+const PROFILE_FIELDS = ['company_name', 'business_no', 'representative', 'address', 'business_type', 'business_item', 'contact_name', 'phone', 'email'];
+const ZERO_DECIMAL = new Set(['KRW', 'JPY']);
+
+let ensured = null;
+function ensureDocumentTables() {
+  if (!ensured) {
+    ensured = (async () => {
+      await ensureOrderLifecycle();
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS public.business_profiles (
+          party_id text PRIMARY KEY,
+          company_name text,
+          business_no text,
+          representative text,
+          address text,
+          business_type text,
+          business_item text,
+          contact_name text,
+          phone text,
+          email text,
+          updated_by text,
+          updated_at timestamptz DEFAULT now()
+        )
+      `);
+      await db.query(`CREATE SEQUENCE IF NOT EXISTS public.seq_quote_no START 1000`);
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS public.trade_documents (
+          id uuid DEFAULT uuid_generate_v4() PRIMARY KEY,
+          kind text NOT NULL CHECK (kind IN ('quote','invoice')),
+          doc_no text NOT NULL,
+          source text NOT NULL CHECK (source IN ('checkout_preview','plan_bid','invoice')),
+          source_id text,
+          owner_id text,
+          tenant_id text,
+          currency text,
+          total_cents bigint,
+          valid_until timestamptz,
+          blob_id text NOT NULL,
+          snapshot jsonb NOT NULL,
+          created_by text,
+          created_at timestamptz DEFAULT now()
+        )
+      `);
+      await db.query(`CREATE INDEX IF NOT EXISTS ix_trade_documents_owner ON public.trade_documents (owner_id, created_at DESC)`);
+      await db.query(`CREATE INDEX IF NOT EXISTS ix_trade_documents_source ON public.trade_documents (source, source_id)`);
+    })().catch((e) => { ensured = null; throw e; });
+  }
+  return ensured;
+}
+
+/* ---------------- 사업자 정보 ---------------- */
+
+// 사업자등록번호는 숫자 10자리 (하이픈은 표시할 때 붙인다)
+function normalizeBusinessNo(v) {
+  if (v == null || v === '') return null;
+  const digits = String(v).replace(/\D/g, '');
+  if (digits.length !== 10) throw new Error('business_no must be 10 digits');
+  return digits;
+}
+
+function formatBusinessNo(v) {
+  const d = String(v || '').replace(/\D/g, '');
+  return d.length === 10 ? `${d.slice(0, 3)}-${d.slice(3, 5)}-${d.slice(5)}` : (v || '');
+}
+
+// 본인(구매자 id / 판매자 키) 또는 관리자만. 플랫폼 정보는 관리자만 고친다
+function canManageProfile(party_id, actor, req) {
+  if ((actor?.roles || []).includes('admin')) return true;
+  if (party_id === PLATFORM_PARTY) return false;
+  return String(actor?.id || '') === party_id || sellerKeys(actor, req).includes(party_id);
+}
+
+async function getBusinessProfile(party_id, actor, { req = null } = {}) {
+  await ensureDocumentTables();
+  const id = String(party_id || actor?.id || '');
+  if (!id) throw new Error('party_id required');
+  if (!canManageProfile(id, actor, req)) throw new Error('forbidden');
+  const r = await db.query(`SELECT * FROM public.business_profiles WHERE party_id = $1`, [id]);
+  return r.rows[0] || { party_id: id };
+}
+
+async function upsertBusinessProfile(party_id, fields, actor, { req = null } = {}) {
+  await ensureDocumentTables();
+  const id = String(party_id || actor?.id || '');
+  if (!id) throw new Error('party_id required');
+  if (!canManageProfile(id, actor, req)) throw new Error('forbidden');
+  const v = {};
+  for (const f of PROFILE_FIELDS) {
+    if (fields[f] === undefined) continue;
+    const s = fields[f] == null ? null : String(fields[f]).trim();
+    v[f] = s || null;
+  }
+  if (v.business_no !== undefined) v.business_no = normalizeBusinessNo(v.business_no);
+  const cols = Object.keys(v);
+  const r = await db.query(`
+    INSERT INTO public.business_profiles (party_id, ${cols.concat('updated_by').join(', ')})
+    VALUES ($1, ${cols.map((_, i) => `$${i + 2}`).concat(`$${cols.length + 2}`).join(', ')})
+    ON CONFLICT (party_id) DO UPDATE
+       SET ${cols.map((c) => `${c} = EXCLUDED.${c}`).concat('updated_by = EXCLUDED.updated_by', 'updated_at = now()').join(', ')}
+    RETURNING *
+  `, [id, ...cols.map((c) => v[c]), actor?.id || null]);
+  return r.rows[0];
+}
+
+async function loadProfiles(ids) {
+  const list = [...new Set(ids.filter(Boolean).map(String))];
+  if (!list.length) return new Map();
+  const r = await db.query(`SELECT * FROM public.business_profiles WHERE party_id = ANY($1::text[])`, [list]);
+  return new Map(r.rows.map((p) => [p.party_id, p]));
+}
+
+function partyOf(profiles, id) {
+  if (id == null) return { party_id: null };
+  const p = profiles.get(String(id));
+  if (p) return p;
+  if (String(id) === PLATFORM_PARTY) return { party_id: PLATFORM_PARTY, company_name: process.env.PLATFORM_COMPANY_NAME || null };
+  return { party_id: String(id) };
+}
+
+/* ---------------- 문서 모델 ---------------- */
+
+function addDays(d, days) {
+  return new Date(d.getTime() + days * 86400000);
+}
+
+// 판매자가 하나면 그 판매자가 공급자, 여럿이면 플랫폼 명의로 내고 판매자 정보를 따로 싣는다
+async function withParties(doc, buyer_id) {
+  const sellerIds = [...new Set(doc.lines.map((l) => l.seller_id).filter(Boolean).map(String))];
+  const supplierId = sellerIds.length === 1 ? sellerIds[0] : PLATFORM_PARTY;
+  const profiles = await loadProfiles([buyer_id, supplierId, ...sellerIds]);
+  return {
+    ...doc,
+    buyer: partyOf(profiles, buyer_id),
+    supplier: partyOf(profiles, supplierId),
+    sellers: supplierId === PLATFORM_PARTY ? sellerIds.map((id) => partyOf(profiles, id)) : [],
+    lines: doc.lines.map((l) => ({ ...l, seller_name: l.seller_id ? (profiles.get(String(l.seller_id))?.company_name || String(l.seller_id)) : null })),
+  };
+}
+
+function taxInfo(tax) {
+  return tax ? { name: tax.name || null, rate_bp: Number(tax.rate_bp || 0), exempt: !!tax.exempt } : { name: null, rate_bp: 0, exempt: false };
+}
+
+/** 체크아웃 미리보기(pickCheapestPlan 결과) → 견적서 모델 */
+async function quoteFromPlan(plan, actor, { notes = null } = {}) {
+  await ensureDocumentTables();
+  const now = new Date();
+  const lines = (plan.assignments || []).map((a) => ({
+    brand: a.brand, code: a.code,
+    qty: Number(a.qty || 0),
+    unit_price_cents: Number(a.unit_price_cents || 0),
+    amount_cents: Number(a.unit_price_cents || 0) * Number(a.qty || 0),
+    seller_id: a.seller_id || null,
+    lead_time_days: a.lead_time_days ?? null,
+    listing_id: a.listing_id || null,
+    note: a.backorder ? '재고 없음(별도 견적)'
+      : a.is_alternative ? '대체품'
+      : (a.price_tier_min_qty > 1 ? `${a.price_tier_min_qty}개 이상 구간가` : null),
+  }));
+  return withParties({
+    kind: 'quote',
+    source: 'checkout_preview',
+    source_id: null,
+    issued_at: now,
+    valid_until: addDays(now, QUOTE_VALID_DAYS),
+    currency: plan.currency,
+    lines,
+    totals: plan.totals,
+    tax: taxInfo(plan.tax),
+    fx: summarizeFx([...(plan.assignments || []).map((a) => a.fx), ...(plan.shipping || []).map((g) => g.fx)]),
+    freight_quote_required: !!plan.freight_quote_required,
+    notes,
+  }, actor?.id || null);
+}
+
+/** 채택된 입찰 → 견적서 모델 (공급자 = 입찰 판매자, 구매자 = 구매요청 작성자) */
+async function quoteFromBid(bid_id, actor, { req = null, notes = null } = {}) {
+  await ensureDocumentTables();
+  const bid = (await db.query(`
+    SELECT pb.*, pr.buyer_id, pr.tenant_id AS pr_tenant_id, pr.brand, pr.code, pr.qty_required
+      FROM public.plan_bids pb
+      JOIN public.purchase_requests pr ON pr.id = pb.purchase_request_id
+     WHERE pb.id::text = $1
+  `, [String(bid_id)])).rows[0];
+  if (!bid) throw new Error('bid not found');
+  const isAdmin = (actor?.roles || []).includes('admin');
+  const mine = String(bid.buyer_id || '') === String(actor?.id || '') || sellerKeys(actor, req).includes(String(bid.seller_id));
+  if (!isAdmin && !mine) throw new Error('forbidden');
+  if (bid.status !== 'accepted') throw new Error(`invalid request: bid is ${bid.status}`);
+
+  const currency = String(bid.currency || 'KRW').toUpperCase();
+  const required = Number(bid.qty_required || 0);
+  const offered = Number(bid.offer_qty || 0);
+  const qty = offered > 0 && required > 0 ? Math.min(offered, required) : (offered || required);
+  if (qty <= 0) throw new Error('bid has no quantity');
+  const unit = Number(bid.unit_price_cents || 0);
+  // 입찰에는 배송비가 없다 (listing_id 없는 배정은 배송 묶음에서 빠짐) → 세금만 규칙대로
+  const pricing = await priceOrder({
+    assignments: [{ qty, unit_price_cents: unit, seller_id: bid.seller_id }],
+    currency,
+    buyer: bid.buyer_id ? { id: bid.buyer_id, tenantId: bid.pr_tenant_id || null } : null,
+    fx: createFxConverter(db, currency),
+  });
+  const now = new Date();
+  const fx = currency !== 'KRW' && bid.unit_price_fx_rate
+    ? [{ from: currency, to: 'KRW', rate: Number(bid.unit_price_fx_rate), yyyymm: bid.unit_price_fx_yyyymm ?? null, source: bid.unit_price_fx_src ?? null }]
+    : [];
+  return withParties({
+    kind: 'quote',
+    source: 'plan_bid',
+    source_id: String(bid.id),
+    reference: `구매요청 ${bid.purchase_request_id}`,
+    issued_at: now,
+    valid_until: bid.quote_valid_until ? new Date(bid.quote_valid_until) : addDays(now, QUOTE_VALID_DAYS),
+    currency,
+    lines: [{
+      brand: bid.brand, code: bid.code, qty,
+      unit_price_cents: unit,
+      amount_cents: unit * qty,
+      seller_id: bid.seller_id,
+      lead_time_days: bid.lead_time_days ?? null,
+      note: bid.packaging || null,
+    }],
+    totals: pricing.totals,
+    tax: taxInfo(pricing.tax),
+    fx,
+    // 원화 환산 (입찰 시점 환율, 10원 단위 반올림 단가 기준)
+    krw_subtotal_cents: currency !== 'KRW' && bid.unit_price_krw_cents != null ? Number(bid.unit_price_krw_cents) * qty : null,
+    notes: notes || bid.note || null,
+  }, bid.buyer_id);
+}
+
+/** 청구(invoices) → 청구서 모델. 구매자·관리자·해당 주문의 판매자만 */
+async function invoiceDocument(invoice_id, actor, { req = null, notes = null } = {}) {
+  // ensureOrderLifecycle 이 재고 홀드 테이블까지 보장한다
+  await ensureDocumentTables();
+  return db.withClient(async (client) => {
+    const inv = (await client.query(`SELECT * FROM public.invoices WHERE id::text = $1`, [String(invoice_id)])).rows[0];
+    if (!inv) throw new Error('invoice not found');
+    const order = (await client.query(`SELECT * FROM public.orders WHERE id = $1`, [inv.order_id])).rows[0];
+    if (!order) throw new Error('order not found');
+    const mine = await rolesFor(client, order, actor, req);
+    if (!mine.size) {
+      const keys = sellerKeys(actor, req);
+      const so = keys.length ? (await client.query(`SELECT 1 FROM public.seller_orders WHERE parent_order_id = $1 AND seller_id = ANY($2::text[]) LIMIT 1`, [order.id, keys])).rows[0] : null;
+      if (!so) throw new Error('forbidden');
+    }
+    const items = (await client.query(`
+      SELECT oi.*, COALESCE(so.seller_id, to_jsonb(l)->>'seller_id', to_jsonb(l)->>'seller_ref') AS seller_id
+        FROM public.order_items oi
+        LEFT JOIN public.seller_orders so ON so.id = oi.seller_order_id
+        LEFT JOIN public.listings l ON l.id = oi.listing_id
+       WHERE oi.order_id = $1
+       ORDER BY oi.id
+    `, [order.id])).rows;
+    // 미결제면 재고 홀드 만료 시각이 결제기한
+    const hold = (await client.query(`
+      SELECT MIN(expires_at) AS expires_at FROM public.inventory_reservations WHERE order_id = $1 AND status = 'held'
+    `, [order.id])).rows[0];
+    const pricing = order.pricing || {};
+    return withParties({
+      kind: 'invoice',
+      source: 'invoice',
+      source_id: String(inv.id),
+      doc_no: inv.invoice_no,
+      reference: `주문 ${order.order_no}`,
+      issued_at: new Date(),
+      valid_until: inv.status === 'paid' ? null : (hold?.expires_at ? new Date(hold.expires_at) : null),
+      paid_at: inv.paid_at ? new Date(inv.paid_at) : null,
+      status: inv.status,
+      currency: inv.currency || order.currency,
+      lines: items.map((it) => ({
+        brand: it.brand, code: it.code,
+        qty: Number(it.qty || 0),
+        unit_price_cents: Number(it.unit_price_cents || 0),
+        amount_cents: Number(it.unit_price_cents || 0) * Number(it.qty || 0),
+        seller_id: it.seller_id || null,
+        lead_time_days: it.lead_time_days ?? null,
+        note: it.is_alternative ? '대체품' : null,
+      })),
+      totals: {
+        subtotal_cents: Number(order.subtotal_cents || 0),
+        shipping_cents: Number(order.shipping_cents || 0),
+        tax_cents: Number(order.tax_cents || 0),
+        total_cents: Number(inv.amount_cents ?? order.total_cents ?? 0),
+      },
+      tax: taxInfo(pricing.tax),
+      fx: Array.isArray(pricing.fx) ? pricing.fx : [],
+      freight_quote_required: !!pricing.freight_quote_required,
+      notes,
+    }, order.buyer_id);
+  });
+}
+
+/* ---------------- PDF ---------------- */
+
+const TITLES = {
+  quote: { ko: '견 적 서', en: 'QUOTATION' },
+  invoice: { ko: '청 구 서', en: 'INVOICE' },
+};
+const MARGIN = 40;
+const COLS = [
+  { key: 'no', label: 'No', w: 24, align: 'center' },
+  { key: 'item', label: '품목 (제조사 / 품번)', w: 185 },
+  { key: 'seller', label: '판매자', w: 80 },
+  { key: 'lead', label: '납기', w: 40, align: 'right' },
+  { key: 'qty', label: '수량', w: 44, align: 'right' },
+  { key: 'unit', label: '단가', w: 70, align: 'right' },
+  { key: 'amount', label: '금액', w: 72, align: 'right' },
+];
+
+function money(cents, currency) {
+  const c = String(currency || '').toUpperCase();
+  const digits = ZERO_DECIMAL.has(c) ? 0 : 2;
+  const v = (Number(cents || 0) / 100).toLocaleString('en-US', { minimumFractionDigits: digits, maximumFractionDigits: digits });
+  return `${c} ${v}`;
+}
+
+// 한국 시간 기준 날짜
+function ymd(d) {
+  if (!d) return '-';
+  return new Date(new Date(d).getTime() + 9 * 3600000).toISOString().slice(0, 10);
+}
+
+function renderTradePdf(doc) {
+  const title = TITLES[doc.kind];
+  const pdf = createPdf({ title: `${title.en} ${doc.doc_no}` });
+  const W = pdf.width - MARGIN * 2;
+  const BOTTOM = pdf.height - 56;
+  let y = MARGIN;
+  const need = (h) => { if (y + h > BOTTOM) { pdf.addPage(); y = MARGIN; return true; } return false; };
+
+  pdf.addPage();
+  pdf.text(title.ko, MARGIN, y, { size: 22, align: 'center', width: W });
+  pdf.text(title.en, MARGIN, y + 28, { size: 9, align: 'center', width: W });
+  y += 52;
+
+  // 문서 정보
+  const meta = [[doc.kind === 'quote' ? '견적번호' : '청구번호', doc.doc_no], ['발행일', ymd(doc.issued_at)]];
+  if (doc.kind === 'quote') meta.push(['유효기간', `${ymd(doc.valid_until)} 까지`]);
+  else if (doc.status === 'paid') meta.push(['결제일', ymd(doc.paid_at)]);
+  else meta.push(['결제기한', doc.valid_until ? ymd(doc.valid_until) : '-']);
+  if (doc.reference) meta.push(['참조', doc.reference]);
+  for (const [k, v] of meta) {
+    pdf.text(k, MARGIN, y, { size: 9 });
+    pdf.text(pdf.fit(v, W - 70, 9), MARGIN + 70, y, { size: 9 });
+    y += 14;
+  }
+  y += 8;
+
+  // 공급받는자 / 공급자
+  const boxW = (W - 12) / 2;
+  const partyBox = (label, p, x) => {
+    const rows = [
+      ['상호', p.company_name || p.party_id || '-'],
+      ['사업자등록번호', formatBusinessNo(p.business_no) || '-'],
+      ['대표자', p.representative || '-'],
+      ['주소', p.address || '-'],
+      ['업태/종목', [p.business_type, p.business_item].filter(Boolean).join(' / ') || '-'],
+      ['담당/연락처', [p.contact_name, p.phone, p.email].filter(Boolean).join(' · ') || '-'],
+    ];
+    pdf.rect(x, y, boxW, 16, { fill: 0.92 });
+    pdf.text(label, x, y + 4, { size: 9, align: 'center', width: boxW });
+    rows.forEach(([k, v], i) => {
+      const ry = y + 20 + i * 15;
+      pdf.text(k, x + 5, ry, { size: 8 });
+      pdf.text(pdf.fit(v, boxW - 82, 8.5), x + 77, ry, { size: 8.5 });
+    });
+    pdf.rect(x, y, boxW, 16 + rows.length * 15 + 6);
+  };
+  partyBox('공급받는자', doc.buyer, MARGIN);
+  partyBox('공급자', doc.supplier, MARGIN + boxW + 12);
+  y += 16 + 6 * 15 + 6 + 16;
+
+  // 품목
+  const tableHeader = () => {
+    pdf.rect(MARGIN, y, W, 18, { fill: 0.92 });
+    let x = MARGIN;
+    for (const c of COLS) {
+      pdf.text(c.label, x + 3, y + 5, { size: 8.5, align: c.align === 'right' ? 'right' : 'center', width: c.w - 6 });
+      x += c.w;
+    }
+    y += 18;
+  };
+  need(18 + 16);
+  tableHeader();
+  doc.lines.forEach((l, i) => {
+    if (need(16)) tableHeader();
+    const item = [l.brand, l.code].filter(Boolean).join(' / ') + (l.note ? ` (${l.note})` : '');
+    const cells = {
+      no: String(i + 1),
+      item,
+      seller: l.seller_name || '-',
+      lead: l.lead_time_days == null ? '-' : `${l.lead_time_days}일`,
+      qty: Number(l.qty).toLocaleString('en-US'),
+      unit: money(l.unit_price_cents, doc.currency).replace(/^\S+ /, ''),
+      amount: money(l.amount_cents, doc.currency).replace(/^\S+ /, ''),
+    };
+    let x = MARGIN;
+    for (const c of COLS) {
+      pdf.text(pdf.fit(cells[c.key], c.w - 6, 8.5), x + 3, y + 4, { size: 8.5, align: c.align || 'left', width: c.w - 6 });
+      x += c.w;
+    }
+    pdf.line(MARGIN, y + 16, MARGIN + W, y + 16, { lineWidth: 0.3 });
+    y += 16;
+  });
+  pdf.text(`통화: ${doc.currency}`, MARGIN, y + 4, { size: 8 });
+  y += 18;
+
+  // 합계
+  const t = doc.totals || {};
+  const vatLabel = doc.tax.exempt ? '부가세 (면세)' : `부가세${doc.tax.rate_bp ? ` (${doc.tax.name || 'VAT'} ${doc.tax.rate_bp / 100}%)` : ''}`;
+  const totals = [
+    ['공급가액', t.subtotal_cents],
+    ['배송비', t.shipping_cents],
+    [vatLabel, t.tax_cents],
+  ];
+  const tx = MARGIN + W - 240;
+  need(totals.length * 16 + 22 + (doc.krw_subtotal_cents != null ? 16 : 0));
+  for (const [k, v] of totals) {
+    pdf.text(k, tx, y, { size: 9 });
+    pdf.text(money(v, doc.currency), tx + 100, y, { size: 9, align: 'right', width: 140 });
+    y += 16;
+  }
+  pdf.rect(tx - 4, y - 2, 244, 20, { fill: 0.92 });
+  pdf.text('합계', tx, y + 3, { size: 11 });
+  pdf.text(money(t.total_cents, doc.currency), tx + 80, y + 3, { size: 11, align: 'right', width: 160 });
+  y += 26;
+  if (doc.krw_subtotal_cents != null) {
+    pdf.text('공급가액 원화 환산', tx, y, { size: 8.5 });
+    pdf.text(money(doc.krw_subtotal_cents, 'KRW'), tx + 100, y, { size: 8.5, align: 'right', width: 140 });
+    y += 16;
+  }
+  if (doc.freight_quote_required) {
+    need(14);
+    pdf.text('※ 화물 운송 품목의 운임은 별도 견적입니다.', MARGIN, y, { size: 8.5 });
+    y += 14;
+  }
+  y += 6;
+
+  // 적용 환율
+  need(16 + Math.max(1, doc.fx.length) * 13);
+  pdf.text('적용 환율', MARGIN, y, { size: 9.5 });
+  y += 16;
+  if (!doc.fx.length) {
+    pdf.text('환율 적용 없음 (단일 통화)', MARGIN + 8, y, { size: 8.5 });
+    y += 13;
+  }
+  for (const f of doc.fx) {
+    const basis = [f.yyyymm ? `기준월 ${f.yyyymm}` : null, f.source || null].filter(Boolean).join(', ');
+    pdf.text(`1 ${f.from} = ${Number(f.rate).toLocaleString('en-US', { maximumFractionDigits: 6 })} ${f.to}${basis ? `  (${basis})` : ''}`, MARGIN + 8, y, { size: 8.5 });
+    y += 13;
+  }
+  y += 8;
+
+  // 판매자 사업자 정보 (플랫폼 명의 문서)
+  if (doc.sellers.length) {
+    need(16 + 16);
+    pdf.text('판매자 사업자 정보', MARGIN, y, { size: 9.5 });
+    y += 16;
+    for (const s of doc.sellers) {
+      need(26);
+      pdf.text(pdf.fit(`${s.company_name || s.party_id}  ·  사업자등록번호 ${formatBusinessNo(s.business_no) || '-'}  ·  대표자 ${s.representative || '-'}`, W - 8, 8.5), MARGIN + 8, y, { size: 8.5 });
+      pdf.text(pdf.fit(s.address || '-', W - 16, 8), MARGIN + 16, y + 12, { size: 8 });
+      y += 26;
+    }
+    y += 4;
+  }
+
+  if (doc.notes) {
+    const lines = pdf.wrap(doc.notes, W - 8, 8.5);
+    need(16 + Math.min(lines.length, 3) * 12);
+    pdf.text('비고', MARGIN, y, { size: 9.5 });
+    y += 16;
+    for (const l of lines) {
+      need(12);
+      pdf.text(l, MARGIN + 8, y, { size: 8.5 });
+      y += 12;
+    }
+  }
+
+  const pages = pdf.pageCount();
+  for (let p = 1; p <= pages; p++) {
+    pdf.usePage(p);
+    pdf.line(MARGIN, pdf.height - 44, MARGIN + W, pdf.height - 44, { lineWidth: 0.3 });
+    pdf.text(`${title.en} ${doc.doc_no}`, MARGIN, pdf.height - 38, { size: 7.5 });
+    pdf.text(`${p} / ${pages}`, MARGIN, pdf.height - 38, { size: 7.5, align: 'right', width: W });
+  }
+  return pdf.toBuffer();
+}
+
+/* ---------------- 저장 ---------------- */
+
+/** 문서 번호를 매기고 PDF 를 만들어 file_blobs + trade_documents 에 저장 → 다운로드 URL */
+async function issueDocument(model, actor) {
+  await ensureDocumentTables();
+  return db.withTransaction(async (client) => {
+    const doc_no = model.doc_no || (await client.query(`SELECT 'Q'||nextval('public.seq_quote_no')::text AS no`)).rows[0].no;
+    const doc = { ...model, doc_no };
+    const pdf = renderTradePdf(doc);
+    const filename = `${doc.kind}-${doc_no}.pdf`.replace(/[^A-Za-z0-9._-]/g, '_');
+    const blob = (await client.query(`
+      INSERT INTO public.file_blobs (content_type, filename, byte_len, data)
+      VALUES ('application/pdf', $1, $2, $3)
+      RETURNING id
+    `, [filename, pdf.length, pdf])).rows[0];
+    const blob_id = String(blob.id);
+    const { buyer, supplier, sellers, ...rest } = doc;
+    const document = (await client.query(`
+      INSERT INTO public.trade_documents (kind, doc_no, source, source_id, owner_id, tenant_id, currency, total_cents, valid_until, blob_id, snapshot, created_by)
+      VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11::jsonb,$12)
+      RETURNING *
+    `, [doc.kind, doc_no, doc.source, doc.source_id || null, buyer?.party_id || actor?.id || null, actor?.tenantId || null,
+        doc.currency, Number(doc.totals?.total_cents || 0), doc.valid_until || null, blob_id,
+        JSON.stringify({ ...rest, buyer, supplier, sellers }), actor?.id || null])).rows[0];
+    return { document, blob_id, url: `/api/files/${blob_id}` };
+  });
+}
+
+async function listDocuments(actor, { kind = null, limit = 50 } = {}) {
+  await ensureDocumentTables();
+  const r = await db.query(`
+    SELECT id, kind, doc_no, source, source_id, owner_id, currency, total_cents, valid_until, blob_id, created_at,
+           '/api/files/' || blob_id AS url
+      FROM public.trade_documents
+     WHERE (owner_id = $1 OR created_by = $1)
+       AND ($2::text IS NULL OR kind = $2)
+     ORDER BY created_at DESC
+     LIMIT $3
+  `, [String(actor.id), kind, Math.min(Math.max(Number(limit) || 50, 1), 200)]);
+  return r.rows;
+}
+
+module.exports = {
+  PLATFORM_PARTY,
+  QUOTE_VALID_DAYS,
+  ensureDocumentTables,
+  getBusinessProfile,
+  upsertBusinessProfile,
+  quoteFromPlan,
+  quoteFromBid,
+  invoiceDocument,
+  renderTradePdf,
+  issueDocument,
+  listDocuments,
+};
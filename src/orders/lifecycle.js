@@ -0,0 +1,268 @@
+const db = require('../../db');
+const { getSellerKeySet } = require('../utils/auth');
+const { ensureReservations, releaseOrder } = require('./reservations');
+const { ensureLedger, postForTransition } = require('../payments/ledger');
+
+// 주문 상태 머신: awaiting_payment → paid → allocated → shipped → delivered → closed (+ cancelled / refunded)
+const ORDER_STATUSES = ['awaiting_payment', 'paid', 'allocated', 'shipped', 'delivered', 'closed', 'cancelled', 'refunded'];
+
+// from → { to: 허용 역할 }. system = 결제 확정/배송 추적 등 서버 내부 호출
+const TRANSITIONS = {
+  awaiting_payment: { paid: ['system'], cancelled: ['buyer', 'seller', 'admin'] },
+  paid:             { allocated: ['seller', 'admin'], cancelled: ['seller', 'admin'] },
+  allocated:        { shipped: ['seller', 'admin'], cancelled: ['seller', 'admin'] },
+  shipped:          { delivered: ['buyer', 'admin', 'system'] },
+  delivered:        { closed: ['buyer', 'admin', 'system'], refunded: ['admin'] },
+  cancelled:        { refunded: ['admin'] },
+  closed:           { refunded: ['admin'] },
+  refunded:         {},
+};
+
+// 재고를 차감한 컬럼(경로마다 다르다): checkout/최적화 = quantity_available(결제 시), listing 즉시구매 = qty_available(주문 시)
+const STOCK_COLUMNS = new Set(['quantity_available', 'qty_available']);
+
+let ensured = null;
+function ensureOrderLifecycle() {
+  if (!ensured) {
+    ensured = (async () => {
+      await db.query(`
+        ALTER TABLE public.orders
+          ADD COLUMN IF NOT EXISTS status_changed_at timestamptz,
+          ADD COLUMN IF NOT EXISTS stock_column text,
+          ADD COLUMN IF NOT EXISTS stock_restored_at timestamptz
+      `);
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS public.order_status_history (
+          id bigserial PRIMARY KEY,
+          order_id uuid NOT NULL,
+          from_status text,
+          to_status text NOT NULL,
+          actor_id text,
+          actor_role text,
+          reason text,
+          meta jsonb,
+          created_at timestamptz DEFAULT now()
+        )
+      `);
+      await db.query(`CREATE INDEX IF NOT EXISTS ix_order_status_history_order ON public.order_status_history (order_id, created_at)`);
+      // 판매자별 하위 주문: 부모 주문(구매자 결제 단위) 아래에 판매자마다 하나
+      await db.query('CREATE EXTENSION IF NOT EXISTS "uuid-ossp"');
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS public.seller_orders (
+          id uuid DEFAULT uuid_generate_v4() PRIMARY KEY,
+          parent_order_id uuid NOT NULL,
+          seller_id text NOT NULL,
+          tenant_id text,
+          currency text NOT NULL,
+          status text NOT NULL DEFAULT 'awaiting_payment',
+          subtotal_cents bigint NOT NULL DEFAULT 0,
+          tax_cents bigint NOT NULL DEFAULT 0,
+          shipping_cents bigint NOT NULL DEFAULT 0,
+          total_cents bigint NOT NULL DEFAULT 0,
+          acknowledged_at timestamptz,
+          acknowledged_by text,
+          stock_restored_at timestamptz,
+          status_changed_at timestamptz,
+          created_at timestamptz DEFAULT now(),
+          UNIQUE (parent_order_id, seller_id)
+        )
+      `);
+      await db.query(`CREATE INDEX IF NOT EXISTS ix_seller_orders_seller ON public.seller_orders (seller_id, created_at DESC)`);
+      await db.query(`ALTER TABLE public.order_items ADD COLUMN IF NOT EXISTS seller_order_id uuid`);
+      await db.query(`ALTER TABLE public.order_status_history ADD COLUMN IF NOT EXISTS seller_order_id uuid`);
+      await ensureReservations();
+      await ensureLedger();
+    })().catch((e) => { ensured = null; throw e; });
+  }
+  return ensured;
+}
+
+function allowedRoles(from, to) {
+  return (TRANSITIONS[from] || {})[to] || null;
+}
+
+function sellerKeys(actor, req = null) {
+  if (!(actor?.roles || []).includes('seller')) return [];
+  return req ? getSellerKeySet(req) : (actor.id ? [String(actor.id)] : []);
+}
+
+/**
+ * 이 주문에 대해 actor 가 가진 역할(buyer=주문자, seller=주문 품목 listing 의 판매자, admin).
+ * 판매자별 하위 주문으로 나뉜 주문은 판매자가 부모가 아니라 자기 하위 주문만 다룬다.
+ */
+async function rolesFor(client, order, actor, req = null) {
+  const roles = new Set();
+  if (!actor) return roles;
+  if ((actor.roles || []).includes('admin')) roles.add('admin');
+  if (actor.id && String(order.buyer_id || '') === String(actor.id)) roles.add('buyer');
+  const keys = sellerKeys(actor, req);
+  if (keys.length) {
+    const r = await client.query(`
+      SELECT 1
+        FROM public.order_items oi
+        JOIN public.listings l ON l.id = oi.listing_id
+       WHERE oi.order_id = $1
+         AND oi.seller_order_id IS NULL
+         AND COALESCE(to_jsonb(l)->>'seller_id', to_jsonb(l)->>'seller_ref') = ANY($2::text[])
+       LIMIT 1
+    `, [order.id, keys]);
+    if (r.rows.length) roles.add('seller');
+  }
+  return roles;
+}
+
+/** listing 재고를 qty 만큼 늘린다. 즉시구매 경로(qty_available)는 재고 0 이면 soldout 으로 바꿨으므로 되돌린다 */
+async function addStock(client, col, listing_id, qty) {
+  if (!STOCK_COLUMNS.has(col)) throw new Error(`bad stock column: ${col}`);
+  const reopen = col === 'qty_available' ? `, status = CASE WHEN status = 'soldout' THEN 'active' ELSE status END, updated_at = now()` : '';
+  const u = await client.query(`UPDATE public.listings SET ${col} = ${col} + $2${reopen} WHERE id = $1 RETURNING id`, [listing_id, qty]);
+  return u.rows.length > 0;
+}
+
+/**
+ * 차감했던 재고를 돌려놓는다. seller_order_id 를 주면 그 하위 주문 품목만.
+ * 복원한 하위 주문/부모는 표시해 두어 두 번 복원되지 않게 한다.
+ */
+async function restoreStock(client, order, { seller_order_id = null } = {}) {
+  const col = STOCK_COLUMNS.has(order.stock_column) ? order.stock_column : null;
+  if (!col || order.stock_restored_at) return [];
+  const items = await client.query(`
+    SELECT oi.listing_id, SUM(oi.qty)::int AS qty
+      FROM public.order_items oi
+      LEFT JOIN public.seller_orders so ON so.id = oi.seller_order_id
+     WHERE oi.order_id = $1 AND oi.listing_id IS NOT NULL
+       AND so.stock_restored_at IS NULL
+       AND ($2::uuid IS NULL OR oi.seller_order_id = $2::uuid)
+     GROUP BY oi.listing_id
+     ORDER BY oi.listing_id
+  `, [order.id, seller_order_id]);
+  const restored = [];
+  for (const it of items.rows) {
+    if (await addStock(client, col, it.listing_id, it.qty)) restored.push({ listing_id: it.listing_id, qty: it.qty });
+  }
+  if (seller_order_id) {
+    await client.query(`UPDATE public.seller_orders SET stock_restored_at = now() WHERE id = $1`, [seller_order_id]);
+  } else {
+    await client.query(`UPDATE public.seller_orders SET stock_restored_at = now() WHERE parent_order_id = $1 AND stock_restored_at IS NULL`, [order.id]);
+    await client.query(`UPDATE public.orders SET stock_column = NULL, stock_restored_at = now() WHERE id = $1`, [order.id]);
+  }
+  return restored;
+}
+
+/**
+ * 잠근 주문 행(order)을 to 로 옮기고 이력을 남긴다. 트랜잭션 안에서 호출.
+ * actor: { id, role } — role 은 이미 검사된 역할(system 포함)
+ */
+async function applyTransition(client, order, to, { actor_id = null, role = 'system', reason = null, meta = null } = {}) {
+  const from = order.status;
+  if (!allowedRoles(from, to)) throw new Error(`invalid transition: ${from} → ${to}`);
+  let restored = [];
+  if (to === 'cancelled') {
+    restored = await restoreStock(client, order);
+    await releaseOrder(client, order.id, { reason: reason || 'order cancelled' });
+  }
+  if (to === 'refunded') {
+    const paid = await client.query(`SELECT 1 FROM public.invoices WHERE order_id = $1 AND status = 'paid' LIMIT 1`, [order.id]);
+    if (!paid.rows.length) throw new Error('invalid transition: order was never paid');
+  }
+  const u = await client.query(`
+    UPDATE public.orders SET status = $2, status_changed_at = now() WHERE id = $1 RETURNING *
+  `, [order.id, to]);
+  // 판매자 정산 원장: 결제 → 판매, 배송완료 → 정산가능, 취소·환불 → 되돌림
+  await postForTransition(client, u.rows[0], to, { reason });
+  const history = await client.query(`
+    INSERT INTO public.order_status_history (order_id, from_status, to_status, actor_id, actor_role, reason, meta)
+    VALUES ($1,$2,$3,$4,$5,$6,$7::jsonb)
+    RETURNING *
+  `, [order.id, from, to, actor_id, role, reason, JSON.stringify({ ...(meta || {}), ...(restored.length ? { restored_stock: restored } : {}) })]);
+  const seller_orders = await propagateToSellerOrders(client, order.id, to, { actor_id, role, reason: reason || `parent order ${to}` });
+  return { order: u.rows[0], history: history.rows[0], restored_stock: restored, seller_orders };
+}
+
+// 부모 주문 전이를 아직 따라오지 않은 하위 주문에 반영(해당 전이가 허용되는 상태만)
+async function propagateToSellerOrders(client, orderId, to, { actor_id, role, reason }) {
+  const froms = Object.keys(TRANSITIONS).filter((f) => TRANSITIONS[f][to]);
+  if (!froms.length) return [];
+  const r = await client.query(`
+    WITH moved AS (
+      UPDATE public.seller_orders so
+         SET status = $2, status_changed_at = now()
+        FROM (SELECT id, status AS prev FROM public.seller_orders WHERE parent_order_id = $1 AND status = ANY($3::text[]) FOR UPDATE) p
+       WHERE so.id = p.id
+      RETURNING so.id, p.prev
+    )
+    INSERT INTO public.order_status_history (order_id, seller_order_id, from_status, to_status, actor_id, actor_role, reason)
+    SELECT $1, id, prev, $2, $4, $5, $6 FROM moved
+    RETURNING seller_order_id
+  `, [orderId, to, froms, actor_id, role, reason]);
+  return r.rows.map((x) => x.seller_order_id);
+}
+
+/** 엔드포인트용: 주문을 잠그고 actor 의 역할로 전이 가능한지 확인한 뒤 적용한다. */
+async function transitionOrder(id, to, actor, { reason = null, meta = null, req = null } = {}) {
+  if (!ORDER_STATUSES.includes(to)) throw new Error(`unknown status: ${to}`);
+  await ensureOrderLifecycle();
+  return db.withTransaction(async (client) => {
+    const order = (await client.query(`SELECT * FROM public.orders WHERE id = $1 FOR UPDATE`, [id])).rows[0];
+    if (!order) throw new Error('order not found');
+    const need = allowedRoles(order.status, to);
+    if (!need) throw new Error(`invalid transition: ${order.status} → ${to}`);
+    const mine = await rolesFor(client, order, actor, req);
+    const role = need.find((r) => mine.has(r));
+    if (!role) throw new Error(`forbidden: ${need.filter((r) => r !== 'system').join('/') || 'system'} only`);
+    return applyTransition(client, order, to, { actor_id: actor?.id || null, role, reason, meta });
+  });
+}
+
+async function getOrder(id, actor, { req = null } = {}) {
+  await ensureOrderLifecycle();
+  return db.withClient(async (client) => {
+    const order = (await client.query(`SELECT * FROM public.orders WHERE id = $1`, [id])).rows[0];
+    if (!order) throw new Error('order not found');
+    const mine = await rolesFor(client, order, actor, req);
+    if (!mine.size) throw new Error('forbidden');
+    const items = await client.query(`SELECT * FROM public.order_items WHERE order_id = $1 ORDER BY id`, [id]);
+    const invoices = await client.query(`SELECT * FROM public.invoices WHERE order_id = $1 ORDER BY id`, [id]);
+    const history = await client.query(`SELECT * FROM public.order_status_history WHERE order_id = $1 ORDER BY created_at, id`, [id]);
+    const sellerOrders = await client.query(`SELECT * FROM public.seller_orders WHERE parent_order_id = $1 ORDER BY created_at, id`, [id]);
+    const next = Object.entries(TRANSITIONS[order.status] || {})
+      .filter(([, roles]) => roles.some((r) => mine.has(r)))
+      .map(([to]) => to);
+    return { order, items: items.rows, invoices: invoices.rows, seller_orders: sellerOrders.rows, history: history.rows, roles: [...mine], next_statuses: next };
+  });
+}
+
+async function listOrders(actor, { status = null, limit = 50 } = {}) {
+  await ensureOrderLifecycle();
+  const args = [];
+  const where = [];
+  if ((actor.roles || []).includes('admin')) {
+    if (actor.tenantId) { args.push(actor.tenantId); where.push(`tenant_id = $${args.length}`); }
+  } else {
+    args.push(actor.id); where.push(`buyer_id = $${args.length}`);
+  }
+  if (status) { args.push(status); where.push(`status = $${args.length}`); }
+  args.push(Math.min(Math.max(Number(limit) || 50, 1), 200));
+  const r = await db.query(`
+    SELECT * FROM public.orders
+     ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+     ORDER BY created_at DESC
+     LIMIT $${args.length}
+  `, args);
+  return r.rows;
+}
+
+module.exports = {
+  ORDER_STATUSES,
+  TRANSITIONS,
+  ensureOrderLifecycle,
+  allowedRoles,
+  sellerKeys,
+  rolesFor,
+  restoreStock,
+  addStock,
+  applyTransition,
+  transitionOrder,
+  getOrder,
+  listOrders,
+};
@@ -0,0 +1,154 @@
+const db = require('../../db');
+
+// 주문 생성 ~ 결제 사이 재고 홀드. 만료된 홀드는 sweeper 가 정리하기 전에도 가용 재고 계산에서 빠진다.
+const HOLD_TTL_MINUTES = Number(process.env.RESERVATION_TTL_MINUTES || 30);
+const SWEEP_INTERVAL_MS = Number(process.env.RESERVATION_SWEEP_MS || 0);
+
+let ensured = null;
+function ensureReservations() {
+  if (!ensured) {
+    ensured = (async () => {
+      await db.query('CREATE EXTENSION IF NOT EXISTS "uuid-ossp"');
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS public.inventory_reservations (
+          id uuid DEFAULT uuid_generate_v4() PRIMARY KEY,
+          listing_id uuid NOT NULL,
+          order_id uuid NOT NULL,
+          seller_order_id uuid,
+          qty integer NOT NULL CHECK (qty > 0),
+          status text NOT NULL DEFAULT 'held' CHECK (status IN ('held','consumed','released','expired')),
+          expires_at timestamptz NOT NULL,
+          released_at timestamptz,
+          reason text,
+          created_at timestamptz DEFAULT now()
+        )
+      `);
+      await db.query(`CREATE INDEX IF NOT EXISTS ix_inventory_reservations_held ON public.inventory_reservations (listing_id, expires_at) WHERE status = 'held'`);
+      await db.query(`CREATE INDEX IF NOT EXISTS ix_inventory_reservations_order ON public.inventory_reservations (order_id)`);
+    })().catch((e) => { ensured = null; throw e; });
+  }
+  return ensured;
+}
+
+// listing 별 유효 홀드 수량 (SQL 조각; alias 는 listings 별칭)
+function heldQtySql(alias = 'l') {
+  return `(SELECT COALESCE(SUM(r.qty), 0)::int FROM public.inventory_reservations r
+            WHERE r.listing_id = ${alias}.id AND r.status = 'held' AND r.expires_at > now())`;
+}
+
+async function heldByListing(ids, pg = db) {
+  const list = [...new Set((ids || []).filter(Boolean).map(String))];
+  if (!list.length) return new Map();
+  await ensureReservations();
+  const r = await pg.query(`
+    SELECT listing_id::text AS listing_id, SUM(qty)::int AS held
+      FROM public.inventory_reservations
+     WHERE listing_id::text = ANY($1::text[]) AND status = 'held' AND expires_at > now()
+     GROUP BY listing_id
+  `, [list]);
+  return new Map(r.rows.map((x) => [x.listing_id, Number(x.held)]));
+}
+
+/**
+ * 주문 품목만큼 listing 재고를 홀드한다(트랜잭션 안, order_items insert 뒤).
+ * listing 을 id 순으로 잠그고 "재고 − 다른 유효 홀드" 로 가용량을 확인한다.
+ */
+async function reserveOrder(client, order, { column = 'quantity_available', ttl_minutes = HOLD_TTL_MINUTES } = {}) {
+  if (!['quantity_available', 'qty_available'].includes(column)) throw new Error(`bad stock column: ${column}`);
+  const items = await client.query(`
+    SELECT listing_id, seller_order_id, SUM(qty)::int AS qty
+      FROM public.order_items
+     WHERE order_id = $1 AND listing_id IS NOT NULL
+     GROUP BY listing_id, seller_order_id
+     ORDER BY listing_id
+  `, [order.id]);
+  if (!items.rows.length) return { holds: [], expires_at: null };
+  const ids = [...new Set(items.rows.map((it) => String(it.listing_id)))];
+  const locked = await client.query(`
+    SELECT l.id::text AS id, l.${column} AS stock, ${heldQtySql('l')} AS held
+      FROM public.listings l
+     WHERE l.id::text = ANY($1::text[])
+     ORDER BY l.id
+       FOR UPDATE
+  `, [ids]);
+  const avail = new Map(locked.rows.map((x) => [x.id, Number(x.stock || 0) - Number(x.held || 0)]));
+  const need = new Map();
+  for (const it of items.rows) need.set(String(it.listing_id), (need.get(String(it.listing_id)) || 0) + Number(it.qty));
+  for (const [id, qty] of need) {
+    const a = avail.has(id) ? avail.get(id) : 0;
+    if (a < qty) throw new Error(`insufficient stock for listing ${id}: requested ${qty}, available ${Math.max(0, a)}`);
+  }
+  const ttl = Math.max(1, Number(ttl_minutes) || HOLD_TTL_MINUTES);
+  const holds = [];
+  for (const it of items.rows) {
+    const r = await client.query(`
+      INSERT INTO public.inventory_reservations (listing_id, order_id, seller_order_id, qty, expires_at)
+      VALUES ($1,$2,$3,$4, now() + make_interval(mins => $5))
+      RETURNING *
+    `, [it.listing_id, order.id, it.seller_order_id || null, it.qty, ttl]);
+    holds.push(r.rows[0]);
+  }
+  return { holds, expires_at: holds[0]?.expires_at || null };
+}
+
+/** 결제 확정: 이 주문의 홀드를 소진 처리(재고 차감은 호출자가) */
+async function consumeOrder(client, orderId) {
+  const r = await client.query(`
+    UPDATE public.inventory_reservations SET status = 'consumed', released_at = now()
+     WHERE order_id = $1 AND status = 'held'
+    RETURNING id
+  `, [orderId]);
+  return r.rowCount;
+}
+
+/** 취소 등: 홀드 해제. seller_order_id 를 주면 그 하위 주문 몫만 */
+async function releaseOrder(client, orderId, { seller_order_id = null, reason = 'cancelled' } = {}) {
+  const r = await client.query(`
+    UPDATE public.inventory_reservations SET status = 'released', released_at = now(), reason = $3
+     WHERE order_id = $1 AND status = 'held'
+       AND ($2::uuid IS NULL OR seller_order_id = $2::uuid)
+    RETURNING id
+  `, [orderId, seller_order_id, reason]);
+  return r.rowCount;
+}
+
+/** 만료된 홀드 정리 */
+async function sweepExpired({ limit = 5000 } = {}) {
+  await ensureReservations();
+  const r = await db.query(`
+    UPDATE public.inventory_reservations SET status = 'expired', released_at = now(), reason = 'expired'
+     WHERE id IN (
+       SELECT id FROM public.inventory_reservations
+        WHERE status = 'held' AND expires_at <= now()
+        ORDER BY expires_at
+        LIMIT $1
+          FOR UPDATE SKIP LOCKED
+     )
+    RETURNING order_id
+  `, [Math.max(1, Number(limit) || 5000)]);
+  return { expired: r.rowCount, orders: [...new Set(r.rows.map((x) => String(x.order_id)))] };
+}
+
+let sweeper = null;
+// RESERVATION_SWEEP_MS 가 있으면 프로세스 안에서도 주기적으로 정리 (없으면 /sweep 엔드포인트를 스케줄러로 호출)
+function startSweeper(intervalMs = SWEEP_INTERVAL_MS) {
+  if (sweeper || !(intervalMs > 0)) return null;
+  sweeper = setInterval(() => {
+    sweepExpired().then((r) => { if (r.expired) console.log('[reservations] expired %d holds', r.expired); })
+      .catch((e) => console.warn('[reservations] sweep failed:', e?.message || e));
+  }, intervalMs);
+  sweeper.unref?.();
+  return sweeper;
+}
+
+module.exports = {
+  HOLD_TTL_MINUTES,
+  ensureReservations,
+  heldQtySql,
+  heldByListing,
+  reserveOrder,
+  consumeOrder,
+  releaseOrder,
+  sweepExpired,
+  startSweeper,
+};
@@ -0,0 +1,280 @@
+const db = require('../../db');
+const { ensureOrderLifecycle, sellerKeys, addStock, allowedRoles, applyTransition } = require('./lifecycle');
+const { postReturn } = require('../payments/ledger');
+
+// 반품(RMA): 배송 완료된 주문 품목에 대해 구매자가 요청 → 판매자 승인/거절 → 반송 → 입고 → 처리(재입고/적립금/환불)
+const REASON_CODES = ['defective', 'wrong_item', 'damaged', 'not_as_described', 'excess_qty', 'other'];
+const RESOLUTIONS = ['restock', 'credit', 'refund'];
+const RETURN_WINDOW_DAYS = Number(process.env.RMA_WINDOW_DAYS || 30);
+const MAX_PHOTOS = 10;
+
+// 상태 → { 다음 상태: 허용 역할 }
+const RMA_TRANSITIONS = {
+  requested:     { approved: ['seller', 'admin'], rejected: ['seller', 'admin'], cancelled: ['buyer', 'admin'] },
+  approved:      { return_shipped: ['buyer', 'admin'], resolved: ['seller', 'admin'], cancelled: ['buyer', 'admin'] },
+  return_shipped: { received: ['seller', 'admin'] },
+  received:      { resolved: ['seller', 'admin'] },
+  rejected:      {},
+  resolved:      {},
+  cancelled:     {},
+};
+// 수량을 잡고 있는 상태 (같은 품목에 중복 요청 방지)
+const OPEN_STATUSES = ['requested', 'approved', 'return_shipped', 'received', 'resolved'];
+
+let ensured = null;
+function ensureRma() {
+  if (!ensured) {
+    ensured = (async () => {
+      await ensureOrderLifecycle();
+      await db.query(`CREATE SEQUENCE IF NOT EXISTS public.seq_rma_no`);
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS public.rma_requests (
+          id uuid DEFAULT uuid_generate_v4() PRIMARY KEY,
+          rma_no text NOT NULL UNIQUE DEFAULT ('R'||nextval('public.seq_rma_no')::text),
+          order_id uuid NOT NULL,
+          seller_order_id uuid,
+          order_item_id text NOT NULL,
+          listing_id uuid,
+          buyer_id text,
+          seller_id text,
+          qty integer NOT NULL CHECK (qty > 0),
+          reason_code text NOT NULL,
+          description text,
+          photos jsonb NOT NULL DEFAULT '[]'::jsonb,
+          status text NOT NULL DEFAULT 'requested',
+          decision_note text,
+          decided_by text,
+          decided_at timestamptz,
+          return_carrier text,
+          return_tracking_no text,
+          return_shipped_at timestamptz,
+          received_at timestamptz,
+          resolution text,
+          restocked boolean NOT NULL DEFAULT false,
+          refund jsonb,
+          resolved_at timestamptz,
+          created_at timestamptz DEFAULT now(),
+          updated_at timestamptz DEFAULT now()
+        )
+      `);
+      await db.query(`CREATE INDEX IF NOT EXISTS ix_rma_requests_order_item ON public.rma_requests (order_item_id)`);
+      await db.query(`CREATE INDEX IF NOT EXISTS ix_rma_requests_seller ON public.rma_requests (seller_id, created_at DESC)`);
+      await db.query(`CREATE INDEX IF NOT EXISTS ix_rma_requests_buyer ON public.rma_requests (buyer_id, created_at DESC)`);
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS public.rma_events (
+          id bigserial PRIMARY KEY,
+          rma_id uuid NOT NULL REFERENCES public.rma_requests(id),
+          from_status text,
+          to_status text NOT NULL,
+          actor_id text,
+          actor_role text,
+          note text,
+          meta jsonb,
+          created_at timestamptz DEFAULT now()
+        )
+      `);
+    })().catch((e) => { ensured = null; throw e; });
+  }
+  return ensured;
+}
+
+// 사진은 /api/uploads/datasheet 로 올린 file_blobs id 를 받는다
+async function resolvePhotos(client, photos) {
+  const ids = [...new Set((Array.isArray(photos) ? photos : [])
+    .map((p) => (p && typeof p === 'object' ? p.blob_id : p))
+    .filter((v) => v != null && v !== '')
+    .map(String))];
+  if (ids.length > MAX_PHOTOS) throw new Error(`at most ${MAX_PHOTOS} photos`);
+  if (!ids.length) return [];
+  const r = await client.query(`SELECT id::text AS id, content_type FROM public.file_blobs WHERE id::text = ANY($1::text[])`, [ids]);
+  const found = new Map(r.rows.map((x) => [x.id, x]));
+  const missing = ids.filter((id) => !found.has(id));
+  if (missing.length) throw new Error(`photo not found: ${missing.join(', ')}`);
+  return ids.map((id) => ({ blob_id: id, url: `/api/files/${id}`, content_type: found.get(id).content_type || null }));
+}
+
+function rolesOn(rma, actor, req) {
+  const roles = new Set();
+  if ((actor?.roles || []).includes('admin')) roles.add('admin');
+  if (actor?.id && String(rma.buyer_id || '') === String(actor.id)) roles.add('buyer');
+  if (rma.seller_id && sellerKeys(actor, req).includes(String(rma.seller_id))) roles.add('seller');
+  return roles;
+}
+
+async function logEvent(client, rma, to, { actor_id = null, role = null, note = null, meta = null } = {}) {
+  await client.query(`
+    INSERT INTO public.rma_events (rma_id, from_status, to_status, actor_id, actor_role, note, meta)
+    VALUES ($1,$2,$3,$4,$5,$6,$7::jsonb)
+  `, [rma.id, rma.status, to, actor_id, role, note, meta ? JSON.stringify(meta) : null]);
+}
+
+/**
+ * 구매자 반품 요청. 주문(또는 판매자 하위 주문)이 배송 완료(delivered/closed)이고
+ * 배송 완료 후 RMA_WINDOW_DAYS 이내여야 한다.
+ */
+async function createRma({ order_item_id, qty, reason_code, description = null, photos = [] }, actor) {
+  if (!REASON_CODES.includes(reason_code)) throw new Error(`reason_code must be one of ${REASON_CODES.join(', ')}`);
+  const want = Number(qty);
+  if (!Number.isInteger(want) || want <= 0) throw new Error('qty must be a positive integer');
+  await ensureRma();
+  return db.withTransaction(async (client) => {
+    const it = (await client.query(`
+      SELECT oi.id::text AS id, oi.order_id, oi.seller_order_id, oi.listing_id, oi.qty,
+             o.buyer_id, o.status AS order_status, o.status_changed_at AS order_changed_at,
+             so.status AS so_status, so.status_changed_at AS so_changed_at,
+             COALESCE(so.seller_id, to_jsonb(l)->>'seller_id', to_jsonb(l)->>'seller_ref') AS seller_id
+        FROM public.order_items oi
+        JOIN public.orders o ON o.id = oi.order_id
+        LEFT JOIN public.seller_orders so ON so.id = oi.seller_order_id
+        LEFT JOIN public.listings l ON l.id = oi.listing_id
+       WHERE oi.id::text = $1
+         FOR UPDATE OF oi
+    `, [String(order_item_id || '')])).rows[0];
+    if (!it) throw new Error('order item not found');
+    if (!(actor?.roles || []).includes('admin') && String(it.buyer_id || '') !== String(actor?.id || '')) throw new Error('forbidden');
+
+    const status = it.seller_order_id ? it.so_status : it.order_status;
+    const since = it.seller_order_id ? it.so_changed_at : it.order_changed_at;
+    if (!['delivered', 'closed'].includes(status)) throw new Error(`invalid request: order is ${status}`);
+    if (since && Date.now() - new Date(since).getTime() > RETURN_WINDOW_DAYS * 86400000) {
+      throw new Error(`invalid request: return window of ${RETURN_WINDOW_DAYS} days has passed`);
+    }
+    const taken = (await client.query(`
+      SELECT COALESCE(SUM(qty), 0)::int AS qty FROM public.rma_requests WHERE order_item_id = $1 AND status = ANY($2::text[])
+    `, [it.id, OPEN_STATUSES])).rows[0];
+    const left = Number(it.qty) - Number(taken?.qty || 0);
+    if (want > left) throw new Error(`invalid request: only ${Math.max(0, left)} left to return on this item`);
+
+    const pics = await resolvePhotos(client, photos);
+    const rma = (await client.query(`
+      INSERT INTO public.rma_requests
+        (order_id, seller_order_id, order_item_id, listing_id, buyer_id, seller_id, qty, reason_code, description, photos)
+      VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10::jsonb)
+      RETURNING *
+    `, [it.order_id, it.seller_order_id, it.id, it.listing_id, it.buyer_id, it.seller_id, want, reason_code, description, JSON.stringify(pics)])).rows[0];
+    await logEvent(client, { id: rma.id, status: null }, 'requested', { actor_id: actor?.id || null, role: 'buyer', note: description });
+    return rma;
+  });
+}
+
+async function listRmas(actor, { req = null, status = null, limit = 50 } = {}) {
+  await ensureRma();
+  const args = [];
+  const where = [];
+  if (!(actor?.roles || []).includes('admin')) {
+    args.push(actor?.id ? String(actor.id) : '');
+    args.push(sellerKeys(actor, req));
+    where.push(`(buyer_id = $1 OR seller_id = ANY($2::text[]))`);
+  }
+  if (status) { args.push(status); where.push(`status = $${args.length}`); }
+  args.push(Math.min(Math.max(Number(limit) || 50, 1), 200));
+  const r = await db.query(`
+    SELECT * FROM public.rma_requests
+     ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+     ORDER BY created_at DESC
+     LIMIT $${args.length}
+  `, args);
+  return r.rows;
+}
+
+async function getRma(id, actor, { req = null } = {}) {
+  await ensureRma();
+  const rma = (await db.query(`SELECT * FROM public.rma_requests WHERE id = $1`, [id])).rows[0];
+  if (!rma) throw new Error('rma not found');
+  if (!rolesOn(rma, actor, req).size) throw new Error('forbidden');
+  const events = await db.query(`SELECT * FROM public.rma_events WHERE rma_id = $1 ORDER BY created_at, id`, [id]);
+  return { rma, events: events.rows };
+}
+
+// 주문의 모든 품목이 금전 처리(적립금/환불)로 전부 반품되면 주문을 refunded 로
+async function fullyReturned(client, orderId) {
+  const r = await client.query(`
+    SELECT bool_and(COALESCE(x.qty, 0) >= oi.qty) AS all_returned
+      FROM public.order_items oi
+      LEFT JOIN (
+        SELECT order_item_id, SUM(qty)::int AS qty FROM public.rma_requests
+         WHERE order_id = $1 AND status = 'resolved' AND resolution IN ('credit','refund')
+         GROUP BY order_item_id
+      ) x ON x.order_item_id = oi.id::text
+     WHERE oi.order_id = $1
+  `, [orderId]);
+  return r.rows[0]?.all_returned === true;
+}
+
+/**
+ * RMA 상태 전이.
+ *  - return_shipped: { carrier, tracking_no } 필수
+ *  - resolved: { resolution: restock|credit|refund, restock? } — restock 은 반품 수량을 listing 재고로 돌리고,
+ *    credit/refund 는 원장에 반품 분개를 남긴다(restock: true 면 재입고도 함께). 승인 후 반송 없이 처리할 때는 재입고 불가.
+ */
+async function transitionRma(id, to, actor, { req = null, note = null, carrier = null, tracking_no = null, resolution = null, restock = false } = {}) {
+  await ensureRma();
+  return db.withTransaction(async (client) => {
+    const ref = (await client.query(`SELECT order_id FROM public.rma_requests WHERE id = $1`, [id])).rows[0];
+    if (!ref) throw new Error('rma not found');
+    // 주문 → RMA 순으로 잠가 주문 전이와 교착되지 않게 한다
+    const order = (await client.query(`SELECT * FROM public.orders WHERE id = $1 FOR UPDATE`, [ref.order_id])).rows[0];
+    const rma = (await client.query(`SELECT * FROM public.rma_requests WHERE id = $1 FOR UPDATE`, [id])).rows[0];
+    const need = (RMA_TRANSITIONS[rma.status] || {})[to];
+    if (!need) throw new Error(`invalid transition: ${rma.status} → ${to}`);
+    const mine = rolesOn(rma, actor, req);
+    const role = ['admin', 'seller', 'buyer'].find((r) => mine.has(r) && need.includes(r));
+    if (!role) throw new Error(`forbidden: ${need.join('/')} only`);
+
+    const sets = ['status = $2', 'updated_at = now()'];
+    const args = [id, to];
+    const meta = {};
+    const push = (col, v) => { args.push(v); sets.push(`${col} = $${args.length}`); };
+
+    if (to === 'approved' || to === 'rejected') {
+      push('decision_note', note);
+      push('decided_by', actor?.id || null);
+      sets.push('decided_at = now()');
+    }
+    if (to === 'return_shipped') {
+      if (!carrier || !tracking_no) throw new Error('carrier and tracking_no required');
+      push('return_carrier', String(carrier));
+      push('return_tracking_no', String(tracking_no));
+      sets.push('return_shipped_at = now()');
+    }
+    if (to === 'received') sets.push('received_at = now()');
+    if (to === 'resolved') {
+      if (!RESOLUTIONS.includes(resolution)) throw new Error(`resolution must be one of ${RESOLUTIONS.join(', ')}`);
+      const doRestock = resolution === 'restock' || restock === true;
+      if (doRestock && rma.status !== 'received') throw new Error('invalid transition: restock requires the return to be received');
+      if (doRestock && rma.listing_id) {
+        const col = ['quantity_available', 'qty_available'].includes(order.stock_column) ? order.stock_column : 'quantity_available';
+        meta.restocked = await addStock(client, col, rma.listing_id, rma.qty);
+        push('restocked', meta.restocked);
+      }
+      if (resolution === 'credit' || resolution === 'refund') {
+        const ret = await postReturn(client, order, { order_item_id: rma.order_item_id, qty: rma.qty, mode: resolution, rma_id: rma.id, memo: `RMA ${rma.rma_no}` });
+        meta.refund = ret ? { mode: resolution, qty: ret.qty, amounts: ret.amounts, ledger_txn_id: ret.txn?.id || null } : { mode: resolution, amounts: [] };
+        push('refund', JSON.stringify(meta.refund));
+      }
+      push('resolution', resolution);
+      sets.push('resolved_at = now()');
+    }
+
+    const u = (await client.query(`UPDATE public.rma_requests SET ${sets.join(', ')} WHERE id = $1 RETURNING *`, args)).rows[0];
+    await logEvent(client, rma, to, { actor_id: actor?.id || null, role, note, meta: Object.keys(meta).length ? meta : null });
+
+    // 주문 전체가 반품 처리되면 주문 흐름에서도 환불로 마감
+    let orderOut = null;
+    if (to === 'resolved' && u.resolution !== 'restock' && allowedRoles(order.status, 'refunded') && await fullyReturned(client, order.id)) {
+      orderOut = (await applyTransition(client, order, 'refunded', { actor_id: actor?.id || null, role: 'system', reason: `all items returned (RMA ${rma.rma_no})` })).order;
+    }
+    return { rma: u, order: orderOut };
+  });
+}
+
+module.exports = {
+  REASON_CODES,
+  RESOLUTIONS,
+  RMA_TRANSITIONS,
+  ensureRma,
+  createRma,
+  listRmas,
+  getRma,
+  transitionRma,
+};
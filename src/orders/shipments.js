@@ -0,0 +1,350 @@
+const db = require('../../db');
+const { ensureOrderLifecycle, sellerKeys, allowedRoles, applyTransition, rolesFor } = require('./lifecycle');
+const { lockPair, canSee, applySellerTransition } = require('./suborders');
+const { getCarrier } = require('../shipping/carriers');
+
+/**
+ * 출고(shipment): 판매자 하위 주문(분할되지 않은 주문은 부모 주문) 품목을 송장 단위로 보낸다.
+ *  - 첫 출고 시 paid → allocated, 모든 품목 수량이 출고되면 → shipped
+ *  - 모든 출고가 배송완료(구매자 확인 또는 택배사 조회)되면 → delivered
+ */
+const POLL_INTERVAL_MS = Number(process.env.SHIPMENT_POLL_MS || 0);
+const POLLABLE = ['in_transit', 'exception'];
+
+let ensured = null;
+function ensureShipments() {
+  if (!ensured) {
+    ensured = (async () => {
+      await ensureOrderLifecycle();
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS public.shipments (
+          id uuid DEFAULT uuid_generate_v4() PRIMARY KEY,
+          order_id uuid NOT NULL,
+          seller_order_id uuid,
+          seller_id text,
+          carrier text NOT NULL,
+          tracking_no text NOT NULL,
+          status text NOT NULL DEFAULT 'in_transit' CHECK (status IN ('in_transit','exception','delivered')),
+          shipped_at timestamptz DEFAULT now(),
+          delivered_at timestamptz,
+          delivered_source text,
+          last_polled_at timestamptz,
+          poll_error text,
+          created_by text,
+          created_at timestamptz DEFAULT now(),
+          updated_at timestamptz DEFAULT now()
+        )
+      `);
+      await db.query(`CREATE INDEX IF NOT EXISTS ix_shipments_order ON public.shipments (order_id)`);
+      await db.query(`CREATE INDEX IF NOT EXISTS ix_shipments_poll ON public.shipments (status, last_polled_at NULLS FIRST)`);
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS public.shipment_items (
+          shipment_id uuid NOT NULL REFERENCES public.shipments(id),
+          order_item_id text NOT NULL,
+          qty integer NOT NULL CHECK (qty > 0),
+          PRIMARY KEY (shipment_id, order_item_id)
+        )
+      `);
+      await db.query(`CREATE INDEX IF NOT EXISTS ix_shipment_items_item ON public.shipment_items (order_item_id)`);
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS public.shipment_events (
+          id bigserial PRIMARY KEY,
+          shipment_id uuid NOT NULL REFERENCES public.shipments(id),
+          code text NOT NULL,
+          status text,
+          description text,
+          location text,
+          occurred_at timestamptz NOT NULL,
+          source text NOT NULL DEFAULT 'carrier',
+          created_at timestamptz DEFAULT now(),
+          UNIQUE (shipment_id, code, occurred_at)
+        )
+      `);
+    })().catch((e) => { ensured = null; throw e; });
+  }
+  return ensured;
+}
+
+// 출고 단위(하위 주문 또는 분할 안 된 부모 주문)의 품목별 주문/출고 수량
+async function itemProgress(client, { order_id, seller_order_id }) {
+  const r = await client.query(`
+    SELECT oi.id::text AS id, oi.brand, oi.code, oi.qty,
+           COALESCE((SELECT SUM(si.qty) FROM public.shipment_items si WHERE si.order_item_id = oi.id::text), 0)::int AS shipped
+      FROM public.order_items oi
+     WHERE oi.order_id = $1
+       AND (($2::uuid IS NULL AND oi.seller_order_id IS NULL) OR oi.seller_order_id = $2::uuid)
+     ORDER BY oi.id
+  `, [order_id, seller_order_id]);
+  return r.rows.map((x) => ({ ...x, qty: Number(x.qty), shipped: Number(x.shipped) }));
+}
+
+/**
+ * 출고 단위를 잠그고 actor 역할을 확인한다.
+ * scope: { seller_order_id } 또는 { order_id } (판매자 하위 주문이 없는 주문만)
+ */
+async function lockScope(client, scope, actor, req) {
+  if (scope.seller_order_id) {
+    const { parent, so } = await lockPair(client, scope.seller_order_id);
+    if (!canSee(so, actor, sellerKeys(actor, req))) throw new Error('forbidden');
+    return { parent, so, status: so.status, seller_id: so.seller_id };
+  }
+  const parent = (await client.query(`SELECT * FROM public.orders WHERE id = $1 FOR UPDATE`, [scope.order_id])).rows[0];
+  if (!parent) throw new Error('order not found');
+  const split = await client.query(`SELECT 1 FROM public.seller_orders WHERE parent_order_id = $1 LIMIT 1`, [parent.id]);
+  if (split.rows.length) throw new Error('invalid request: order is split into seller orders; ship each seller order');
+  const roles = await rolesFor(client, parent, actor, req);
+  if (!roles.has('seller') && !roles.has('admin')) throw new Error('forbidden');
+  return { parent, so: null, status: parent.status, seller_id: null };
+}
+
+// 출고 단위를 to 로 (하위 주문이면 부모까지 맞춘다)
+async function advance(client, ctx, to, { actor_id, role, reason }) {
+  if (!allowedRoles(ctx.status, to)) return null;
+  if (ctx.so) {
+    const out = await applySellerTransition(client, ctx.parent, ctx.so, to, { actor_id, role, reason });
+    Object.assign(ctx, { so: out.seller_order, parent: out.order, status: to });
+    return out;
+  }
+  const out = await applyTransition(client, ctx.parent, to, { actor_id, role, reason });
+  Object.assign(ctx, { parent: out.order, status: to });
+  return out;
+}
+
+/** 송장 등록. items 를 생략하면 남은 수량 전부 */
+async function createShipment(scope, { carrier, tracking_no, items = null, shipped_at = null }, actor, { req = null } = {}) {
+  if (!carrier || !tracking_no) throw new Error('carrier and tracking_no required');
+  await ensureShipments();
+  return db.withTransaction(async (client) => {
+    const ctx = await lockScope(client, scope, actor, req);
+    if (!['paid', 'allocated', 'shipped'].includes(ctx.status)) throw new Error(`invalid transition: order is ${ctx.status}`);
+    const where = { order_id: ctx.parent.id, seller_order_id: ctx.so ? ctx.so.id : null };
+    const progress = await itemProgress(client, where);
+    const byId = new Map(progress.map((p) => [p.id, p]));
+
+    const lines = Array.isArray(items) && items.length
+      ? items.map((x) => ({ order_item_id: String(x.order_item_id || ''), qty: Number(x.qty) }))
+      : progress.filter((p) => p.qty > p.shipped).map((p) => ({ order_item_id: p.id, qty: p.qty - p.shipped }));
+    if (!lines.length) throw new Error('invalid request: nothing left to ship');
+    const want = new Map();
+    for (const l of lines) {
+      const p = byId.get(l.order_item_id);
+      if (!p) throw new Error(`order item not found: ${l.order_item_id}`);
+      if (!Number.isInteger(l.qty) || l.qty <= 0) throw new Error('qty must be a positive integer');
+      want.set(l.order_item_id, (want.get(l.order_item_id) || 0) + l.qty);
+      if (p.shipped + want.get(l.order_item_id) > p.qty) {
+        throw new Error(`invalid request: item ${l.order_item_id} has ${p.qty - p.shipped} left to ship`);
+      }
+    }
+
+    const shipment = (await client.query(`
+      INSERT INTO public.shipments (order_id, seller_order_id, seller_id, carrier, tracking_no, shipped_at, created_by)
+      VALUES ($1,$2,$3,$4,$5,COALESCE($6::timestamptz, now()),$7)
+      RETURNING *
+    `, [ctx.parent.id, where.seller_order_id, ctx.seller_id, String(carrier).toLowerCase(), String(tracking_no), shipped_at || null, actor?.id || null])).rows[0];
+    const shipItems = [];
+    for (const [order_item_id, qty] of want) {
+      shipItems.push((await client.query(`
+        INSERT INTO public.shipment_items (shipment_id, order_item_id, qty) VALUES ($1,$2,$3) RETURNING *
+      `, [shipment.id, order_item_id, qty])).rows[0]);
+    }
+    await client.query(`
+      INSERT INTO public.shipment_events (shipment_id, code, status, description, occurred_at, source)
+      VALUES ($1,'shipped','in_transit',$2,$3,'seller')
+    `, [shipment.id, `Shipped via ${shipment.carrier} ${shipment.tracking_no}`, shipment.shipped_at]);
+
+    const role = (actor?.roles || []).includes('admin') ? 'admin' : 'seller';
+    const reason = `shipment ${shipment.carrier} ${shipment.tracking_no}`;
+    await advance(client, ctx, 'allocated', { actor_id: actor?.id || null, role, reason });
+    const complete = progress.every((p) => p.shipped + (want.get(p.id) || 0) >= p.qty);
+    if (complete) await advance(client, ctx, 'shipped', { actor_id: actor?.id || null, role, reason });
+    return { shipment, items: shipItems, order: ctx.parent, seller_order: ctx.so, fully_shipped: complete };
+  });
+}
+
+/**
+ * 잠근 출고를 배송완료로 표시하고, 출고 단위가 전부 출고·배송완료면 주문도 delivered 로.
+ * source: buyer | carrier | admin
+ */
+async function markDelivered(client, shipment, { source, actor_id = null, role = 'system', occurred_at = null }) {
+  if (shipment.status === 'delivered') return { shipment, order: null };
+  const s = (await client.query(`
+    UPDATE public.shipments SET status = 'delivered', delivered_at = COALESCE($2::timestamptz, now()), delivered_source = $3, updated_at = now()
+     WHERE id = $1 RETURNING *
+  `, [shipment.id, occurred_at, source])).rows[0];
+  if (source !== 'carrier') {
+    await client.query(`
+      INSERT INTO public.shipment_events (shipment_id, code, status, description, occurred_at, source)
+      VALUES ($1,'delivered','delivered','Delivery confirmed',$2,$3)
+      ON CONFLICT DO NOTHING
+    `, [s.id, s.delivered_at, source]);
+  }
+  const ctx = s.seller_order_id
+    ? await (async () => { const { parent, so } = await lockPair(client, s.seller_order_id); return { parent, so, status: so.status }; })()
+    : await (async () => { const parent = (await client.query(`SELECT * FROM public.orders WHERE id = $1 FOR UPDATE`, [s.order_id])).rows[0]; return { parent, so: null, status: parent.status }; })();
+  if (ctx.status !== 'shipped') return { shipment: s, order: null };
+  const progress = await itemProgress(client, { order_id: ctx.parent.id, seller_order_id: ctx.so ? ctx.so.id : null });
+  const open = await client.query(`
+    SELECT 1 FROM public.shipments
+     WHERE order_id = $1 AND (($2::uuid IS NULL AND seller_order_id IS NULL) OR seller_order_id = $2::uuid) AND status <> 'delivered'
+     LIMIT 1
+  `, [ctx.parent.id, ctx.so ? ctx.so.id : null]);
+  if (open.rows.length || !progress.every((p) => p.shipped >= p.qty)) return { shipment: s, order: null };
+  await advance(client, ctx, 'delivered', { actor_id, role, reason: `all shipments delivered (${source})` });
+  return { shipment: s, order: ctx.parent, seller_order: ctx.so };
+}
+
+// 주문 → 출고 순으로 잠근다 (주문 전이와 같은 순서)
+async function lockShipment(client, id) {
+  const ref = (await client.query(`SELECT order_id FROM public.shipments WHERE id = $1`, [id])).rows[0];
+  if (!ref) throw new Error('shipment not found');
+  const order = (await client.query(`SELECT * FROM public.orders WHERE id = $1 FOR UPDATE`, [ref.order_id])).rows[0];
+  const shipment = (await client.query(`SELECT * FROM public.shipments WHERE id = $1 FOR UPDATE`, [id])).rows[0];
+  return { order, shipment };
+}
+
+/** 구매자(또는 관리자)의 수령 확인 */
+async function confirmDelivery(id, actor, { req = null } = {}) {
+  await ensureShipments();
+  return db.withTransaction(async (client) => {
+    const { order, shipment } = await lockShipment(client, id);
+    const roles = await rolesFor(client, order, actor, req);
+    const role = roles.has('admin') ? 'admin' : roles.has('buyer') ? 'buyer' : null;
+    if (!role) throw new Error('forbidden: buyer/admin only');
+    return markDelivered(client, shipment, { source: role, actor_id: actor.id, role });
+  });
+}
+
+// 구매자·관리자, 분할 안 된 주문의 판매자, 또는 출고한 판매자
+async function canView(order, shipment, actor, req) {
+  if (shipment.seller_id && sellerKeys(actor, req).includes(String(shipment.seller_id))) return true;
+  const roles = await rolesFor(db, order, actor, req);
+  return roles.has('admin') || roles.has('buyer') || (!shipment.seller_order_id && roles.has('seller'));
+}
+
+async function withItemsAndEvents(rows, { events = false } = {}) {
+  if (!rows.length) return [];
+  const ids = rows.map((s) => s.id);
+  const items = await db.query(`
+    SELECT si.shipment_id, si.order_item_id, si.qty, oi.brand, oi.code
+      FROM public.shipment_items si
+      LEFT JOIN public.order_items oi ON oi.id::text = si.order_item_id
+     WHERE si.shipment_id = ANY($1::uuid[])
+     ORDER BY si.order_item_id
+  `, [ids]);
+  const ev = events ? await db.query(`SELECT * FROM public.shipment_events WHERE shipment_id = ANY($1::uuid[]) ORDER BY occurred_at, id`, [ids]) : { rows: [] };
+  const group = (list) => list.reduce((m, x) => m.set(String(x.shipment_id), [...(m.get(String(x.shipment_id)) || []), x]), new Map());
+  const itemsBy = group(items.rows);
+  const eventsBy = group(ev.rows);
+  return rows.map((s) => ({ ...s, items: itemsBy.get(String(s.id)) || [], ...(events ? { events: eventsBy.get(String(s.id)) || [] } : {}) }));
+}
+
+/** 주문(또는 판매자 하위 주문)의 출고 목록 */
+async function listShipments({ order_id = null, seller_order_id = null }, actor, { req = null } = {}) {
+  await ensureShipments();
+  let orderId;
+  if (seller_order_id) {
+    const so = (await db.query(`SELECT * FROM public.seller_orders WHERE id = $1`, [seller_order_id])).rows[0];
+    if (!so) throw new Error('seller order not found');
+    if (!canSee(so, actor, sellerKeys(actor, req))) throw new Error('forbidden');
+    orderId = so.parent_order_id;
+  } else {
+    const order = (await db.query(`SELECT * FROM public.orders WHERE id = $1`, [order_id])).rows[0];
+    if (!order) throw new Error('order not found');
+    const roles = await rolesFor(db, order, actor, req);
+    if (!roles.size) throw new Error('forbidden');
+    orderId = order.id;
+  }
+  const r = await db.query(`
+    SELECT * FROM public.shipments
+     WHERE order_id = $1 AND ($2::uuid IS NULL OR seller_order_id = $2::uuid)
+     ORDER BY shipped_at, created_at
+  `, [orderId, seller_order_id]);
+  return withItemsAndEvents(r.rows);
+}
+
+async function getShipment(id, actor, { req = null } = {}) {
+  await ensureShipments();
+  const s = (await db.query(`SELECT * FROM public.shipments WHERE id = $1`, [id])).rows[0];
+  if (!s) throw new Error('shipment not found');
+  const order = (await db.query(`SELECT * FROM public.orders WHERE id = $1`, [s.order_id])).rows[0];
+  if (!order || !(await canView(order, s, actor, req))) throw new Error('forbidden');
+  return (await withItemsAndEvents([s], { events: true }))[0];
+}
+
+/**
+ * 택배사 상태 폴링. 조회 가능한 택배사(carriers 레지스트리)의 배송중/예외 송장만.
+ * 송장마다 별도 트랜잭션이라 하나가 실패해도 나머지는 진행한다.
+ */
+async function pollShipments({ limit = 100 } = {}) {
+  await ensureShipments();
+  const due = await db.query(`
+    SELECT id, carrier FROM public.shipments
+     WHERE status = ANY($1::text[])
+     ORDER BY last_polled_at NULLS FIRST, created_at
+     LIMIT $2
+  `, [POLLABLE, Math.min(Math.max(Number(limit) || 100, 1), 1000)]);
+  const out = { checked: 0, updated: 0, delivered: 0, skipped: 0, failed: 0 };
+  for (const row of due.rows) {
+    const carrier = getCarrier(row.carrier);
+    if (!carrier?.track) { out.skipped += 1; continue; }
+    out.checked += 1;
+    try {
+      await db.withTransaction(async (client) => {
+        const { shipment } = await lockShipment(client, row.id);
+        if (!POLLABLE.includes(shipment.status)) return;
+        const t = await carrier.track(shipment);
+        let added = 0;
+        for (const ev of t.events || []) {
+          const r = await client.query(`
+            INSERT INTO public.shipment_events (shipment_id, code, status, description, location, occurred_at, source)
+            VALUES ($1,$2,$3,$4,$5,$6,'carrier')
+            ON CONFLICT (shipment_id, code, occurred_at) DO NOTHING
+            RETURNING id
+          `, [shipment.id, ev.code, ev.status || null, ev.description || null, ev.location || null, ev.occurred_at]);
+          added += r.rowCount;
+        }
+        await client.query(`UPDATE public.shipments SET last_polled_at = now(), poll_error = NULL WHERE id = $1`, [shipment.id]);
+        if (added) out.updated += 1;
+        if (t.status === 'delivered') {
+          const at = [...(t.events || [])].reverse().find((e) => e.status === 'delivered')?.occurred_at || null;
+          await markDelivered(client, shipment, { source: 'carrier', occurred_at: at });
+          out.delivered += 1;
+        } else if (t.status && t.status !== shipment.status && POLLABLE.includes(t.status)) {
+          await client.query(`UPDATE public.shipments SET status = $2, updated_at = now() WHERE id = $1`, [shipment.id, t.status]);
+        }
+      });
+    } catch (e) {
+      out.failed += 1;
+      console.warn('[shipments] poll failed for %s: %s', row.id, e?.message || e);
+      await db.query(`UPDATE public.shipments SET last_polled_at = now(), poll_error = $2 WHERE id = $1`, [row.id, String(e?.message || e)]).catch(() => {});
+    }
+  }
+  return out;
+}
+
+let poller = null;
+// SHIPMENT_POLL_MS 가 있으면 프로세스 안에서 주기적으로 폴링 (없으면 /poll 엔드포인트를 스케줄러로 호출)
+function startPoller(intervalMs = POLL_INTERVAL_MS) {
+  if (poller || !(intervalMs > 0)) return null;
+  let running = false;
+  poller = setInterval(() => {
+    if (running) return;
+    running = true;
+    pollShipments()
+      .then((r) => { if (r.updated || r.delivered) console.log('[shipments] polled %d, updated %d, delivered %d', r.checked, r.updated, r.delivered); })
+      .catch((e) => console.warn('[shipments] poll failed:', e?.message || e))
+      .finally(() => { running = false; });
+  }, intervalMs);
+  poller.unref?.();
+  return poller;
+}
+
+module.exports = {
+  ensureShipments,
+  createShipment,
+  confirmDelivery,
+  listShipments,
+  getShipment,
+  pollShipments,
+  startPoller,
+};
@@ -0,0 +1,214 @@
+const db = require('../../db');
+const { ensureOrderLifecycle, allowedRoles, sellerKeys, restoreStock, applyTransition } = require('./lifecycle');
+const { releaseOrder } = require('./reservations');
+const { postForTransition } = require('../payments/ledger');
+
+// 정상 진행 순서. 하위 주문이 모두 어떤 단계에 도달하면 부모도 그 단계로 올린다.
+const PROGRESS = ['awaiting_payment', 'paid', 'allocated', 'shipped', 'delivered', 'closed'];
+const SELLER_ACTIONS = { allocate: 'allocated', ship: 'shipped', deliver: 'delivered', cancel: 'cancelled' };
+
+/**
+ * 부모 주문의 품목을 판매자별 하위 주문으로 나눈다. 트랜잭션 안에서 order_items insert 뒤에 호출.
+ *  - 배송비: pricing 의 판매자 묶음(shipping[].seller_id) 합
+ *  - 세금: 판매자별 과세표준으로 다시 계산하고, 반올림 차이는 가장 큰 하위 주문에서 맞춘다
+ * 판매자를 알 수 없는 품목(백오더 등)은 부모에만 남는다.
+ * 테이블 보장(ensureOrderLifecycle)은 호출자가 트랜잭션 시작 전에 해 둔다(DDL 잠금이 트랜잭션과 엉키지 않게).
+ */
+async function splitIntoSellerOrders(client, order, { shipping = [], tax = null } = {}) {
+  const items = await client.query(`
+    SELECT oi.id::text AS id, oi.qty, oi.unit_price_cents,
+           COALESCE(to_jsonb(l)->>'seller_id', to_jsonb(l)->>'seller_ref') AS seller_id
+      FROM public.order_items oi
+      JOIN public.listings l ON l.id = oi.listing_id
+     WHERE oi.order_id = $1
+  `, [order.id]);
+  const bySeller = new Map();
+  for (const it of items.rows) {
+    if (!it.seller_id) continue;
+    if (!bySeller.has(it.seller_id)) bySeller.set(it.seller_id, { seller_id: it.seller_id, item_ids: [], subtotal: 0 });
+    const p = bySeller.get(it.seller_id);
+    p.item_ids.push(it.id);
+    p.subtotal += Number(it.qty || 0) * Number(it.unit_price_cents || 0);
+  }
+  if (!bySeller.size) return [];
+
+  const rate = tax && !tax.exempt ? Number(tax.rate_bp || 0) : 0;
+  const parts = [...bySeller.values()].map((p) => {
+    const ship = shipping.filter((g) => String(g.seller_id || '') === p.seller_id).reduce((s, g) => s + Number(g.shipping_cents || 0), 0);
+    const taxable = p.subtotal + (tax?.applies_to_shipping === false ? 0 : ship);
+    return { ...p, shipping: ship, tax: Math.round((taxable * rate) / 10000) };
+  });
+  const drift = Number(order.tax_cents || 0) - parts.reduce((s, p) => s + p.tax, 0);
+  if (drift && Math.abs(drift) <= parts.length) {
+    parts.reduce((a, b) => (b.subtotal > a.subtotal ? b : a)).tax += drift;
+  }
+
+  const out = [];
+  for (const p of parts) {
+    const so = (await client.query(`
+      INSERT INTO public.seller_orders
+        (parent_order_id, seller_id, tenant_id, currency, status, subtotal_cents, tax_cents, shipping_cents, total_cents)
+      VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9)
+      RETURNING *
+    `, [order.id, p.seller_id, order.tenant_id || null, order.currency || 'USD', order.status, p.subtotal, p.tax, p.shipping, p.subtotal + p.tax + p.shipping])).rows[0];
+    await client.query(`UPDATE public.order_items SET seller_order_id = $1 WHERE order_id = $2 AND id::text = ANY($3::text[])`, [so.id, order.id, p.item_ids]);
+    out.push(so);
+  }
+  return out;
+}
+
+function canSee(so, actor, keys) {
+  return (actor?.roles || []).includes('admin') || keys.includes(String(so.seller_id));
+}
+
+async function listSellerOrders(actor, { req = null, status = null, limit = 50 } = {}) {
+  await ensureOrderLifecycle();
+  const keys = sellerKeys(actor, req);
+  if (!keys.length) return [];
+  const args = [keys];
+  const where = ['so.seller_id = ANY($1::text[])'];
+  if (status) { args.push(status); where.push(`so.status = $${args.length}`); }
+  args.push(Math.min(Math.max(Number(limit) || 50, 1), 200));
+  const r = await db.query(`
+    SELECT so.*, o.order_no
+      FROM public.seller_orders so
+      JOIN public.orders o ON o.id = so.parent_order_id
+     WHERE ${where.join(' AND ')}
+     ORDER BY so.created_at DESC
+     LIMIT $${args.length}
+  `, args);
+  if (!r.rows.length) return [];
+  const items = await db.query(`
+    SELECT seller_order_id, id, brand, code, qty, unit_price_cents, currency, listing_id, lead_time_days
+      FROM public.order_items
+     WHERE seller_order_id = ANY($1::uuid[])
+     ORDER BY id
+  `, [r.rows.map((x) => x.id)]);
+  const bySo = new Map();
+  for (const it of items.rows) {
+    const k = String(it.seller_order_id);
+    if (!bySo.has(k)) bySo.set(k, []);
+    bySo.get(k).push(it);
+  }
+  return r.rows.map((so) => ({ ...so, items: bySo.get(String(so.id)) || [] }));
+}
+
+async function getSellerOrder(id, actor, { req = null } = {}) {
+  await ensureOrderLifecycle();
+  const so = (await db.query(`
+    SELECT so.*, o.order_no FROM public.seller_orders so JOIN public.orders o ON o.id = so.parent_order_id WHERE so.id = $1
+  `, [id])).rows[0];
+  if (!so) throw new Error('seller order not found');
+  if (!canSee(so, actor, sellerKeys(actor, req))) throw new Error('forbidden');
+  const items = await db.query(`SELECT * FROM public.order_items WHERE seller_order_id = $1 ORDER BY id`, [id]);
+  const history = await db.query(`SELECT * FROM public.order_status_history WHERE seller_order_id = $1 ORDER BY created_at, id`, [id]);
+  return { seller_order: so, items: items.rows, history: history.rows };
+}
+
+// 부모와 하위 주문을 같은 순서(부모 → 하위)로 잠가 부모 전이 전파와 교착되지 않게 한다
+async function lockPair(client, id) {
+  const ref = (await client.query(`SELECT parent_order_id FROM public.seller_orders WHERE id = $1`, [id])).rows[0];
+  if (!ref) throw new Error('seller order not found');
+  const parent = (await client.query(`SELECT * FROM public.orders WHERE id = $1 FOR UPDATE`, [ref.parent_order_id])).rows[0];
+  const so = (await client.query(`SELECT * FROM public.seller_orders WHERE id = $1 FOR UPDATE`, [id])).rows[0];
+  return { parent, so };
+}
+
+/** 판매자 주문 확인(접수). 결제 전/후 모두 가능하고, 다시 호출해도 처음 시각을 유지한다. */
+async function acknowledgeSellerOrder(id, actor, { req = null, note = null } = {}) {
+  await ensureOrderLifecycle();
+  return db.withTransaction(async (client) => {
+    const { so } = await lockPair(client, id);
+    if (!canSee(so, actor, sellerKeys(actor, req))) throw new Error('forbidden');
+    if (['cancelled', 'refunded'].includes(so.status)) throw new Error(`invalid transition: seller order is ${so.status}`);
+    if (so.acknowledged_at) return { seller_order: so, already: true };
+    const u = (await client.query(`
+      UPDATE public.seller_orders SET acknowledged_at = now(), acknowledged_by = $2 WHERE id = $1 RETURNING *
+    `, [id, actor.id])).rows[0];
+    await client.query(`
+      INSERT INTO public.order_status_history (order_id, seller_order_id, from_status, to_status, actor_id, actor_role, reason, meta)
+      VALUES ($1,$2,$3,$3,$4,$5,$6,'{"event":"acknowledged"}'::jsonb)
+    `, [so.parent_order_id, id, so.status, actor.id, (actor.roles || []).includes('admin') ? 'admin' : 'seller', note]);
+    return { seller_order: u, already: false };
+  });
+}
+
+// 결제 전 취소된 하위 주문 몫을 부모 합계와 미결제 청구 금액에서 뺀다(부모 → 청구 순서로 잠금)
+async function dropFromUnpaid(client, parent, so) {
+  const order = (await client.query(`
+    UPDATE public.orders
+       SET subtotal_cents = subtotal_cents - $2,
+           tax_cents = tax_cents - $3,
+           shipping_cents = shipping_cents - $4,
+           total_cents = total_cents - $5
+     WHERE id = $1
+     RETURNING *
+  `, [parent.id, Number(so.subtotal_cents || 0), Number(so.tax_cents || 0), Number(so.shipping_cents || 0), Number(so.total_cents || 0)])).rows[0];
+  await client.query(`UPDATE public.invoices SET amount_cents = $2 WHERE order_id = $1 AND status = 'unpaid'`, [parent.id, order.total_cents]);
+  return order;
+}
+
+// 하위 주문 진행 → 부모 주문 상태 맞추기
+async function rollUp(client, parent) {
+  const subs = (await client.query(`SELECT status FROM public.seller_orders WHERE parent_order_id = $1`, [parent.id])).rows;
+  const active = subs.filter((s) => !['cancelled', 'refunded'].includes(s.status));
+  if (!active.length) {
+    if (!allowedRoles(parent.status, 'cancelled')) return parent;
+    return (await applyTransition(client, parent, 'cancelled', { role: 'system', reason: 'all seller orders cancelled' })).order;
+  }
+  const target = Math.min(...active.map((s) => PROGRESS.indexOf(s.status)));
+  let cur = PROGRESS.indexOf(parent.status);
+  while (cur >= 0 && cur < target) {
+    const next = PROGRESS[cur + 1];
+    if (next === 'paid' || !allowedRoles(parent.status, next)) break;
+    parent = (await applyTransition(client, parent, next, { role: 'system', reason: `all seller orders ${next}` })).order;
+    cur += 1;
+  }
+  return parent;
+}
+
+/**
+ * 잠근 하위 주문(so)을 to 로 옮기고 이력·재고·원장을 반영한 뒤 부모 상태를 맞춘다. 트랜잭션 안에서 호출.
+ * role 은 이미 검사된 역할(system 포함)
+ */
+async function applySellerTransition(client, parent, so, to, { actor_id = null, role = 'system', reason = null } = {}) {
+  if (!allowedRoles(so.status, to)) throw new Error(`invalid transition: ${so.status} → ${to}`);
+  const restored = to === 'cancelled' ? await restoreStock(client, parent, { seller_order_id: so.id }) : [];
+  if (to === 'cancelled') await releaseOrder(client, parent.id, { seller_order_id: so.id, reason: reason || 'seller order cancelled' });
+  const u = (await client.query(`
+    UPDATE public.seller_orders SET status = $2, status_changed_at = now() WHERE id = $1 RETURNING *
+  `, [so.id, to])).rows[0];
+  if (to === 'cancelled' && parent.status === 'awaiting_payment') parent = await dropFromUnpaid(client, parent, so);
+  await postForTransition(client, parent, to, { seller_order_id: so.id, reason });
+  await client.query(`
+    INSERT INTO public.order_status_history (order_id, seller_order_id, from_status, to_status, actor_id, actor_role, reason, meta)
+    VALUES ($1,$2,$3,$4,$5,$6,$7,$8::jsonb)
+  `, [parent.id, so.id, so.status, to, actor_id, role, reason, JSON.stringify(restored.length ? { restored_stock: restored } : {})]);
+  const order = await rollUp(client, parent);
+  return { seller_order: u, order, restored_stock: restored };
+}
+
+async function transitionSellerOrder(id, to, actor, { req = null, reason = null } = {}) {
+  await ensureOrderLifecycle();
+  return db.withTransaction(async (client) => {
+    const { parent, so } = await lockPair(client, id);
+    if (!canSee(so, actor, sellerKeys(actor, req))) throw new Error('forbidden');
+    const need = allowedRoles(so.status, to);
+    if (!need) throw new Error(`invalid transition: ${so.status} → ${to}`);
+    const role = (actor.roles || []).includes('admin') && need.includes('admin') ? 'admin' : need.includes('seller') ? 'seller' : null;
+    if (!role) throw new Error(`forbidden: ${need.filter((r) => r !== 'system').join('/') || 'system'} only`);
+    return applySellerTransition(client, parent, so, to, { actor_id: actor.id, role, reason });
+  });
+}
+
+module.exports = {
+  SELLER_ACTIONS,
+  splitIntoSellerOrders,
+  listSellerOrders,
+  getSellerOrder,
+  acknowledgeSellerOrder,
+  lockPair,
+  canSee,
+  applySellerTransition,
+  transitionSellerOrder,
+};
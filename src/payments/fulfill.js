@@ -1,28 +1,51 @@
 const db = require('../../db');
+const { ensureOrderLifecycle, applyTransition } = require('../orders/lifecycle');
+const { consumeOrder, heldQtySql } = require('../orders/reservations');
 
 async function markInvoicePaid(invoice_id, { payment_id=null } = {}){
+  await ensureOrderLifecycle();
   const client = await db.pool.connect();
   try {
     await client.query('BEGIN');
+    // 하위 주문 취소와 같은 순서(주문 → 청구)로 잠근다
+    const ref = (await client.query(`SELECT order_id FROM public.invoices WHERE id=$1`, [invoice_id])).rows[0];
+    if (!ref) throw new Error('invoice not found');
+    const orderId = ref.order_id;
+    const order = (await client.query(`SELECT * FROM public.orders WHERE id=$1 FOR UPDATE`, [orderId])).rows[0];
+    if (!order) throw new Error('order not found');
     const inv = await client.query(`SELECT * FROM public.invoices WHERE id=$1 FOR UPDATE`, [invoice_id]);
-    if (!inv.rows.length) throw new Error('invoice not found');
     if (inv.rows[0].status === 'paid') { await client.query('COMMIT'); return { already:true }; }
-    const orderId = inv.rows[0].order_id;
-    const items = await client.query(`SELECT * FROM public.order_items WHERE order_id=$1 ORDER BY id FOR UPDATE`, [orderId]);
+    if (order.status !== 'awaiting_payment') throw new Error(`order is ${order.status}`);
+    if (payment_id) {
+      // 결제 뒤 하위 주문 취소로 청구 금액이 줄었으면 예전 금액의 결제로는 처리하지 않는다
+      const pay = (await client.query(`SELECT amount_cents FROM public.payments WHERE id=$1`, [payment_id])).rows[0];
+      if (pay && Number(pay.amount_cents) !== Number(inv.rows[0].amount_cents)) {
+        throw new Error(`amount mismatch: paid ${pay.amount_cents}, invoice ${inv.rows[0].amount_cents}`);
+      }
+    }
+    // 결제 전에 취소된 하위 주문의 품목은 차감하지 않는다
+    const items = await client.query(`
+      SELECT oi.* FROM public.order_items oi
+        LEFT JOIN public.seller_orders so ON so.id = oi.seller_order_id
+       WHERE oi.order_id=$1 AND (so.id IS NULL OR so.status NOT IN ('cancelled','refunded'))
+       ORDER BY oi.id FOR UPDATE OF oi`, [orderId]);
 
-    // 차감
-    for (const it of items.rows) {
+    // 이 주문의 홀드를 소진 처리한 뒤 차감. 다른 주문의 유효 홀드는 건드리지 않는다
+    // (즉시구매 주문처럼 주문 시 이미 차감했으면 건너뜀)
+    await consumeOrder(client, orderId);
+    for (const it of order.stock_column ? [] : items.rows) {
       if (it.listing_id) {
         const u = await client.query(`
-          UPDATE public.listings SET quantity_available = quantity_available - $1
-          WHERE id=$2 AND quantity_available >= $1
+          UPDATE public.listings l SET quantity_available = quantity_available - $1
+          WHERE id=$2 AND quantity_available - ${heldQtySql('l')} >= $1
           RETURNING id`, [it.qty, it.listing_id]);
         if (!u.rows.length) throw new Error('insufficient stock for listing ' + it.listing_id);
       }
     }
 
     await client.query(`UPDATE public.invoices SET status='paid', paid_at=now() WHERE id=$1`, [invoice_id]);
-    await client.query(`UPDATE public.orders SET status='paid' WHERE id=$1`, [orderId]);
+    if (!order.stock_column) await client.query(`UPDATE public.orders SET stock_column='quantity_available' WHERE id=$1`, [orderId]);
+    await applyTransition(client, order, 'paid', { role: 'system', reason: 'invoice paid', meta: { invoice_id, payment_id } });
     if (payment_id) await client.query(`UPDATE public.payments SET status='captured' WHERE id=$1`, [payment_id]);
     await client.query('COMMIT');
     return { ok: true };
@@ -0,0 +1,153 @@
+const db = require('../../db');
+const { getProvider } = require('./providers');
+const { markInvoicePaid } = require('./fulfill');
+
+let ensured = null;
+function ensurePaymentTables() {
+  if (!ensured) {
+    ensured = (async () => {
+      await db.query('CREATE EXTENSION IF NOT EXISTS "uuid-ossp"');
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS public.payments (
+          id uuid DEFAULT uuid_generate_v4() PRIMARY KEY,
+          invoice_id uuid,
+          status text NOT NULL DEFAULT 'pending',
+          amount_cents bigint,
+          currency text,
+          created_at timestamptz DEFAULT now()
+        )
+      `);
+      await db.query(`
+        ALTER TABLE public.payments
+          ADD COLUMN IF NOT EXISTS order_id uuid,
+          ADD COLUMN IF NOT EXISTS provider text,
+          ADD COLUMN IF NOT EXISTS provider_ref text,
+          ADD COLUMN IF NOT EXISTS client_secret text,
+          ADD COLUMN IF NOT EXISTS created_by text,
+          ADD COLUMN IF NOT EXISTS failure_reason text,
+          ADD COLUMN IF NOT EXISTS updated_at timestamptz DEFAULT now()
+      `);
+      await db.query(`CREATE UNIQUE INDEX IF NOT EXISTS ux_payments_provider_ref ON public.payments (provider, provider_ref) WHERE provider_ref IS NOT NULL`);
+      // 같은 이벤트가 다시 와도(PG 재전송) 한 번만 처리한다
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS public.payment_webhook_events (
+          provider text NOT NULL,
+          event_id text NOT NULL,
+          type text,
+          provider_ref text,
+          payload jsonb,
+          attempts integer NOT NULL DEFAULT 1,
+          result jsonb,
+          processed_at timestamptz,
+          received_at timestamptz DEFAULT now(),
+          PRIMARY KEY (provider, event_id)
+        )
+      `);
+    })().catch((e) => { ensured = null; throw e; });
+  }
+  return ensured;
+}
+
+/**
+ * 인보이스 결제 intent. 같은 인보이스·제공자의 대기 중 결제가 있으면 그것을 돌려준다.
+ */
+async function createPaymentIntent({ invoice_id, provider: providerName = null }, actor) {
+  await ensurePaymentTables();
+  const provider = getProvider(providerName || undefined);
+  const inv = (await db.query(`
+    SELECT i.*, o.buyer_id, o.status AS order_status
+      FROM public.invoices i
+      JOIN public.orders o ON o.id = i.order_id
+     WHERE i.id = $1
+  `, [invoice_id])).rows[0];
+  if (!inv) throw new Error('invoice not found');
+  if (!(actor.roles || []).includes('admin') && String(inv.buyer_id || '') !== String(actor.id)) throw new Error('forbidden');
+  if (inv.status === 'paid') throw new Error('invoice already paid');
+  if (inv.order_status !== 'awaiting_payment') throw new Error(`order is ${inv.order_status}`);
+
+  const open = (await db.query(`
+    SELECT * FROM public.payments
+     WHERE invoice_id = $1 AND provider = $2 AND status = 'pending' AND amount_cents = $3
+     ORDER BY created_at DESC LIMIT 1
+  `, [inv.id, provider.name, inv.amount_cents])).rows[0];
+  if (open) return { payment: open, reused: true };
+
+  const payment = (await db.query(`
+    INSERT INTO public.payments (invoice_id, order_id, provider, status, amount_cents, currency, created_by)
+    VALUES ($1,$2,$3,'pending',$4,$5,$6)
+    RETURNING *
+  `, [inv.id, inv.order_id, provider.name, inv.amount_cents, inv.currency || 'USD', actor.id])).rows[0];
+  const intent = await provider.createIntent({ payment, invoice: inv });
+  const saved = (await db.query(`
+    UPDATE public.payments SET provider_ref = $2, client_secret = $3, updated_at = now() WHERE id = $1 RETURNING *
+  `, [payment.id, intent.provider_ref, intent.client_secret || null])).rows[0];
+  return { payment: saved, next_action: intent.next_action || null, reused: false };
+}
+
+async function getPayment(id, actor) {
+  await ensurePaymentTables();
+  const p = (await db.query(`
+    SELECT p.*, o.buyer_id FROM public.payments p LEFT JOIN public.orders o ON o.id = p.order_id WHERE p.id = $1
+  `, [id])).rows[0];
+  if (!p) throw new Error('payment not found');
+  if (!(actor.roles || []).includes('admin') && String(p.buyer_id || '') !== String(actor.id)) throw new Error('forbidden');
+  return p;
+}
+
+// 재시도해도 결과가 같은(영구) 실패: 이벤트는 처리된 것으로 기록하고 PG 에는 2xx 로 응답한다
+const PERMANENT = /^order is |insufficient stock|amount mismatch|currency mismatch|payment not found|invoice not found/;
+
+async function applyEvent(providerName, ev) {
+  const payment = (await db.query(`SELECT * FROM public.payments WHERE provider = $1 AND provider_ref = $2`, [providerName, ev.provider_ref])).rows[0];
+  if (!payment) throw new Error('payment not found');
+  if (ev.type === 'failed') {
+    await db.query(`UPDATE public.payments SET status = 'failed', failure_reason = 'provider reported failure', updated_at = now() WHERE id = $1 AND status = 'pending'`, [payment.id]);
+    return { ok: true, payment_id: payment.id, status: 'failed' };
+  }
+  if (ev.type !== 'succeeded') return { ok: true, payment_id: payment.id, ignored: true };
+  if (ev.amount_cents != null && Number(ev.amount_cents) !== Number(payment.amount_cents)) {
+    await db.query(`UPDATE public.payments SET status = 'failed', failure_reason = 'amount mismatch', updated_at = now() WHERE id = $1`, [payment.id]);
+    throw new Error(`amount mismatch: paid ${ev.amount_cents}, expected ${payment.amount_cents}`);
+  }
+  if (ev.currency != null && String(ev.currency).toUpperCase() !== String(payment.currency || 'USD').toUpperCase()) {
+    await db.query(`UPDATE public.payments SET status = 'failed', failure_reason = 'currency mismatch', updated_at = now() WHERE id = $1`, [payment.id]);
+    throw new Error(`currency mismatch: paid ${ev.currency}, expected ${payment.currency || 'USD'}`);
+  }
+  const r = await markInvoicePaid(payment.invoice_id, { payment_id: payment.id });
+  return { ok: true, payment_id: payment.id, invoice_id: payment.invoice_id, status: 'captured', already: !!r.already };
+}
+
+/**
+ * webhook 처리: 서명 검증 → 이벤트 기록(provider, event_id 유일) → 적용.
+ * 이미 처리된 event_id 는 저장된 결과를 그대로 돌려준다(재전송 멱등).
+ */
+async function handleWebhook(providerName, { rawBody, headers }) {
+  await ensurePaymentTables();
+  const provider = getProvider(providerName);
+  const ev = provider.verifyWebhook({ rawBody, headers });
+  if (!ev.event_id) throw new Error('event id missing');
+
+  const row = (await db.query(`
+    INSERT INTO public.payment_webhook_events (provider, event_id, type, provider_ref, payload)
+    VALUES ($1,$2,$3,$4,$5::jsonb)
+    ON CONFLICT (provider, event_id) DO UPDATE SET attempts = public.payment_webhook_events.attempts + 1
+    RETURNING *
+  `, [provider.name, ev.event_id, ev.type, ev.provider_ref, JSON.stringify(ev)])).rows[0];
+  if (row.processed_at) return { duplicate: true, event_id: ev.event_id, ...(row.result || {}) };
+
+  let result;
+  try {
+    result = await applyEvent(provider.name, ev);
+  } catch (e) {
+    const msg = String(e.message || e);
+    // 일시적 오류는 기록하지 않고 throw → PG 가 재전송한다
+    if (!PERMANENT.test(msg)) throw e;
+    result = { ok: false, error: msg };
+  }
+  await db.query(`
+    UPDATE public.payment_webhook_events SET result = $3::jsonb, processed_at = now() WHERE provider = $1 AND event_id = $2
+  `, [provider.name, ev.event_id, JSON.stringify(result)]);
+  return { duplicate: false, event_id: ev.event_id, ...result };
+}
+
+module.exports = { ensurePaymentTables, createPaymentIntent, getPayment, handleWebhook };
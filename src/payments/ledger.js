@@ -0,0 +1,435 @@
+const db = require('../../db');
+const { createOfferCache, loadExact, skuKey } = require('../opt/offers');
+
+/**
+ * 판매자 정산 복식부기 원장. 거래(ledger_transactions) 하나의 분개(ledger_entries) 합은 통화별로 0.
+ * amount_cents: 차변(+) / 대변(-). 판매자 계정은 부채이므로 잔액 = -SUM(amount).
+ *
+ *  결제(paid)     : 구매자예치금 +총액 / 판매자미확정 -순액 / 수수료수익 -수수료
+ *                   + 하위 주문(seller_orders)마다 배송비: 구매자예치금 +배송비 / 판매자미확정 -배송비
+ *                   (판매자 배송 규칙으로 받은 배송비는 수수료 없이 판매자 몫. 품목이 아니라 하위 주문 단위 거래)
+ *  배송완료        : 판매자미확정 +순액 / 판매자정산가능 -순액 (배송비 포함)
+ *  반품(RMA)      : 반품 수량만큼 판매자/수수료를 되돌리고 구매자에게 환불(예치금 -) 또는 적립금(구매자적립금 -). 배송비는 그대로
+ *  취소·환불      : 위 분개 중 남은 몫을 품목/배송비 단위로 되돌림(reversal)
+ *  지급 배치 예약  : 정산가능 +금액 / 지급중 -금액,  지급 완료: 지급중 +금액 / 은행 -금액
+ */
+const ACCOUNTS = {
+  CLEARING: 'platform:buyer_clearing',
+  COMMISSION: 'platform:commission',
+  BANK: 'platform:bank',
+  PENDING: 'seller:pending',
+  AVAILABLE: 'seller:available',
+  IN_PAYOUT: 'seller:in_payout',
+  BUYER_CREDIT: 'buyer:credit',
+};
+
+const TXN_KINDS = ['sale', 'shipping', 'release', 'reversal', 'return', 'payout_scheduled', 'payout_paid', 'payout_cancelled'];
+
+// 규칙이 하나도 맞지 않을 때의 수수료율(bp)
+const DEFAULT_COMMISSION_BP = Number(process.env.PLATFORM_COMMISSION_BP || 0);
+
+let ensured = null;
+function ensureLedger() {
+  if (!ensured) {
+    ensured = (async () => {
+      await db.query('CREATE EXTENSION IF NOT EXISTS "uuid-ossp"');
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS public.ledger_transactions (
+          id uuid DEFAULT uuid_generate_v4() PRIMARY KEY,
+          kind text NOT NULL,
+          order_id uuid,
+          seller_order_id uuid,
+          order_item_id text,
+          payout_batch_id uuid,
+          reverses_id uuid,
+          memo text,
+          meta jsonb,
+          created_at timestamptz DEFAULT now()
+        )
+      `);
+      await db.query(`ALTER TABLE public.ledger_transactions DROP CONSTRAINT IF EXISTS ledger_transactions_kind_check`);
+      await db.query(`ALTER TABLE public.ledger_transactions ADD CONSTRAINT ledger_transactions_kind_check CHECK (kind IN (${TXN_KINDS.map((k) => `'${k}'`).join(',')}))`);
+      await db.query(`CREATE INDEX IF NOT EXISTS ix_ledger_transactions_item ON public.ledger_transactions (order_item_id, kind)`);
+      await db.query(`CREATE INDEX IF NOT EXISTS ix_ledger_transactions_order ON public.ledger_transactions (order_id)`);
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS public.ledger_entries (
+          id bigserial PRIMARY KEY,
+          txn_id uuid NOT NULL REFERENCES public.ledger_transactions(id),
+          account text NOT NULL,
+          seller_id text,
+          amount_cents bigint NOT NULL,
+          currency text NOT NULL,
+          created_at timestamptz DEFAULT now()
+        )
+      `);
+      // 구매자 적립금 계정용
+      await db.query(`ALTER TABLE public.ledger_entries ADD COLUMN IF NOT EXISTS buyer_id text`);
+      await db.query(`CREATE INDEX IF NOT EXISTS ix_ledger_entries_seller ON public.ledger_entries (seller_id, account, created_at)`);
+      await db.query(`CREATE INDEX IF NOT EXISTS ix_ledger_entries_txn ON public.ledger_entries (txn_id)`);
+      // seller_id / family_slug 가 NULL 이면 모두에 적용. 구체적인 규칙 우선
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS public.commission_rules (
+          id bigserial PRIMARY KEY,
+          seller_id text,
+          family_slug text,
+          rate_bp integer NOT NULL CHECK (rate_bp >= 0 AND rate_bp <= 10000),
+          active boolean NOT NULL DEFAULT true,
+          note text,
+          created_at timestamptz DEFAULT now()
+        )
+      `);
+    })().catch((e) => { ensured = null; throw e; });
+  }
+  return ensured;
+}
+
+/** 분개를 검증(통화별 합 0)하고 거래 하나로 기록한다. 트랜잭션 안에서 호출. */
+async function postTransaction(client, { kind, order_id = null, seller_order_id = null, order_item_id = null, payout_batch_id = null, reverses_id = null, memo = null, meta = null }, entries) {
+  const lines = entries.filter((e) => Number(e.amount_cents) !== 0);
+  if (!lines.length) return null;
+  const sums = new Map();
+  for (const e of lines) sums.set(e.currency, (sums.get(e.currency) || 0) + Number(e.amount_cents));
+  for (const [cur, sum] of sums) if (sum !== 0) throw new Error(`unbalanced ledger transaction (${kind}): ${cur} ${sum}`);
+  const txn = (await client.query(`
+    INSERT INTO public.ledger_transactions (kind, order_id, seller_order_id, order_item_id, payout_batch_id, reverses_id, memo, meta)
+    VALUES ($1,$2,$3,$4,$5,$6,$7,$8::jsonb)
+    RETURNING *
+  `, [kind, order_id, seller_order_id, order_item_id, payout_batch_id, reverses_id, memo, meta ? JSON.stringify(meta) : null])).rows[0];
+  for (const e of lines) {
+    await client.query(`
+      INSERT INTO public.ledger_entries (txn_id, account, seller_id, buyer_id, amount_cents, currency) VALUES ($1,$2,$3,$4,$5,$6)
+    `, [txn.id, e.account, e.seller_id || null, e.buyer_id || null, Math.round(Number(e.amount_cents)), e.currency]);
+  }
+  return txn;
+}
+
+function ruleScore(rule, seller_id, family_slug) {
+  let score = 0;
+  if (rule.seller_id != null) { if (String(rule.seller_id) !== String(seller_id || '')) return -1; score += 2; }
+  if (rule.family_slug != null) { if (String(rule.family_slug).toLowerCase() !== String(family_slug || '').toLowerCase()) return -1; score += 1; }
+  return score;
+}
+
+// 판매자+family > 판매자 > family > 전체 기본. 같은 점수면 최신 규칙
+function pickCommissionRule(rules, { seller_id, family_slug }) {
+  let best = null;
+  for (const r of rules) {
+    if (r.active === false) continue;
+    const s = ruleScore(r, seller_id, family_slug);
+    if (s < 0) continue;
+    if (!best || s > best.score || (s === best.score && Number(r.id) > Number(best.rule.id))) best = { score: s, rule: r };
+  }
+  return best ? best.rule : null;
+}
+
+// 품목별 정산 상태 (판매 / 정산가능 전환 / 되돌림 여부)
+async function itemStates(client, orderId, seller_order_id = null) {
+  const r = await client.query(`
+    SELECT oi.id::text AS id, oi.brand, oi.code, oi.qty, oi.unit_price_cents, oi.seller_order_id, so.status AS seller_order_status,
+           COALESCE(oi.currency, o.currency, 'USD') AS currency,
+           COALESCE(so.seller_id, to_jsonb(l)->>'seller_id', to_jsonb(l)->>'seller_ref') AS seller_id,
+           (SELECT t.id FROM public.ledger_transactions t WHERE t.order_item_id = oi.id::text AND t.kind = 'sale' LIMIT 1) AS sale_id,
+           EXISTS (SELECT 1 FROM public.ledger_transactions t WHERE t.order_item_id = oi.id::text AND t.kind = 'release') AS released,
+           EXISTS (SELECT 1 FROM public.ledger_transactions t WHERE t.order_item_id = oi.id::text AND t.kind = 'reversal') AS reversed
+      FROM public.order_items oi
+      JOIN public.orders o ON o.id = oi.order_id
+      LEFT JOIN public.seller_orders so ON so.id = oi.seller_order_id
+      LEFT JOIN public.listings l ON l.id = oi.listing_id
+     WHERE oi.order_id = $1
+       AND ($2::uuid IS NULL OR oi.seller_order_id = $2::uuid)
+     ORDER BY oi.id
+  `, [orderId, seller_order_id]);
+  return r.rows;
+}
+
+// 하위 주문별 배송비 정산 상태. 배송비 거래와 그 전환/되돌림은 order_item_id 가 NULL
+async function shippingStates(client, orderId, seller_order_id = null) {
+  const r = await client.query(`
+    SELECT so.id::text AS seller_order_id, so.seller_id, so.currency, COALESCE(so.shipping_cents, 0)::bigint AS shipping_cents,
+           (SELECT t.id FROM public.ledger_transactions t WHERE t.seller_order_id = so.id AND t.kind = 'shipping' LIMIT 1) AS shipping_id,
+           EXISTS (SELECT 1 FROM public.ledger_transactions t WHERE t.seller_order_id = so.id AND t.order_item_id IS NULL AND t.kind = 'release') AS released,
+           EXISTS (SELECT 1 FROM public.ledger_transactions t WHERE t.seller_order_id = so.id AND t.order_item_id IS NULL AND t.kind = 'reversal') AS reversed
+      FROM public.seller_orders so
+     WHERE so.parent_order_id = $1
+       AND ($2::uuid IS NULL OR so.id = $2::uuid)
+     ORDER BY so.created_at, so.id
+  `, [orderId, seller_order_id]);
+  return r.rows;
+}
+
+async function familiesOf(items) {
+  const cache = createOfferCache();
+  const pairs = items.filter((it) => it.brand && it.code).map((it) => [it.brand, it.code]);
+  if (pairs.length) await loadExact(pairs, cache);
+  return (it) => cache.exact.get(skuKey(it.brand, it.code))?.family_slug || null;
+}
+
+/** 결제 완료: 판매자가 정해진 품목마다 판매 분개 (이미 기록된 품목은 건너뜀) */
+async function postSales(client, order) {
+  // 결제 전에 취소된 하위 주문의 품목은 판매로 잡지 않는다
+  const items = (await itemStates(client, order.id))
+    .filter((it) => it.seller_id && !it.sale_id && !it.reversed && !['cancelled', 'refunded'].includes(it.seller_order_status));
+  if (!items.length) return [];
+  const rules = (await client.query(`SELECT * FROM public.commission_rules WHERE active ORDER BY id`)).rows;
+  // family 별 규칙이 있을 때만 스펙 테이블을 뒤진다
+  const familyOf = rules.some((r) => r.family_slug != null) ? await familiesOf(items) : () => null;
+  const out = [];
+  for (const it of items) {
+    const gross = Number(it.qty || 0) * Number(it.unit_price_cents || 0);
+    const family_slug = familyOf(it);
+    const rule = pickCommissionRule(rules, { seller_id: it.seller_id, family_slug });
+    const rate_bp = rule ? Number(rule.rate_bp) : DEFAULT_COMMISSION_BP;
+    const commission = Math.round((gross * rate_bp) / 10000);
+    const txn = await postTransaction(client, {
+      kind: 'sale', order_id: order.id, seller_order_id: it.seller_order_id, order_item_id: it.id,
+      memo: `${it.brand || ''} ${it.code || ''} x${it.qty}`.trim(),
+      meta: { rate_bp, commission_rule_id: rule ? rule.id : null, family_slug, gross_cents: gross },
+    }, [
+      { account: ACCOUNTS.CLEARING, amount_cents: gross, currency: it.currency },
+      { account: ACCOUNTS.PENDING, seller_id: it.seller_id, amount_cents: -(gross - commission), currency: it.currency },
+      { account: ACCOUNTS.COMMISSION, seller_id: it.seller_id, amount_cents: -commission, currency: it.currency },
+    ]);
+    if (txn) out.push(txn);
+  }
+  // 이번에 처음 판매 분개된 하위 주문의 배송비
+  const sold = new Set(items.map((it) => it.seller_order_id && String(it.seller_order_id)).filter(Boolean));
+  for (const so of await shippingStates(client, order.id)) {
+    if (!sold.has(so.seller_order_id) || so.shipping_id || so.reversed) continue;
+    const ship = Number(so.shipping_cents);
+    const txn = await postTransaction(client, {
+      kind: 'shipping', order_id: order.id, seller_order_id: so.seller_order_id, memo: 'shipping',
+    }, [
+      { account: ACCOUNTS.CLEARING, amount_cents: ship, currency: so.currency },
+      { account: ACCOUNTS.PENDING, seller_id: so.seller_id, amount_cents: -ship, currency: so.currency },
+    ]);
+    if (txn) out.push(txn);
+  }
+  return out;
+}
+
+async function entriesOf(client, txnId) {
+  return (await client.query(`SELECT account, seller_id, amount_cents, currency FROM public.ledger_entries WHERE txn_id = $1 ORDER BY id`, [txnId])).rows;
+}
+
+/** 배송 완료: 미확정 → 정산가능. seller_order_id 를 주면 그 하위 주문 품목만 */
+async function postReleases(client, order, { seller_order_id = null } = {}) {
+  const items = (await itemStates(client, order.id, seller_order_id)).filter((it) => it.sale_id && !it.released && !it.reversed);
+  const out = [];
+  for (const it of items) {
+    const pending = (await entriesOf(client, it.sale_id)).filter((e) => e.account === ACCOUNTS.PENDING);
+    const txn = await postTransaction(client, {
+      kind: 'release', order_id: order.id, seller_order_id: it.seller_order_id, order_item_id: it.id,
+    }, pending.flatMap((e) => [
+      { account: ACCOUNTS.PENDING, seller_id: e.seller_id, amount_cents: -Number(e.amount_cents), currency: e.currency },
+      { account: ACCOUNTS.AVAILABLE, seller_id: e.seller_id, amount_cents: Number(e.amount_cents), currency: e.currency },
+    ]));
+    if (txn) out.push(txn);
+  }
+  for (const so of await shippingStates(client, order.id, seller_order_id)) {
+    if (!so.shipping_id || so.released || so.reversed) continue;
+    const pending = (await entriesOf(client, so.shipping_id)).filter((e) => e.account === ACCOUNTS.PENDING);
+    const txn = await postTransaction(client, {
+      kind: 'release', order_id: order.id, seller_order_id: so.seller_order_id,
+    }, pending.flatMap((e) => [
+      { account: ACCOUNTS.PENDING, seller_id: e.seller_id, amount_cents: -Number(e.amount_cents), currency: e.currency },
+      { account: ACCOUNTS.AVAILABLE, seller_id: e.seller_id, amount_cents: Number(e.amount_cents), currency: e.currency },
+    ]));
+    if (txn) out.push(txn);
+  }
+  return out;
+}
+
+// 하위 주문 배송비의 판매자 계정 순잔액 (배송비 거래 + 정산가능 전환)
+async function shippingNet(client, seller_order_id) {
+  const r = await client.query(`
+    SELECT e.account, e.seller_id, e.currency, SUM(e.amount_cents)::bigint AS amount_cents
+      FROM public.ledger_entries e
+      JOIN public.ledger_transactions t ON t.id = e.txn_id
+     WHERE t.seller_order_id = $1 AND t.order_item_id IS NULL AND t.kind IN ('shipping','release')
+       AND e.account LIKE 'seller:%'
+     GROUP BY e.account, e.seller_id, e.currency
+  `, [seller_order_id]);
+  return r.rows.map((x) => ({ ...x, amount_cents: Number(x.amount_cents) }));
+}
+
+// 품목의 판매자/수수료 계정 순잔액 (판매·정산가능 전환·반품 반영)
+async function itemNet(client, order_item_id) {
+  const r = await client.query(`
+    SELECT e.account, e.seller_id, e.currency, SUM(e.amount_cents)::bigint AS amount_cents
+      FROM public.ledger_entries e
+      JOIN public.ledger_transactions t ON t.id = e.txn_id
+     WHERE t.order_item_id = $1 AND t.kind IN ('sale','release','return')
+       AND (e.account LIKE 'seller:%' OR e.account = $2)
+     GROUP BY e.account, e.seller_id, e.currency
+  `, [order_item_id, ACCOUNTS.COMMISSION]);
+  return r.rows.map((x) => ({ ...x, amount_cents: Number(x.amount_cents) }));
+}
+
+/**
+ * 취소·환불: 판매자/수수료 계정에 남은 몫을 품목별로(배송비는 하위 주문별로) 되돌리고 그만큼 예치금에서 뺀다.
+ * 이미 지급된 금액이면 판매자 정산가능 잔액이 음수가 되어 다음 정산에서 상계된다.
+ */
+async function postReversals(client, order, { seller_order_id = null, reason = null } = {}) {
+  const items = (await itemStates(client, order.id, seller_order_id)).filter((it) => it.sale_id && !it.reversed);
+  const out = [];
+  for (const it of items) {
+    const lines = (await itemNet(client, it.id)).map((e) => ({ ...e, amount_cents: -e.amount_cents }));
+    const clearing = new Map();
+    for (const e of lines) clearing.set(e.currency, (clearing.get(e.currency) || 0) - e.amount_cents);
+    const txn = await postTransaction(client, {
+      kind: 'reversal', order_id: order.id, seller_order_id: it.seller_order_id, order_item_id: it.id, reverses_id: it.sale_id, memo: reason,
+    }, [...lines, ...[...clearing].map(([currency, amount_cents]) => ({ account: ACCOUNTS.CLEARING, amount_cents, currency }))]);
+    if (txn) out.push(txn);
+  }
+  for (const so of await shippingStates(client, order.id, seller_order_id)) {
+    if (!so.shipping_id || so.reversed) continue;
+    const lines = (await shippingNet(client, so.seller_order_id)).map((e) => ({ ...e, amount_cents: -e.amount_cents }));
+    const clearing = new Map();
+    for (const e of lines) clearing.set(e.currency, (clearing.get(e.currency) || 0) - e.amount_cents);
+    const txn = await postTransaction(client, {
+      kind: 'reversal', order_id: order.id, seller_order_id: so.seller_order_id, reverses_id: so.shipping_id, memo: reason,
+    }, [...lines, ...[...clearing].map(([currency, amount_cents]) => ({ account: ACCOUNTS.CLEARING, amount_cents, currency }))]);
+    if (txn) out.push(txn);
+  }
+  return out;
+}
+
+/**
+ * 반품(RMA) 정산: 품목 중 qty 만큼 판매 분개를 비율대로 되돌린다.
+ *  - refund: 예치금에서 구매자에게 환불
+ *  - credit: 구매자 적립금으로 보관
+ * 마지막 반품은 남은 금액 전부를 되돌려 반올림 차이가 남지 않게 한다.
+ */
+async function postReturn(client, order, { order_item_id, qty, mode = 'refund', rma_id = null, memo = null }) {
+  if (!['refund', 'credit'].includes(mode)) throw new Error(`bad return mode: ${mode}`);
+  const it = (await itemStates(client, order.id)).find((x) => x.id === String(order_item_id));
+  if (!it) throw new Error('order item not found');
+  if (!it.sale_id || it.reversed) return null;
+  const total = Number(it.qty || 0);
+  const prior = (await client.query(`
+    SELECT COALESCE(SUM((meta->>'qty')::int), 0)::int AS qty FROM public.ledger_transactions WHERE order_item_id = $1 AND kind = 'return'
+  `, [it.id])).rows[0];
+  const already = Number(prior?.qty || 0);
+  const q = Math.min(Number(qty) || 0, total - already);
+  if (q <= 0) throw new Error('nothing left to return on this order item');
+
+  const last = already + q >= total;
+  const lines = (await itemNet(client, it.id)).map((e) => ({
+    ...e,
+    amount_cents: last ? -e.amount_cents : -Math.round((e.amount_cents * q) / (total - already)),
+  }));
+  // 부분 반품은 구매자에게 정확히 qty × 단가를 돌려주고, 반올림 차이는 판매자 몫에서 맞춘다
+  const seller = lines.filter((e) => e.account !== ACCOUNTS.COMMISSION).sort((x, y) => Math.abs(y.amount_cents) - Math.abs(x.amount_cents))[0];
+  if (!last && seller) {
+    const drift = q * Number(it.unit_price_cents || 0) - lines.filter((e) => e.currency === seller.currency).reduce((sum, e) => sum + e.amount_cents, 0);
+    seller.amount_cents += drift;
+  }
+  const give = new Map();
+  for (const e of lines) give.set(e.currency, (give.get(e.currency) || 0) - e.amount_cents);
+  const to = mode === 'credit'
+    ? (currency, amount_cents) => ({ account: ACCOUNTS.BUYER_CREDIT, buyer_id: order.buyer_id || null, amount_cents, currency })
+    : (currency, amount_cents) => ({ account: ACCOUNTS.CLEARING, amount_cents, currency });
+  const txn = await postTransaction(client, {
+    kind: 'return', order_id: order.id, seller_order_id: it.seller_order_id, order_item_id: it.id, reverses_id: it.sale_id, memo,
+    meta: { qty: q, mode, rma_id },
+  }, [...lines, ...[...give].map(([currency, amount]) => to(currency, amount))]);
+  return { txn, qty: q, amounts: [...give].map(([currency, amount]) => ({ currency, amount_cents: -amount })) };
+}
+
+/** 주문 상태 전이에 맞춰 원장 기록 (lifecycle.applyTransition / 하위 주문 전이에서 호출) */
+async function postForTransition(client, order, to, { seller_order_id = null, reason = null } = {}) {
+  if (to === 'paid') return postSales(client, order);
+  if (to === 'delivered') return postReleases(client, order, { seller_order_id });
+  if (to === 'cancelled' || to === 'refunded') return postReversals(client, order, { seller_order_id, reason: reason || to });
+  return [];
+}
+
+/** 판매자 잔액(통화별). pending=배송 전, available=지급 가능, in_payout=지급 배치에 묶임 */
+async function sellerBalances(seller_ids, pg = db) {
+  await ensureLedger();
+  const r = await pg.query(`
+    SELECT e.currency,
+           -COALESCE(SUM(e.amount_cents) FILTER (WHERE e.account = $2), 0)::bigint AS pending_cents,
+           -COALESCE(SUM(e.amount_cents) FILTER (WHERE e.account = $3), 0)::bigint AS available_cents,
+           -COALESCE(SUM(e.amount_cents) FILTER (WHERE e.account = $4), 0)::bigint AS in_payout_cents,
+           COALESCE(SUM(e.amount_cents) FILTER (WHERE e.account = $4 AND t.kind = 'payout_paid'), 0)::bigint AS paid_out_cents,
+           -COALESCE(SUM(e.amount_cents) FILTER (WHERE e.account = $5), 0)::bigint AS commission_cents
+      FROM public.ledger_entries e
+      JOIN public.ledger_transactions t ON t.id = e.txn_id
+     WHERE e.seller_id = ANY($1::text[])
+     GROUP BY e.currency
+     ORDER BY e.currency
+  `, [seller_ids, ACCOUNTS.PENDING, ACCOUNTS.AVAILABLE, ACCOUNTS.IN_PAYOUT, ACCOUNTS.COMMISSION]);
+  return r.rows.map((x) => ({
+    currency: x.currency,
+    pending_cents: Number(x.pending_cents),
+    available_cents: Number(x.available_cents),
+    in_payout_cents: Number(x.in_payout_cents),
+    paid_out_cents: Number(x.paid_out_cents),
+    commission_cents: Number(x.commission_cents),
+  }));
+}
+
+/** 판매자 계정 분개 내역 (기간·통화 필터, 계정별 누적 잔액 포함) */
+async function sellerStatement(seller_ids, { from = null, to = null, currency = null, limit = 5000 } = {}) {
+  await ensureLedger();
+  const r = await db.query(`
+    SELECT e.id, e.created_at, t.kind, e.account, e.seller_id, e.currency, e.amount_cents,
+           t.order_id, t.seller_order_id, t.order_item_id, t.payout_batch_id, t.memo, o.order_no
+      FROM public.ledger_entries e
+      JOIN public.ledger_transactions t ON t.id = e.txn_id
+      LEFT JOIN public.orders o ON o.id = t.order_id
+     WHERE e.seller_id = ANY($1::text[]) AND e.account LIKE 'seller:%'
+       AND ($2::timestamptz IS NULL OR e.created_at >= $2::timestamptz)
+       AND ($3::timestamptz IS NULL OR e.created_at < $3::timestamptz)
+       AND ($4::text IS NULL OR e.currency = $4)
+     ORDER BY e.created_at, e.id
+     LIMIT $5
+  `, [seller_ids, from, to, currency, Math.min(Math.max(Number(limit) || 5000, 1), 50000)]);
+  const running = new Map();
+  return r.rows.map((x) => {
+    const k = `${x.seller_id}|${x.account}|${x.currency}`;
+    // 판매자에게는 대변(-)이 받을 돈이므로 부호를 뒤집어 보여준다
+    const amount = -Number(x.amount_cents);
+    running.set(k, (running.get(k) || 0) + amount);
+    return { ...x, amount_cents: amount, balance_cents: running.get(k) };
+  });
+}
+
+async function listCommissionRules() {
+  await ensureLedger();
+  return (await db.query(`SELECT * FROM public.commission_rules ORDER BY id`)).rows;
+}
+
+async function upsertCommissionRule({ id = null, seller_id = null, family_slug = null, rate_bp, active = true, note = null }) {
+  await ensureLedger();
+  const bp = Number(rate_bp);
+  if (!Number.isInteger(bp) || bp < 0 || bp > 10000) throw new Error('rate_bp must be an integer between 0 and 10000');
+  const args = [seller_id ? String(seller_id) : null, family_slug ? String(family_slug) : null, bp, active !== false, note];
+  if (id) {
+    const r = await db.query(`
+      UPDATE public.commission_rules SET seller_id = $1, family_slug = $2, rate_bp = $3, active = $4, note = $5 WHERE id = $6 RETURNING *
+    `, [...args, id]);
+    if (!r.rows.length) throw new Error('commission rule not found');
+    return r.rows[0];
+  }
+  return (await db.query(`
+    INSERT INTO public.commission_rules (seller_id, family_slug, rate_bp, active, note) VALUES ($1,$2,$3,$4,$5) RETURNING *
+  `, args)).rows[0];
+}
+
+module.exports = {
+  ACCOUNTS,
+  ensureLedger,
+  postTransaction,
+  pickCommissionRule,
+  postSales,
+  postReleases,
+  postReversals,
+  postReturn,
+  postForTransition,
+  sellerBalances,
+  sellerStatement,
+  listCommissionRules,
+  upsertCommissionRule,
+};
@@ -0,0 +1,169 @@
+const db = require('../../db');
+const { ACCOUNTS, ensureLedger, postTransaction } = require('./ledger');
+
+// 판매자 지급 배치: 예약(scheduled) 시 정산가능 잔액을 지급중으로 묶고, 송금 확인(paid) 또는 취소(cancelled)로 끝난다
+let ensured = null;
+function ensurePayoutTables() {
+  if (!ensured) {
+    ensured = (async () => {
+      await ensureLedger();
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS public.payout_batches (
+          id uuid DEFAULT uuid_generate_v4() PRIMARY KEY,
+          status text NOT NULL DEFAULT 'scheduled' CHECK (status IN ('scheduled','paid','cancelled')),
+          scheduled_for date NOT NULL DEFAULT current_date,
+          currency text,
+          note text,
+          reference text,
+          created_by text,
+          created_at timestamptz DEFAULT now(),
+          paid_at timestamptz,
+          cancelled_at timestamptz
+        )
+      `);
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS public.payout_items (
+          batch_id uuid NOT NULL REFERENCES public.payout_batches(id),
+          seller_id text NOT NULL,
+          currency text NOT NULL,
+          amount_cents bigint NOT NULL CHECK (amount_cents > 0),
+          PRIMARY KEY (batch_id, seller_id, currency)
+        )
+      `);
+      await db.query(`CREATE INDEX IF NOT EXISTS ix_payout_items_seller ON public.payout_items (seller_id)`);
+    })().catch((e) => { ensured = null; throw e; });
+  }
+  return ensured;
+}
+
+/**
+ * 정산가능 잔액이 min_amount_cents 이상인 판매자(통화별)를 한 배치로 묶는다.
+ * 동시에 두 배치가 같은 잔액을 잡지 않도록 advisory lock 으로 직렬화한다.
+ */
+async function schedulePayoutBatch({ scheduled_for = null, currency = null, seller_ids = null, min_amount_cents = 1, note = null } = {}, actor = null) {
+  await ensurePayoutTables();
+  return db.withTransaction(async (client) => {
+    await client.query(`SELECT pg_advisory_xact_lock(hashtext('payout_batches'))`);
+    const due = (await client.query(`
+      SELECT seller_id, currency, -SUM(amount_cents)::bigint AS amount_cents
+        FROM public.ledger_entries
+       WHERE account = $1
+         AND ($2::text IS NULL OR currency = $2)
+         AND ($3::text[] IS NULL OR seller_id = ANY($3::text[]))
+       GROUP BY seller_id, currency
+      HAVING -SUM(amount_cents) >= GREATEST($4::bigint, 1)
+       ORDER BY seller_id, currency
+    `, [ACCOUNTS.AVAILABLE, currency || null, Array.isArray(seller_ids) && seller_ids.length ? seller_ids.map(String) : null, Math.max(1, Number(min_amount_cents) || 1)])).rows;
+    if (!due.length) throw new Error('no seller balance due for payout');
+
+    const batch = (await client.query(`
+      INSERT INTO public.payout_batches (scheduled_for, currency, note, created_by)
+      VALUES (COALESCE($1::date, current_date), $2, $3, $4)
+      RETURNING *
+    `, [scheduled_for || null, currency || null, note, actor?.id || null])).rows[0];
+    const items = [];
+    for (const d of due) {
+      const amount = Number(d.amount_cents);
+      await postTransaction(client, { kind: 'payout_scheduled', payout_batch_id: batch.id, memo: `payout ${batch.id}` }, [
+        { account: ACCOUNTS.AVAILABLE, seller_id: d.seller_id, amount_cents: amount, currency: d.currency },
+        { account: ACCOUNTS.IN_PAYOUT, seller_id: d.seller_id, amount_cents: -amount, currency: d.currency },
+      ]);
+      items.push((await client.query(`
+        INSERT INTO public.payout_items (batch_id, seller_id, currency, amount_cents) VALUES ($1,$2,$3,$4) RETURNING *
+      `, [batch.id, d.seller_id, d.currency, amount])).rows[0]);
+    }
+    return { batch, items };
+  });
+}
+
+async function lockScheduledBatch(client, id) {
+  const batch = (await client.query(`SELECT * FROM public.payout_batches WHERE id = $1 FOR UPDATE`, [id])).rows[0];
+  if (!batch) throw new Error('payout batch not found');
+  if (batch.status !== 'scheduled') throw new Error(`payout batch is ${batch.status}`);
+  const items = (await client.query(`SELECT * FROM public.payout_items WHERE batch_id = $1 ORDER BY seller_id, currency`, [id])).rows;
+  return { batch, items };
+}
+
+/** 송금 완료 확인: 지급중 → 은행 */
+async function markPayoutBatchPaid(id, { reference = null } = {}) {
+  await ensurePayoutTables();
+  return db.withTransaction(async (client) => {
+    const { items } = await lockScheduledBatch(client, id);
+    for (const it of items) {
+      await postTransaction(client, { kind: 'payout_paid', payout_batch_id: id, memo: reference }, [
+        { account: ACCOUNTS.IN_PAYOUT, seller_id: it.seller_id, amount_cents: Number(it.amount_cents), currency: it.currency },
+        { account: ACCOUNTS.BANK, amount_cents: -Number(it.amount_cents), currency: it.currency },
+      ]);
+    }
+    const batch = (await client.query(`
+      UPDATE public.payout_batches SET status = 'paid', paid_at = now(), reference = $2 WHERE id = $1 RETURNING *
+    `, [id, reference])).rows[0];
+    return { batch, items };
+  });
+}
+
+/** 예약 취소: 묶었던 금액을 정산가능으로 돌려놓는다 */
+async function cancelPayoutBatch(id, { reason = null } = {}) {
+  await ensurePayoutTables();
+  return db.withTransaction(async (client) => {
+    const { items } = await lockScheduledBatch(client, id);
+    for (const it of items) {
+      await postTransaction(client, { kind: 'payout_cancelled', payout_batch_id: id, memo: reason }, [
+        { account: ACCOUNTS.IN_PAYOUT, seller_id: it.seller_id, amount_cents: Number(it.amount_cents), currency: it.currency },
+        { account: ACCOUNTS.AVAILABLE, seller_id: it.seller_id, amount_cents: -Number(it.amount_cents), currency: it.currency },
+      ]);
+    }
+    const batch = (await client.query(`
+      UPDATE public.payout_batches SET status = 'cancelled', cancelled_at = now(), note = COALESCE($2, note) WHERE id = $1 RETURNING *
+    `, [id, reason])).rows[0];
+    return { batch, items };
+  });
+}
+
+async function listPayoutBatches({ status = null, limit = 50 } = {}) {
+  await ensurePayoutTables();
+  const r = await db.query(`
+    SELECT b.*,
+           COALESCE((SELECT jsonb_object_agg(currency, total) FROM (
+             SELECT currency, SUM(amount_cents)::bigint AS total FROM public.payout_items WHERE batch_id = b.id GROUP BY currency
+           ) t), '{}'::jsonb) AS totals,
+           (SELECT COUNT(*)::int FROM public.payout_items WHERE batch_id = b.id) AS seller_count
+      FROM public.payout_batches b
+     WHERE ($1::text IS NULL OR b.status = $1)
+     ORDER BY b.scheduled_for DESC, b.created_at DESC
+     LIMIT $2
+  `, [status, Math.min(Math.max(Number(limit) || 50, 1), 200)]);
+  return r.rows;
+}
+
+async function getPayoutBatch(id) {
+  await ensurePayoutTables();
+  const batch = (await db.query(`SELECT * FROM public.payout_batches WHERE id = $1`, [id])).rows[0];
+  if (!batch) throw new Error('payout batch not found');
+  const items = (await db.query(`SELECT * FROM public.payout_items WHERE batch_id = $1 ORDER BY seller_id, currency`, [id])).rows;
+  return { batch, items };
+}
+
+/** 판매자 본인 지급 내역 */
+async function listSellerPayouts(seller_ids, { limit = 50 } = {}) {
+  await ensurePayoutTables();
+  const r = await db.query(`
+    SELECT b.id AS batch_id, b.status, b.scheduled_for, b.paid_at, b.reference, i.seller_id, i.currency, i.amount_cents
+      FROM public.payout_items i
+      JOIN public.payout_batches b ON b.id = i.batch_id
+     WHERE i.seller_id = ANY($1::text[])
+     ORDER BY b.scheduled_for DESC, b.created_at DESC
+     LIMIT $2
+  `, [seller_ids, Math.min(Math.max(Number(limit) || 50, 1), 200)]);
+  return r.rows;
+}
+
+module.exports = {
+  ensurePayoutTables,
+  schedulePayoutBatch,
+  markPayoutBatchPaid,
+  cancelPayoutBatch,
+  listPayoutBatches,
+  getPayoutBatch,
+  listSellerPayouts,
+};
@@ -0,0 +1,36 @@
+const { createMockProvider } = require('./mock');
+
+/**
+ * 결제 제공자 인터페이스
+ *  - name
+ *  - createIntent({ payment, invoice, order }) → { provider_ref, client_secret?, next_action? }
+ *  - verifyWebhook({ rawBody, headers }) → { event_id, type: 'succeeded'|'failed'|'other', provider_ref, amount_cents, currency }
+ *    서명이 틀리면 throw
+ */
+const factories = new Map();
+const instances = new Map();
+
+function registerProvider(name, factory) {
+  factories.set(name, factory);
+  instances.delete(name);
+}
+
+// mock 은 운영에서 기본 비활성(공개된 기본 secret 으로 결제 처리가 되면 안 된다)
+function mockEnabled() {
+  if (process.env.PAYMENT_MOCK_ENABLED != null) return /^(1|true|yes)$/i.test(process.env.PAYMENT_MOCK_ENABLED);
+  return process.env.NODE_ENV !== 'production';
+}
+
+function getProvider(name = process.env.PAYMENT_PROVIDER || 'mock') {
+  if (name === 'mock' && !mockEnabled()) throw new Error('payment provider not available: mock');
+  if (!instances.has(name)) {
+    const factory = factories.get(name);
+    if (!factory) throw new Error(`payment provider not available: ${name}`);
+    instances.set(name, factory());
+  }
+  return instances.get(name);
+}
+
+registerProvider('mock', () => createMockProvider());
+
+module.exports = { registerProvider, getProvider, mockEnabled };
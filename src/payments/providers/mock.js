@@ -0,0 +1,49 @@
+const crypto = require('crypto');
+
+// 로컬 개발용 결제 제공자: 실제 PG 없이 intent 생성 → 서명된 webhook → paid 까지 흘려볼 수 있다
+const SIGNATURE_HEADER = 'x-mock-signature';
+
+function createMockProvider({ secret = process.env.MOCK_PAYMENT_SECRET || 'mock-payment-secret' } = {}) {
+  const sign = (raw) => crypto.createHmac('sha256', secret).update(raw).digest('hex');
+
+  return {
+    name: 'mock',
+
+    async createIntent({ payment }) {
+      return {
+        provider_ref: `mock_pi_${String(payment.id).replace(/-/g, '')}`,
+        client_secret: `mock_cs_${crypto.randomBytes(12).toString('hex')}`,
+        next_action: { type: 'simulate', url: `/api/payments/mock/${payment.id}/simulate` },
+      };
+    },
+
+    /** 서명이 맞으면 공통 이벤트 형태로, 아니면 throw */
+    verifyWebhook({ rawBody, headers }) {
+      const got = String(headers?.[SIGNATURE_HEADER] || '');
+      const want = sign(rawBody);
+      if (got.length !== want.length || !crypto.timingSafeEqual(Buffer.from(got), Buffer.from(want))) {
+        throw new Error('invalid signature');
+      }
+      const ev = JSON.parse(rawBody.toString('utf8'));
+      return {
+        event_id: String(ev.id || ''),
+        type: ev.type === 'payment.succeeded' ? 'succeeded' : ev.type === 'payment.failed' ? 'failed' : 'other',
+        provider_ref: ev.data?.payment_ref || null,
+        amount_cents: ev.data?.amount_cents == null ? null : Number(ev.data.amount_cents),
+        currency: ev.data?.currency || null,
+      };
+    },
+
+    // mock 전용: PG 가 보냈을 webhook 요청을 만든다(같은 event_id 로 재전송 테스트 가능)
+    buildWebhook({ payment, outcome = 'succeeded', event_id = null }) {
+      const body = Buffer.from(JSON.stringify({
+        id: event_id || `mock_evt_${crypto.randomBytes(8).toString('hex')}`,
+        type: outcome === 'failed' ? 'payment.failed' : 'payment.succeeded',
+        data: { payment_ref: payment.provider_ref, amount_cents: Number(payment.amount_cents), currency: payment.currency },
+      }));
+      return { rawBody: body, headers: { [SIGNATURE_HEADER]: sign(body) } };
+    },
+  };
+}
+
+module.exports = { createMockProvider };
@@ -0,0 +1,75 @@
+const db = require('../../db');
+
+const MAX_DEPTH = 12;
+
+function norm(v) { return String(v || '').trim().toLowerCase(); }
+
+/**
+ * 계층 BOM 을 펼쳐 부품별 총 소요량으로 합산한다.
+ * sub_bom_id 가 있는 라인은 하위 어셈블리로 보고 qty 를 수량 배수(qty-per)로 곱한다.
+ *
+ * @param {string} bomId
+ * @param {{ build_qty?: number, pg?: { query: Function } }} [opts]  pg: 트랜잭션 client 전달용
+ */
+async function explodeBom(bomId, { build_qty = 1, pg = db } = {}) {
+  const itemsCache = new Map();
+  const loadItems = async (id) => {
+    if (!itemsCache.has(id)) {
+      const r = await pg.query(`
+        SELECT id, row_no, manufacturer, part_number, qty, moq, component_family, sub_bom_id
+          FROM public.bom_items
+         WHERE bom_id = $1
+         ORDER BY COALESCE(row_no, 0) ASC, created_at ASC
+      `, [id]);
+      itemsCache.set(id, r.rows);
+    }
+    return itemsCache.get(id);
+  };
+
+  const demand = new Map();
+  let maxDepth = 0;
+  const visit = async (id, multiplier, path) => {
+    if (path.length > MAX_DEPTH) throw new Error('bom nesting too deep');
+    maxDepth = Math.max(maxDepth, path.length - 1);
+    for (const it of await loadItems(id)) {
+      const qtyPer = Number(it.qty || 0);
+      if (it.sub_bom_id) {
+        if (path.includes(it.sub_bom_id)) throw new Error(`bom cycle: ${[...path, it.sub_bom_id].join(' > ')}`);
+        await visit(it.sub_bom_id, multiplier * qtyPer, [...path, it.sub_bom_id]);
+        continue;
+      }
+      if (!it.part_number) continue;
+      const key = `${norm(it.manufacturer)}|${norm(it.part_number)}`;
+      const cur = demand.get(key) || {
+        manufacturer: it.manufacturer,
+        part_number: it.part_number,
+        component_family: it.component_family || null,
+        moq: it.moq ?? null,
+        qty: 0,
+        sources: [],
+      };
+      cur.qty += multiplier * qtyPer;
+      cur.sources.push({ bom_id: id, row_no: it.row_no, qty_per: qtyPer, multiplier });
+      demand.set(key, cur);
+    }
+  };
+
+  await visit(bomId, Number(build_qty) > 0 ? Number(build_qty) : 1, [bomId]);
+  return { bom_id: bomId, build_qty: Number(build_qty) > 0 ? Number(build_qty) : 1, depth: maxDepth, lines: [...demand.values()] };
+}
+
+/** sub 를 parent 아래에 붙였을 때 순환이 생기는지 확인 */
+async function wouldCreateCycle(parentId, subId, { pg = db } = {}) {
+  if (parentId === subId) return true;
+  const r = await pg.query(`
+    WITH RECURSIVE tree(id) AS (
+      SELECT $1::uuid
+      UNION
+      SELECT i.sub_bom_id FROM public.bom_items i JOIN tree t ON i.bom_id = t.id WHERE i.sub_bom_id IS NOT NULL
+    )
+    SELECT 1 FROM tree WHERE id = $2::uuid LIMIT 1
+  `, [subId, parentId]);
+  return r.rows.length > 0;
+}
+
+module.exports = { explodeBom, wouldCreateCycle };
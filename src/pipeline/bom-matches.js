@@ -0,0 +1,148 @@
+const db = require('../../db');
+
+// 구매자가 확정/거부한 BOM 라인 매칭(입력한 제조사/품번 → 카탈로그 부품), 테넌트 단위
+// (테넌트가 없는 사용자는 본인 것만 — tenant_key 'user:<id>')
+let ensured = null;
+function ensureMatchTable() {
+  if (!ensured) {
+    ensured = (async () => {
+      await db.query('CREATE EXTENSION IF NOT EXISTS "uuid-ossp"');
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS public.bom_part_matches (
+          id uuid DEFAULT uuid_generate_v4() PRIMARY KEY,
+          tenant_key text NOT NULL,
+          raw_brand text,
+          raw_code text NOT NULL,
+          raw_brand_norm text NOT NULL DEFAULT '',
+          raw_code_norm text NOT NULL,
+          brand text NOT NULL,
+          code text NOT NULL,
+          brand_norm text NOT NULL,
+          code_norm text NOT NULL,
+          family_slug text,
+          specs_table text,
+          status text NOT NULL CHECK (status IN ('confirmed','rejected')),
+          decided_by text,
+          created_at timestamptz DEFAULT now(),
+          updated_at timestamptz DEFAULT now(),
+          UNIQUE (tenant_key, raw_brand_norm, raw_code_norm, brand_norm, code_norm)
+        )
+      `);
+      await db.query(`
+        CREATE UNIQUE INDEX IF NOT EXISTS ux_bom_part_matches_confirmed
+          ON public.bom_part_matches (tenant_key, raw_brand_norm, raw_code_norm)
+          WHERE status = 'confirmed'
+      `);
+    })().catch((e) => { ensured = null; throw e; });
+  }
+  return ensured;
+}
+
+function norm(v) { return String(v || '').trim().toLowerCase(); }
+// 비로그인(actor 없음)은 null → 기억을 읽지도 쓰지도 않는다
+function tenantKey(actor) {
+  if (actor?.tenantId) return String(actor.tenantId);
+  if (actor?.id) return `user:${actor.id}`;
+  return null;
+}
+function partKey(brand, code) { return `${norm(brand)}|${norm(code)}`; }
+
+/**
+ * 입력 라인들에 대한 기억을 한 번에: Map(partKey(raw_brand, raw_code) → { confirmed, rejected })
+ * confirmed 는 확정 매핑 1건, rejected 는 거부된 후보 partKey 집합. 기억이 없는 라인은 Map 에 없다.
+ */
+async function recallMatches(actor, pairs) {
+  const out = new Map();
+  const key = tenantKey(actor);
+  const seen = new Set();
+  const bn = [], cn = [];
+  for (const [b, c] of pairs) {
+    if (!c) continue;
+    const k = partKey(b, c);
+    if (seen.has(k)) continue;
+    seen.add(k);
+    bn.push(norm(b)); cn.push(norm(c));
+  }
+  if (!key || !cn.length) return out;
+  await ensureMatchTable();
+  const r = await db.query(`
+    SELECT * FROM public.bom_part_matches
+     WHERE tenant_key = $1
+       AND (raw_brand_norm, raw_code_norm) IN (SELECT * FROM unnest($2::text[], $3::text[]))
+  `, [key, bn, cn]);
+  for (const x of r.rows) {
+    const k = `${x.raw_brand_norm}|${x.raw_code_norm}`;
+    if (!out.has(k)) out.set(k, { confirmed: null, rejected: new Set() });
+    const m = out.get(k);
+    if (x.status === 'confirmed') m.confirmed = x;
+    else m.rejected.add(partKey(x.brand_norm, x.code_norm));
+  }
+  return out;
+}
+
+async function decideMatch(status, { actor = null, raw_brand = null, raw_code, brand, code, family_slug = null, specs_table = null }) {
+  if (!raw_code || !brand || !code) throw new Error('raw_code, brand, code required');
+  const scope = tenantKey(actor);
+  if (!scope) throw new Error('auth required');
+  const actor_id = actor.id || null;
+  await ensureMatchTable();
+  return db.withTransaction(async (client) => {
+    const key = [scope, norm(raw_brand), norm(raw_code)];
+    if (status === 'confirmed') {
+      // 같은 입력의 기존 확정은 거부로 돌린다(구매자가 다른 부품을 골랐으므로)
+      await client.query(`
+        UPDATE public.bom_part_matches
+           SET status = 'rejected', decided_by = $4, updated_at = now()
+         WHERE tenant_key = $1 AND raw_brand_norm = $2 AND raw_code_norm = $3 AND status = 'confirmed'
+      `, [...key, actor_id]);
+    }
+    const r = await client.query(`
+      INSERT INTO public.bom_part_matches
+        (tenant_key, raw_brand, raw_code, raw_brand_norm, raw_code_norm, brand, code, brand_norm, code_norm, family_slug, specs_table, status, decided_by)
+      VALUES ($1,$4,$5,$2,$3,$6,$7,lower($6),lower($7),$8,$9,$10,$11)
+      ON CONFLICT (tenant_key, raw_brand_norm, raw_code_norm, brand_norm, code_norm)
+      DO UPDATE SET status = EXCLUDED.status,
+                    family_slug = COALESCE(EXCLUDED.family_slug, public.bom_part_matches.family_slug),
+                    specs_table = COALESCE(EXCLUDED.specs_table, public.bom_part_matches.specs_table),
+                    decided_by = EXCLUDED.decided_by,
+                    updated_at = now()
+      RETURNING *
+    `, [...key, raw_brand, raw_code, brand, code, family_slug, specs_table, status, actor_id]);
+    return r.rows[0];
+  });
+}
+
+async function listMatches({ actor = null, status = null, q = null, limit = 100 } = {}) {
+  const scope = tenantKey(actor);
+  if (!scope) return [];
+  await ensureMatchTable();
+  const where = ['tenant_key = $1'];
+  const args = [scope];
+  if (status) { args.push(status); where.push(`status = $${args.length}`); }
+  if (q) { args.push(`%${norm(q)}%`); where.push(`(raw_code_norm LIKE $${args.length} OR code_norm LIKE $${args.length})`); }
+  args.push(Math.min(Math.max(Number(limit) || 100, 1), 500));
+  const r = await db.query(`
+    SELECT * FROM public.bom_part_matches
+     WHERE ${where.join(' AND ')}
+     ORDER BY updated_at DESC
+     LIMIT $${args.length}
+  `, args);
+  return r.rows;
+}
+
+async function deleteMatch(actor, id) {
+  const scope = tenantKey(actor);
+  if (!scope) return null;
+  await ensureMatchTable();
+  const r = await db.query(`DELETE FROM public.bom_part_matches WHERE id = $1 AND tenant_key = $2 RETURNING id`, [id, scope]);
+  return r.rows[0] || null;
+}
+
+module.exports = {
+  recallMatches,
+  confirmMatch: (args) => decideMatch('confirmed', args),
+  rejectMatch: (args) => decideMatch('rejected', args),
+  listMatches,
+  deleteMatch,
+  partKey,
+};
@@ -0,0 +1,212 @@
+const db = require('../../db');
+const { analyzeBom } = require('./bom');
+const { explodeBom } = require('./bom-explode');
+const { createFxConverter } = require('../lib/fx');
+
+function norm(v) { return String(v || '').trim().toLowerCase(); }
+function lineKey(l) { return l.sub_bom_id ? `sub|${l.sub_bom_id}` : `${norm(l.manufacturer)}|${norm(l.part_number)}`; }
+function refSet(l) {
+  return new Set(String(l.ref_des || '').split(/[\s,;]+/).map((x) => x.trim().toUpperCase()).filter(Boolean));
+}
+function overlaps(a, b) {
+  for (const x of a) if (b.has(x)) return true;
+  return false;
+}
+function pickLine(l) {
+  return { id: l.id, row_no: l.row_no, manufacturer: l.manufacturer, part_number: l.part_number, qty: Number(l.qty || 0), ref_des: l.ref_des || null, sub_bom_id: l.sub_bom_id || null };
+}
+
+/**
+ * 두 리비전의 bom_items 를 라인 단위로 비교한다.
+ *  1) 같은 제조사+품번 → 수량이 다르면 qty_changed
+ *  2) 남은 라인 중 ref_des 가 겹치거나(없으면 같은 row_no) → part_swapped
+ *  3) 나머지 → added / removed
+ */
+function diffBomLines(fromLines, toLines) {
+  const changes = [];
+  const fromByKey = new Map();
+  for (const l of fromLines) {
+    const arr = fromByKey.get(lineKey(l)) || [];
+    arr.push(l);
+    fromByKey.set(lineKey(l), arr);
+  }
+
+  const restTo = [];
+  let unchanged = 0;
+  for (const l of toLines) {
+    const arr = fromByKey.get(lineKey(l));
+    const prev = arr && arr.shift();
+    if (!prev) { restTo.push(l); continue; }
+    if (Number(prev.qty || 0) !== Number(l.qty || 0)) {
+      changes.push({ type: 'qty_changed', from: pickLine(prev), to: pickLine(l), qty_delta: Number(l.qty || 0) - Number(prev.qty || 0) });
+    } else {
+      unchanged += 1;
+    }
+  }
+  const restFrom = [...fromByKey.values()].flat();
+
+  const usedFrom = new Set();
+  const added = [];
+  for (const l of restTo) {
+    const refs = refSet(l);
+    const prev = restFrom.find((p) => !usedFrom.has(p) && (refs.size
+      ? overlaps(refs, refSet(p))
+      : (!refSet(p).size && p.row_no != null && p.row_no === l.row_no)));
+    if (!prev) { added.push(l); continue; }
+    usedFrom.add(prev);
+    changes.push({ type: 'part_swapped', from: pickLine(prev), to: pickLine(l), qty_delta: Number(l.qty || 0) - Number(prev.qty || 0) });
+  }
+  for (const l of added) changes.push({ type: 'added', from: null, to: pickLine(l), qty_delta: Number(l.qty || 0) });
+  for (const p of restFrom) {
+    if (!usedFrom.has(p)) changes.push({ type: 'removed', from: pickLine(p), to: null, qty_delta: -Number(p.qty || 0) });
+  }
+  return { changes, unchanged };
+}
+
+// 재고 사용 계획의 비용을 기준 통화로 (환율이 없는 통화는 missing 에 모으고 비용에서 뺀다)
+async function planCostCents(item, fx, missing) {
+  let cost = 0;
+  for (const u of item?.recommendation?.plan?.use_listings || []) {
+    const amount = Number(u.take_qty || 0) * Number(u.price_cents || 0);
+    try {
+      cost += (await fx.convertCents(amount, u.currency || 'USD')).cents;
+    } catch {
+      missing.add(String(u.currency || 'USD').toUpperCase());
+    }
+  }
+  return cost;
+}
+
+// analyzeBom 결과 한 줄(+ 기준 통화 비용) → 비용/가용 요약
+function lineOutcome(item, cost = 0) {
+  if (!item) return { cost_cents: 0, available_qty: 0, shortfall_qty: 0, route: null };
+  const plan = item.recommendation?.plan || { use_listings: [], remaining: 0 };
+  return {
+    cost_cents: Math.round(cost),
+    available_qty: Number(item.stock?.total_available || 0),
+    shortfall_qty: Math.max(0, Number(plan.remaining || 0)),
+    route: item.recommendation?.route || null,
+    match_type: item.match?.type || null,
+  };
+}
+
+function outcomeDelta(before, after) {
+  return {
+    cost_cents: after.cost_cents - before.cost_cents,
+    available_qty: after.available_qty - before.available_qty,
+    shortfall_qty: after.shortfall_qty - before.shortfall_qty,
+  };
+}
+
+/**
+ * 변경 라인만 analyzeBom 으로 돌려 리비전 간 비용/가용 영향치를 붙인다.
+ * 하위 어셈블리 라인은 해당 BOM 을 펼친 소요량으로 평가한다. 비용은 base_currency 로 환산해 합친다.
+ */
+async function attachImpact(changes, actor = null, base_currency = 'USD') {
+  const sideRows = async (line) => {
+    if (!line) return [];
+    if (!line.sub_bom_id) return [{ brand: line.manufacturer, code: line.part_number, qty: line.qty }];
+    const sub = await explodeBom(line.sub_bom_id, { build_qty: line.qty || 1 });
+    return sub.lines.map((x) => ({ brand: x.manufacturer, code: x.part_number, qty: x.qty }));
+  };
+  const sumOutcome = (outcomes) => outcomes.reduce((acc, o) => ({
+    cost_cents: acc.cost_cents + o.cost_cents,
+    available_qty: acc.available_qty + o.available_qty,
+    shortfall_qty: acc.shortfall_qty + o.shortfall_qty,
+    route: acc.route || o.route,
+    match_type: acc.match_type || o.match_type,
+  }), lineOutcome(null));
+
+  const fromRows = [], toRows = [], spans = [];
+  for (const c of changes) {
+    const f = await sideRows(c.from);
+    const t = await sideRows(c.to);
+    spans.push({ from: [fromRows.length, fromRows.length + f.length], to: [toRows.length, toRows.length + t.length] });
+    fromRows.push(...f);
+    toRows.push(...t);
+  }
+  const before = fromRows.length ? (await analyzeBom({ rows: fromRows, actor })).items : [];
+  const after = toRows.length ? (await analyzeBom({ rows: toRows, actor })).items : [];
+  const fx = createFxConverter(db, base_currency);
+  const missing = new Set();
+  const outcomes = async (items) => {
+    const out = [];
+    for (const it of items) out.push(lineOutcome(it, await planCostCents(it, fx, missing)));
+    return out;
+  };
+  const beforeOut = await outcomes(before);
+  const afterOut = await outcomes(after);
+
+  const total = { before: { cost_cents: 0, shortfall_qty: 0 }, after: { cost_cents: 0, shortfall_qty: 0 } };
+  for (let n = 0; n < changes.length; n++) {
+    const c = changes[n];
+    const b = sumOutcome(beforeOut.slice(...spans[n].from));
+    const a = sumOutcome(afterOut.slice(...spans[n].to));
+    c.impact = { before: c.from ? b : null, after: c.to ? a : null, delta: outcomeDelta(b, a) };
+    total.before.cost_cents += b.cost_cents; total.before.shortfall_qty += b.shortfall_qty;
+    total.after.cost_cents += a.cost_cents; total.after.shortfall_qty += a.shortfall_qty;
+  }
+  return {
+    currency: fx.base,
+    ...total,
+    delta: { cost_cents: total.after.cost_cents - total.before.cost_cents, shortfall_qty: total.after.shortfall_qty - total.before.shortfall_qty },
+    fx_missing: [...missing],
+  };
+}
+
+async function listRevisions(bomId, ownerId) {
+  const r = await db.query(`
+    SELECT l.id, l.name, l.revision, l.base_bom_id, l.note, l.created_at,
+           (SELECT count(*)::int FROM public.bom_items i WHERE i.bom_id = l.id) AS line_count
+      FROM public.bom_lists l
+     WHERE COALESCE(l.base_bom_id, l.id) = (
+             SELECT COALESCE(base_bom_id, id) FROM public.bom_lists WHERE id = $1 AND owner_user_id = $2
+           )
+     ORDER BY l.revision ASC
+  `, [bomId, ownerId]);
+  return r.rows;
+}
+
+async function loadBomLines(bomId) {
+  const r = await db.query(`
+    SELECT id, row_no, manufacturer, part_number, qty, ref_des, sub_bom_id
+      FROM public.bom_items
+     WHERE bom_id = $1
+     ORDER BY COALESCE(row_no, 0) ASC, created_at ASC
+  `, [bomId]);
+  return r.rows;
+}
+
+/**
+ * bomId 가 속한 리비전 계열에서 from/to 리비전을 비교한다. to 생략 시 최신, from 생략 시 to 직전.
+ */
+async function diffRevisions(bomId, ownerId, { from = null, to = null, impact = true, actor = null, base_currency = 'USD' } = {}) {
+  const revs = await listRevisions(bomId, ownerId);
+  if (!revs.length) throw new Error('bom not found');
+  const byRev = new Map(revs.map((r) => [Number(r.revision), r]));
+  const toRev = to != null ? byRev.get(Number(to)) : revs[revs.length - 1];
+  if (!toRev) throw new Error(`revision ${to} not found`);
+  const fromRev = from != null
+    ? byRev.get(Number(from))
+    : [...revs].reverse().find((r) => Number(r.revision) < Number(toRev.revision));
+  if (!fromRev) throw new Error(from != null ? `revision ${from} not found` : 'no earlier revision');
+
+  const { changes, unchanged } = diffBomLines(await loadBomLines(fromRev.id), await loadBomLines(toRev.id));
+  const summary = {
+    unchanged,
+    added: changes.filter((c) => c.type === 'added').length,
+    removed: changes.filter((c) => c.type === 'removed').length,
+    qty_changed: changes.filter((c) => c.type === 'qty_changed').length,
+    part_swapped: changes.filter((c) => c.type === 'part_swapped').length,
+  };
+  const totals = impact && changes.length ? await attachImpact(changes, actor, base_currency) : null;
+  return {
+    from: { bom_id: fromRev.id, revision: fromRev.revision },
+    to: { bom_id: toRev.id, revision: toRev.revision },
+    summary,
+    impact: totals,
+    changes,
+  };
+}
+
+module.exports = { diffBomLines, diffRevisions, listRevisions };
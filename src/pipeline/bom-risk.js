@@ -0,0 +1,119 @@
+const { analyzeBom } = require('./bom');
+
+// 플래그별 가중치(라인 점수 0~100)
+const RISK_WEIGHTS = {
+  unmatched: 40,
+  single_seller: 20,
+  no_stock: 35,
+  short_supply: 25,
+  no_alternatives: 15,
+  lead_time_late: 25,
+  stale_listing: 10,
+};
+
+function daysUntil(due) {
+  if (!due) return null;
+  const t = new Date(due).getTime();
+  if (!Number.isFinite(t)) return null;
+  return Math.ceil((t - Date.now()) / 86400000);
+}
+
+function ageDays(ts) {
+  if (!ts) return null;
+  const t = new Date(ts).getTime();
+  if (!Number.isFinite(t)) return null;
+  return Math.floor((Date.now() - t) / 86400000);
+}
+
+function levelOf(score) {
+  if (score >= 50) return 'high';
+  if (score >= 20) return 'medium';
+  return 'low';
+}
+
+/** analyzeBom 결과 한 줄 → 리스크 플래그/점수 */
+function assessLine(item, { stale_days = 30 } = {}) {
+  const flags = [];
+  const required = Number(item.input?.qty || 0);
+  const listings = item.stock?.listings || [];
+  const available = Number(item.stock?.total_available || 0);
+
+  if (item.match?.type === 'unknown') flags.push({ flag: 'unmatched', detail: 'no catalog match' });
+
+  const sellers = new Set(listings.map((l) => String(l.seller_id ?? l.seller_ref ?? l.id)));
+  if (!listings.length) flags.push({ flag: 'no_stock', detail: 'no active listings' });
+  else if (sellers.size === 1) flags.push({ flag: 'single_seller', detail: `only seller ${[...sellers][0]}` });
+
+  if (listings.length && available < required) {
+    flags.push({ flag: 'short_supply', detail: `available ${available} < required ${required}`, shortfall_qty: required - available });
+  }
+
+  const alts = item.alternatives;
+  if (item.match?.type !== 'unknown' && !(alts && alts.mode === 'embedding' && alts.items?.length)) {
+    flags.push({ flag: 'no_alternatives', detail: alts ? `alternatives mode ${alts.mode}` : 'no alternatives searched' });
+  }
+
+  const daysLeft = daysUntil(item.input?.need_by);
+  if (daysLeft != null) {
+    const used = item.recommendation?.plan?.use_listings || [];
+    const leads = used.map((u) => u.lead_time_days).filter((d) => d != null).map(Number);
+    const worst = leads.length ? Math.max(...leads) : null;
+    if (worst != null && worst > daysLeft) {
+      flags.push({ flag: 'lead_time_late', detail: `lead ${worst}d > ${daysLeft}d until need_by`, late_days: worst - daysLeft });
+    }
+  }
+
+  if (listings.length) {
+    const ages = listings.map((l) => ageDays(l.updated_at)).filter((a) => a != null);
+    const freshest = ages.length ? Math.min(...ages) : null;
+    if (freshest != null && freshest > stale_days) {
+      flags.push({ flag: 'stale_listing', detail: `newest listing updated ${freshest}d ago`, age_days: freshest });
+    }
+  }
+
+  const score = Math.min(100, flags.reduce((s, f) => s + (RISK_WEIGHTS[f.flag] || 0), 0));
+  return { score, level: levelOf(score), flags };
+}
+
+/**
+ * BOM 공급 리스크 리포트. analyzeBom 이 모은 매칭/재고/대체품 정보를 그대로 사용한다.
+ * BOM 점수는 라인 평균과 최악 라인의 중간값(한 라인만 막혀도 빌드가 막히므로).
+ * need_by 를 주면 납기가 없는 라인(bom_id 입력 등)에 일괄 적용한다.
+ */
+async function riskReport(src, { stale_days = 30, need_by = null } = {}) {
+  const { summary, items } = await analyzeBom(src);
+  const lines = items.map((it) => {
+    if (need_by && !it.input.need_by) it.input.need_by = need_by;
+    const risk = assessLine(it, { stale_days });
+    return {
+      input: it.input,
+      match: { type: it.match.type, family_slug: it.match.family_slug || null, brand: it.match.brand || null, code: it.match.code || null },
+      available_qty: Number(it.stock?.total_available || 0),
+      sellers: new Set((it.stock?.listings || []).map((l) => String(l.seller_id ?? l.seller_ref ?? l.id))).size,
+      alternatives: it.alternatives ? { mode: it.alternatives.mode, count: (it.alternatives.items || []).length } : null,
+      route: it.recommendation?.route || null,
+      ...risk,
+    };
+  });
+
+  const flag_counts = {};
+  for (const l of lines) for (const f of l.flags) flag_counts[f.flag] = (flag_counts[f.flag] || 0) + 1;
+  const mean = lines.length ? lines.reduce((s, l) => s + l.score, 0) / lines.length : 0;
+  const worst = lines.reduce((m, l) => Math.max(m, l.score), 0);
+  const score = Math.round((mean + worst) / 2);
+  return {
+    summary,
+    risk: {
+      score,
+      level: levelOf(score),
+      mean_line_score: Math.round(mean),
+      worst_line_score: worst,
+      high_risk_lines: lines.filter((l) => l.level === 'high').length,
+      flag_counts,
+      stale_days,
+    },
+    lines: lines.sort((a, b) => b.score - a.score),
+  };
+}
+
+module.exports = { riskReport, assessLine, RISK_WEIGHTS };
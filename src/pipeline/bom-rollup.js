@@ -0,0 +1,94 @@
+const { explodeBom } = require('./bom-explode');
+const { findExact } = require('./bom');
+const { optimize } = require('../opt/optimizer');
+const { createOfferCache, loadExact } = require('../opt/offers');
+
+const DEFAULT_BUILDS = [100, 1000, 10000];
+
+function attritionFor(family, attrition = {}, defaultPct = 0) {
+  const key = String(family || '').toLowerCase();
+  const pct = key && Object.prototype.hasOwnProperty.call(attrition, key) ? attrition[key] : defaultPct;
+  const n = Number(pct);
+  return Number.isFinite(n) && n > 0 ? n : 0;
+}
+
+/** 수량 배수(qty-per) 라인 + family 확정. bom_id 면 전개 후 1대 기준 소요량. */
+async function loadPerUnitLines({ bom_id = null, rows = null }, cache) {
+  let lines;
+  if (bom_id) {
+    const exploded = await explodeBom(bom_id, { build_qty: 1 });
+    lines = exploded.lines.map((l) => ({ brand: l.manufacturer, code: l.part_number, qty_per: Number(l.qty || 0), family: l.component_family || null }));
+  } else if (Array.isArray(rows)) {
+    lines = rows.map((r) => ({ brand: r.brand, code: r.code, qty_per: Number(r.qty_per ?? r.qty ?? 0), family: r.family || r.family_slug || null }));
+  } else {
+    throw new Error('bom_id or rows[] required');
+  }
+  lines = lines.filter((l) => l.brand && l.code && l.qty_per > 0);
+  try { await loadExact(lines.filter((l) => !l.family).map((l) => [l.brand, l.code]), cache); } catch {}
+  for (const l of lines) {
+    if (l.family) continue;
+    try { l.family = (await findExact(l.brand, l.code, cache))?.family_slug || null; } catch { l.family = null; }
+  }
+  return lines;
+}
+
+/**
+ * 빌드 수량별 BOM 원가 롤업.
+ * 라인 소요 = ceil(qty_per × build × (1 + attrition%/100)), 가격은 optimizer(greedy)로 산정.
+ */
+async function rollupBom({ bom_id = null, rows = null, build_quantities = DEFAULT_BUILDS, attrition_pct = {}, default_attrition_pct = 0, optimizer = {} } = {}) {
+  const builds = (Array.isArray(build_quantities) && build_quantities.length ? build_quantities : DEFAULT_BUILDS)
+    .map((b) => Math.trunc(Number(b)))
+    .filter((b) => b > 0);
+  if (!builds.length) throw new Error('build_quantities must contain positive integers');
+  const attrition = Object.fromEntries(Object.entries(attrition_pct || {}).map(([k, v]) => [String(k).toLowerCase(), v]));
+  // 빌드 수량만 바뀌므로 오퍼 캐시는 시나리오 간에 공유
+  const cache = createOfferCache();
+  const lines = await loadPerUnitLines({ bom_id, rows }, cache);
+
+  const scenarios = [];
+  for (const build of builds) {
+    const demand = lines.map((l) => {
+      const pct = attritionFor(l.family, attrition, default_attrition_pct);
+      return { ...l, attrition_pct: pct, required_qty: Math.ceil(l.qty_per * build * (1 + pct / 100)) };
+    });
+    const out = await optimize({ ...optimizer, cache, items: demand.map((d) => ({ brand: d.brand, code: d.code, required_qty: d.required_qty })) });
+
+    let cost = 0, penalty = 0;
+    const shortfalls = [];
+    const auction_lines = [];
+    const lineResults = out.items.map((r, i) => {
+      const d = demand[i];
+      cost += r.plan.totals.cost_cents;
+      penalty += r.plan.totals.penalty_cents;
+      if (r.plan.remaining > 0) shortfalls.push({ brand: d.brand, code: d.code, required_qty: d.required_qty, shortfall_qty: r.plan.remaining });
+      if (r.route === 'auction' || r.plan.remaining > 0) {
+        auction_lines.push({ brand: d.brand, code: d.code, route: r.route, reason: r.plan.remaining > 0 ? 'insufficient_stock' : 'bids_only', qty: r.plan.remaining > 0 ? r.plan.remaining : d.required_qty });
+      }
+      return {
+        brand: d.brand,
+        code: d.code,
+        family: d.family,
+        qty_per: d.qty_per,
+        attrition_pct: d.attrition_pct,
+        required_qty: d.required_qty,
+        route: r.route,
+        cost_cents: r.plan.totals.cost_cents,
+        remaining: r.plan.remaining,
+      };
+    });
+
+    scenarios.push({
+      build_qty: build,
+      totals: { cost_cents: cost, penalty_cents: penalty, grand_cents: cost + penalty },
+      unit_cost_cents: Math.round(cost / build),
+      fully_priced: shortfalls.length === 0,
+      shortfalls,
+      auction_lines,
+      lines: lineResults,
+    });
+  }
+  return { lines_count: lines.length, attrition_pct: attrition, default_attrition_pct: Number(default_attrition_pct) || 0, scenarios };
+}
+
+module.exports = { rollupBom };
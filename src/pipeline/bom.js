@@ -1,5 +1,8 @@
 const db = require('../../db');
 const { updateRowEmbedding } = (()=>{ try { return require('./embedding'); } catch { return { updateRowEmbedding: async()=>false }; } })();
+const { explodeBom } = require('./bom-explode');
+const { recallMatches, partKey } = require('./bom-matches');
+const { createOfferCache, loadExact, loadListings, loadAlternatives, alternativesOf, registry, columnNames, skuKey } = require('../opt/offers');
 const { notify, findFamilyForBrandCode } = (()=>{ try { return require('../utils/notify'); } catch { return { notify: async()=>({}), findFamilyForBrandCode: async()=>null }; } })();
 
 async function ensureExt() {
@@ -8,86 +11,116 @@ async function ensureExt() {
   try { await db.query('CREATE EXTENSION IF NOT EXISTS pg_trgm;'); } catch {}
 }
 
-async function getKnownSpecsTables() {
-  const r = await db.query(`SELECT family_slug, specs_table FROM public.component_registry ORDER BY family_slug`);
-  return r.rows;
+// cache: src/opt/offers 의 요청 단위 캐시(없으면 일회용)
+async function findExact(brand, code, cache = null) {
+  const c = cache || createOfferCache();
+  await loadExact([[brand, code]], c);
+  return c.exact.get(skuKey(brand, code)) || null;
 }
 
-async function findExactInTable(table, brand, code) {
-  const q = await db.query(`SELECT * FROM public/${table} WHERE brand_norm=lower($1) AND code_norm=lower($2) LIMIT 1`, [brand, code]);
-  return q.rows[0] || null;
-}
-
-async function findExact(brand, code) {
-  const regs = await getKnownSpecsTables();
-  for (const r of regs) {
-    const row = await findExactInTable(r.specs_table, brand, code);
-    if (row) return { table: r.specs_table, family_slug: r.family_slug, row };
+// 유사 품번 후보: 라인 전체를 specs 테이블마다 LATERAL 한 번으로. Map(skuKey → 후보[] 점수순)
+async function findFuzzyMany(pairs, limit, cache) {
+  const out = new Map();
+  const list = [];
+  for (const [brand, code] of pairs) {
+    if (!code) continue;
+    const k = skuKey(brand, code);
+    if (out.has(k)) continue;
+    out.set(k, []);
+    list.push({ k, brand: brand || '', code });
   }
-  return null;
-}
-
-async function findFuzzy(brand, code, limit=5) {
+  if (!list.length) return out;
   await ensureExt();
-  const regs = await getKnownSpecsTables();
-  const out = [];
-  for (const r of regs) {
-    // brand match + trigram on code/display_name/series
-    const q = await db.query(`
-      SELECT *, 1.0 - GREATEST(similarity(code_norm, lower($2)), similarity(lower(display_name), lower($2)), similarity(lower(series), lower($2))) AS score
-        FROM public/${r.specs_table}
-       WHERE brand_norm = lower($1)
-       ORDER BY score ASC NULLS LAST
-       LIMIT $3
-    `, [brand, code, limit]);
-    for (const row of q.rows) out.push({ table: r.specs_table, family_slug: r.family_slug, row, score: row.score ?? 0.9 });
+  for (const r of await registry(cache)) {
+    const cols = await columnNames(r.specs_table, cache);
+    const exprs = [`similarity(t.code_norm, lower(q.code))`];
+    if (cols.has('display_name')) exprs.push(`similarity(lower(t.display_name), lower(q.code))`);
+    if (cols.has('series'))       exprs.push(`similarity(lower(t.series), lower(q.code))`);
+    const rows = await db.query(`
+      SELECT q.idx, a.*
+        FROM unnest($1::int[], $2::text[], $3::text[]) AS q(idx, brand, code)
+        CROSS JOIN LATERAL (
+          SELECT t.*, 1.0 - GREATEST(${exprs.join(', ')}) AS score
+            FROM public.${r.specs_table} t
+           WHERE t.brand_norm = lower(q.brand)
+           ORDER BY score ASC NULLS LAST
+           LIMIT $4
+        ) a
+    `, [list.map((_, i) => i), list.map(x => x.brand), list.map(x => x.code), limit]);
+    for (const x of rows.rows) {
+      const { idx, ...row } = x;
+      out.get(list[idx].k).push({ table: r.specs_table, family_slug: r.family_slug, row, score: row.score ?? 0.9 });
+    }
   }
-  out.sort((a,b)=> (a.score||1)-(b.score||1));
-  return out.slice(0, limit);
-}
-
-async function getListings(brand, code) {
-  const r = await db.query(`SELECT * FROM public.listings WHERE brand_norm=lower($1) AND code_norm=lower($2) AND quantity_available>0 ORDER BY price_cents ASC, created_at DESC`, [brand, code]);
-  const items = r.rows;
-  const total_available = items.reduce((s,it)=> s + Number(it.quantity_available||0), 0);
-  return { items, total_available };
+  for (const [k, cands] of out) {
+    cands.sort((a, b) => (a.score || 1) - (b.score || 1));
+    out.set(k, cands.slice(0, limit));
+  }
+  return out;
 }
 
-async function getAlternatives(table, baseRow, k=8) {
-  // embedding first
+async function refreshEmbedding(table, baseRow) {
+  // 임베딩이 없으면 생성 후 다시 읽는다 (실패는 룰 기반으로 대체)
   try {
     if (!baseRow.embedding) {
-      // try to compute one now (best-effort)
       await updateRowEmbedding(table, baseRow);
-      const ref = await db.query(`SELECT embedding FROM public/${table} WHERE brand_norm=$1 AND code_norm=$2`, [baseRow.brand_norm, baseRow.code_norm]);
+      const ref = await db.query(
+        `SELECT embedding FROM public.${table} WHERE brand_norm=$1 AND code_norm=$2`,
+        [baseRow.brand_norm, baseRow.code_norm]
+      );
       baseRow.embedding = ref.rows[0]?.embedding || null;
     }
   } catch {}
+}
 
-  if (baseRow.embedding) {
-    const q = await db.query(
-      `SELECT *, (embedding <=> $1::vector) AS dist
-         FROM public/${table}
-        WHERE NOT (brand_norm=$2 AND code_norm=$3)
-        ORDER BY embedding <=> $1::vector
-        LIMIT $4`,
-      [baseRow.embedding, baseRow.brand_norm, baseRow.code_norm, k]
-    );
-    return { mode: 'embedding', items: q.rows };
+// refreshEmbedding 의 일괄판: 임베딩 없는 부품만 생성하고 테이블마다 한 번에 다시 읽는다
+async function refreshEmbeddings(bases) {
+  const byTable = new Map();
+  for (const b of bases) {
+    if (!b?.table || !b.row || b.row.embedding) continue;
+    if (!byTable.has(b.table)) byTable.set(b.table, new Map());
+    const rows = byTable.get(b.table);
+    const k = skuKey(b.row.brand_norm, b.row.code_norm);
+    if (!rows.has(k)) rows.set(k, []);
+    rows.get(k).push(b.row);
+  }
+  for (const [table, rows] of byTable) {
+    try {
+      for (const same of rows.values()) {
+        try { await updateRowEmbedding(table, same[0]); } catch {}
+      }
+      const keys = [...rows.values()].map(same => same[0]);
+      const ref = await db.query(`
+        SELECT brand_norm, code_norm, embedding FROM public.${table}
+         WHERE (brand_norm, code_norm) IN (SELECT * FROM unnest($1::text[], $2::text[]))
+      `, [keys.map(r => r.brand_norm), keys.map(r => r.code_norm)]);
+      for (const x of ref.rows) {
+        for (const row of rows.get(skuKey(x.brand_norm, x.code_norm)) || []) row.embedding = x.embedding || null;
+      }
+    } catch {}
   }
+}
 
-  // fallback rule-based for known columns
-  const q2 = await db.query(
-    `SELECT *,
-      (CASE WHEN family_slug IS NOT NULL AND family_slug = $1 THEN 0 ELSE 1 END) * 1.0 +
-      COALESCE(ABS(COALESCE(coil_voltage_vdc,0) - COALESCE($2::numeric,0)) / 100.0, 1.0) AS score
-     FROM public.${table}
-     WHERE NOT (brand_norm=$3 AND code_norm=$4)
-     ORDER BY score ASC
-     LIMIT $5`,
-    [baseRow.family_slug || null, baseRow.coil_voltage_vdc || null, baseRow.brand_norm, baseRow.code_norm, k]
-  );
-  return { mode: 'rule-fallback', items: q2.rows };
+async function getAlternatives(table, baseRow, k = 8, cache = null) {
+  const c = cache || createOfferCache();
+  if (alternativesOf({ table, row: baseRow }, k, c).mode === 'none') {
+    await refreshEmbedding(table, baseRow);
+    await loadAlternatives([{ table, row: baseRow }], k, c);
+  }
+  return alternativesOf({ table, row: baseRow }, k, c);
+}
+
+// 다른 주문의 유효 홀드(held_qty)를 뺀 실제 가용 수량
+function availableQty(l) {
+  return Math.max(0, Number(l.quantity_available || 0) - Number(l.held_qty || 0));
+}
+
+async function getListings(brand, code, cache = null) {
+  const c = cache || createOfferCache();
+  await loadListings([[brand, code]], c);
+  const items = (c.listings.get(skuKey(brand, code)) || []).filter(it => availableQty(it) > 0);
+  const total_available = items.reduce((s,it)=> s + availableQty(it), 0);
+  return { items, total_available };
 }
 
 function buildStockPlan(required, listings) {
@@ -95,7 +128,7 @@ function buildStockPlan(required, listings) {
   let need = required;
   for (const l of listings) {
     if (need <= 0) break;
-    const take = Math.min(need, Number(l.quantity_available||0));
+    const take = Math.min(need, availableQty(l));
     if (take > 0) {
       plan.push({ listing_id: l.id, take_qty: take, price_cents: l.price_cents, currency: l.currency, lead_time_days: l.lead_time_days });
       need -= take;
@@ -104,44 +137,81 @@ function buildStockPlan(required, listings) {
   return { use_listings: plan, remaining: need };
 }
 
-async function analyzeBom({ upload_id=null, rows=null }) {
-  await ensureExt();
-  let items = [];
+async function loadBomInput({ upload_id=null, bom_id=null, rows=null, build_qty=1 }) {
   if (upload_id) {
     const r = await db.query(`SELECT brand, code, quantity AS qty, need_by FROM public.bom_lines WHERE upload_id=$1 ORDER BY brand, code`, [upload_id]);
-    items = r.rows.map(x => ({ brand: x.brand, code: x.code, qty: Number(x.qty || 0), need_by: x.need_by || null }));
-  } else if (Array.isArray(rows)) {
-    items = rows.map(x => ({ brand: x.brand, code: x.code, qty: Number(x.qty || 0), need_by: x.need_by || null }));
-  } else {
-    throw new Error('upload_id or rows[] required');
+    return r.rows.map(x => ({ brand: x.brand, code: x.code, qty: Number(x.qty || 0), need_by: x.need_by || null }));
+  }
+  if (bom_id) {
+    // 하위 어셈블리까지 펼친 총 소요량 기준
+    const exploded = await explodeBom(bom_id, { build_qty });
+    return exploded.lines.map(x => ({ brand: x.manufacturer, code: x.part_number, qty: Number(x.qty || 0), need_by: null }));
   }
+  if (Array.isArray(rows)) {
+    return rows.map(x => ({ brand: x.brand, code: x.code, qty: Number(x.qty || 0), need_by: x.need_by || null }));
+  }
+  throw new Error('upload_id, bom_id or rows[] required');
+}
+
+async function analyzeBom({ upload_id=null, bom_id=null, rows=null, build_qty=1, actor=null }) {
+  await ensureExt();
+  const items = await loadBomInput({ upload_id, bom_id, rows, build_qty });
+
+  // 매칭(정확 → 구매자 확정 매핑 → 유사, 거부된 후보 제외)/재고/대체품을 라인 전체에 대해 한 번에 읽어 둔다
+  const cache = createOfferCache();
+  await loadExact(items.map(it => [it.brand, it.code]), cache);
+  const misses = items.filter(it => !cache.exact.get(skuKey(it.brand, it.code)));
+  let memories = new Map();
+  try { memories = await recallMatches(actor, misses.map(it => [it.brand, it.code])); } catch (e) { console.warn('[bom] match memory unavailable', e.message || e); }
+  const memoryOf = (it) => memories.get(partKey(it.brand, it.code)) || { confirmed: null, rejected: new Set() };
+  await loadExact(misses.map(it => memoryOf(it).confirmed).filter(Boolean).map(c => [c.brand, c.code]), cache);
+  const confirmedOf = (it) => {
+    const c = memoryOf(it).confirmed;
+    return c ? cache.exact.get(skuKey(c.brand, c.code)) || null : null;
+  };
+  const fuzzyLines = misses.filter(it => !confirmedOf(it));
+  const fuzzyLimit = 3 + Math.max(0, ...fuzzyLines.map(it => memoryOf(it).rejected.size));
+  const fuzzy = await findFuzzyMany(fuzzyLines.map(it => [it.brand, it.code]), fuzzyLimit, cache);
+
+  const resolved = items.map((it) => {
+    const exact = cache.exact.get(skuKey(it.brand, it.code));
+    if (exact) return { match: exact, matchType: 'exact', candidates: null };
+    const memory = memoryOf(it);
+    const confirmed = confirmedOf(it);
+    if (confirmed) return { match: { ...confirmed, mapping_id: memory.confirmed.id }, matchType: 'confirmed', candidates: null };
+    const cands = (fuzzy.get(skuKey(it.brand, it.code)) || [])
+      .filter(c => !memory.rejected.has(partKey(c.row.brand_norm || c.row.brand, c.row.code_norm || c.row.code)))
+      .slice(0, 3);
+    return {
+      match: cands.length ? { table: cands[0].table, family_slug: cands[0].family_slug, row: cands[0].row, score: cands[0].score } : null,
+      matchType: cands.length ? 'fuzzy' : 'unknown',
+      candidates: cands.map(c => ({ family_slug: c.family_slug, brand: c.row.brand, code: c.row.code, score: c.score })),
+    };
+  });
+  const matched = resolved.map(x => x.match).filter(Boolean);
+  await loadListings(matched.map(m => [m.row.brand, m.row.code]), cache);
+  await refreshEmbeddings(matched);
+  await loadAlternatives(matched, 8, cache);
 
   const results = [];
-  let summary = { total_lines: items.length, lines_exact: 0, total_required_qty: 0, total_available_qty: 0, lines_stock_satisfied: 0, lines_need_pr: 0 };
-  for (const it of items) {
+  let summary = { total_lines: items.length, lines_exact: 0, lines_confirmed: 0, total_required_qty: 0, total_available_qty: 0, lines_stock_satisfied: 0, lines_need_pr: 0 };
+  for (const [i, it] of items.entries()) {
     const required = Number(it.qty || 0);
     summary.total_required_qty += required;
 
-    // match exact or fuzzy
-    let match = await findExact(it.brand, it.code);
-    let matchType = 'exact';
-    if (!match) {
-      const cands = await findFuzzy(it.brand, it.code, 3);
-      matchType = cands.length ? 'fuzzy' : 'unknown';
-      if (cands.length) match = { table: cands[0].table, family_slug: cands[0].family_slug, row: cands[0].row, score: cands[0].score };
-    } else {
-      summary.lines_exact += 1;
-    }
+    const { match, matchType, candidates } = resolved[i];
+    if (matchType === 'exact') summary.lines_exact += 1;
+    if (matchType === 'confirmed') summary.lines_confirmed += 1;
 
     // stock
     let stock = { items: [], total_available: 0 };
-    if (match) stock = await getListings(match.row.brand, match.row.code);
+    if (match) stock = await getListings(match.row.brand, match.row.code, cache);
     summary.total_available_qty += stock.total_available;
 
     // alternatives (if not exact or stock 부족)
     let alternatives = null;
     if (match) {
-      alternatives = await getAlternatives(match.table, match.row, 8);
+      alternatives = await getAlternatives(match.table, match.row, 8, cache);
     }
 
     // recommendation
@@ -156,7 +226,9 @@ async function analyzeBom({ upload_id=null, rows=null }) {
 
     results.push({
       input: it,
-      match: match ? { type: matchType, table: match.table, family_slug: match.family_slug, brand: match.row.brand, code: match.row.code, row: match.row, score: match.score || null } : { type: 'unknown' },
+      match: match
+        ? { type: matchType, table: match.table, family_slug: match.family_slug, brand: match.row.brand, code: match.row.code, row: match.row, score: match.score || null, mapping_id: match.mapping_id || null, candidates }
+        : { type: 'unknown', candidates },
       stock: { total_available: stock.total_available, listings: stock.items },
       alternatives,
       recommendation: {
@@ -174,18 +246,16 @@ async function persistPlan({ plan_items=[], actor={}, tenant_id=null }) {
   for (const it of plan_items) {
     const remaining = Number(it.recommendation?.plan?.remaining || 0);
     if (remaining > 0 && it.match && it.match.brand && it.match.code) {
-      // create purchase request
+      // create purchase request (market 의 purchase_requests 스키마: brand_norm/code_norm 은 생성 컬럼)
       const brand = it.match.brand;
       const code = it.match.code;
-      const lead_time_days = null;
-      const target_price_cents = null;
-      const buyer_ref = 'bom-plan';
-      const note = `Auto-created from BOM plan`;
-      const due_date = it.input?.need_by || null;
-
-      const id = (await db.query(`INSERT INTO public.purchase_requests (id, brand, code, brand_norm, code_norm, required_qty, lead_time_days, target_price_cents, buyer_ref, note, due_date, owner_id, tenant_id)
-                                  VALUES (uuid_generate_v4(), $1,$2, lower($1),lower($2), $3,$4,$5,$6,$7,$8,$9,$10) RETURNING id`,
-                                  [brand, code, remaining, lead_time_days, target_price_cents, buyer_ref, note, due_date, actor.id || null, tenant_id || actor.tenantId || null])).rows[0].id;
+      const need_by = it.input?.need_by || null;
+
+      const id = (await db.query(`
+        INSERT INTO public.purchase_requests (tenant_id, buyer_id, brand, code, qty_required, need_by_date, notes, status)
+        VALUES ($1,$2,$3,$4,$5,$6,$7,'open')
+        RETURNING id
+      `, [tenant_id || actor.tenantId || null, actor.id || null, brand, code, remaining, need_by, 'Auto-created from BOM plan'])).rows[0].id;
       // notify sellers
       try {
         const family = await findFamilyForBrandCode(brand, code);
@@ -198,4 +268,4 @@ async function persistPlan({ plan_items=[], actor={}, tenant_id=null }) {
   return { created };
 }
 
-module.exports = { analyzeBom, persistPlan };
+module.exports = { analyzeBom, persistPlan, loadBomInput, findExact, findFuzzyMany, getAlternatives, getListings, buildStockPlan };
@@ -0,0 +1,28 @@
+// 로컬 개발용 택배사: 송장 등록 후 경과 시간으로 집화 → 배송중 → 배송완료를 흉내 낸다.
+// 송장번호가 FAKE-EXC 로 시작하면 배송중 이후 exception 으로 끝난다.
+function createFakeCarrier({
+  transitMinutes = Number(process.env.FAKE_CARRIER_TRANSIT_MINUTES || 1),
+  deliverMinutes = Number(process.env.FAKE_CARRIER_DELIVER_MINUTES || 5),
+} = {}) {
+  return {
+    name: 'fake',
+
+    async track({ tracking_no, shipped_at }) {
+      const start = shipped_at ? new Date(shipped_at).getTime() : Date.now();
+      const at = (min) => new Date(start + min * 60000);
+      const now = Date.now();
+      const events = [{ code: 'picked_up', status: 'in_transit', description: 'Picked up', occurred_at: at(0), location: 'origin hub' }];
+      if (now >= at(transitMinutes).getTime()) {
+        events.push({ code: 'in_transit', status: 'in_transit', description: 'In transit', occurred_at: at(transitMinutes), location: 'sorting center' });
+      }
+      if (now >= at(deliverMinutes).getTime()) {
+        events.push(/^FAKE-EXC/i.test(String(tracking_no || ''))
+          ? { code: 'exception', status: 'exception', description: 'Delivery failed: recipient unavailable', occurred_at: at(deliverMinutes), location: 'destination' }
+          : { code: 'delivered', status: 'delivered', description: 'Delivered', occurred_at: at(deliverMinutes), location: 'destination' });
+      }
+      return { status: events[events.length - 1].status, events };
+    },
+  };
+}
+
+module.exports = { createFakeCarrier };
@@ -0,0 +1,40 @@
+const { createFakeCarrier } = require('./fake');
+
+/**
+ * 택배사 조회 인터페이스
+ *  - name
+ *  - track({ tracking_no, shipped_at }) → { status: 'in_transit'|'delivered'|'exception', events: [{ code, status, description, occurred_at, location }] }
+ * 등록되지 않은 택배사 송장은 폴링하지 않는다(수동 배송완료 확인만).
+ */
+const factories = new Map();
+const instances = new Map();
+
+function registerCarrier(name, factory) {
+  factories.set(String(name).toLowerCase(), factory);
+  instances.delete(String(name).toLowerCase());
+}
+
+// fake 는 운영에서 기본 비활성
+function fakeEnabled() {
+  if (process.env.CARRIER_FAKE_ENABLED != null) return /^(1|true|yes)$/i.test(process.env.CARRIER_FAKE_ENABLED);
+  return process.env.NODE_ENV !== 'production';
+}
+
+function getCarrier(name) {
+  const key = String(name || '').toLowerCase();
+  if (key === 'fake' && !fakeEnabled()) return null;
+  if (!instances.has(key)) {
+    const factory = factories.get(key);
+    if (!factory) return null;
+    instances.set(key, factory());
+  }
+  return instances.get(key);
+}
+
+function carrierNames() {
+  return [...factories.keys()].filter((k) => k !== 'fake' || fakeEnabled());
+}
+
+registerCarrier('fake', () => createFakeCarrier());
+
+module.exports = { registerCarrier, getCarrier, carrierNames, fakeEnabled };
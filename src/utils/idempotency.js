@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+const db = require('../../db');
+const { parseActor } = require('./auth');
+
+// Idempotency-Key: 같은 키로 다시 온 요청은 처음 응답을 그대로 돌려준다.
+// 성공(2xx) 응답만 저장하고, 실패하면 키를 풀어서 재시도가 실제로 다시 실행되게 한다.
+const TTL_HOURS = Number(process.env.IDEMPOTENCY_TTL_HOURS || 24);
+const MAX_KEY_LENGTH = 255;
+
+let ensured = null;
+function ensureIdempotencyTable() {
+  if (!ensured) {
+    ensured = (async () => {
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS public.idempotency_keys (
+          owner_id text NOT NULL,
+          idem_key text NOT NULL,
+          method text NOT NULL,
+          path text NOT NULL,
+          request_hash text NOT NULL,
+          status text NOT NULL DEFAULT 'pending' CHECK (status IN ('pending','done')),
+          response_status integer,
+          response_body jsonb,
+          created_at timestamptz DEFAULT now(),
+          completed_at timestamptz,
+          expires_at timestamptz NOT NULL,
+          PRIMARY KEY (owner_id, idem_key)
+        )
+      `);
+      await db.query(`CREATE INDEX IF NOT EXISTS ix_idempotency_keys_expires ON public.idempotency_keys (expires_at)`);
+    })().catch((e) => { ensured = null; throw e; });
+  }
+  return ensured;
+}
+
+// 키 순서와 무관한 JSON (같은 body 면 같은 해시)
+function canonical(v) {
+  if (Array.isArray(v)) return `[${v.map(canonical).join(',')}]`;
+  if (v && typeof v === 'object') {
+    return `{${Object.keys(v).sort().filter((k) => v[k] !== undefined).map((k) => `${JSON.stringify(k)}:${canonical(v[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(v === undefined ? null : v);
+}
+
+function requestHash(req) {
+  const path = `${req.baseUrl || ''}${req.path || ''}`;
+  return crypto.createHash('sha256').update(`${req.method} ${path}\n${canonical(req.body ?? null)}`).digest('hex');
+}
+
+async function claimKey(owner, key, req, hash, retried = false) {
+  const path = `${req.baseUrl || ''}${req.path || ''}`;
+  await db.query(`DELETE FROM public.idempotency_keys WHERE owner_id = $1 AND idem_key = $2 AND expires_at <= now()`, [owner, key]);
+  const ins = await db.query(`
+    INSERT INTO public.idempotency_keys (owner_id, idem_key, method, path, request_hash, expires_at)
+    VALUES ($1,$2,$3,$4,$5, now() + make_interval(hours => $6))
+    ON CONFLICT (owner_id, idem_key) DO NOTHING
+    RETURNING idem_key
+  `, [owner, key, req.method, path, hash, Math.max(1, TTL_HOURS || 24)]);
+  if (ins.rows.length) return { claimed: true };
+  const prev = (await db.query(`SELECT * FROM public.idempotency_keys WHERE owner_id = $1 AND idem_key = $2`, [owner, key])).rows[0];
+  // 사이에 만료 정리/해제로 사라졌으면 한 번만 더 시도
+  if (!prev) {
+    if (retried) throw new Error('idempotency key changed while claiming');
+    return claimKey(owner, key, req, hash, true);
+  }
+  return { claimed: false, prev };
+}
+
+/**
+ * 라우트 미들웨어. 인증 미들웨어(requireSeller 등) 뒤에 둔다.
+ *  - 헤더가 없거나 actor 가 없으면(비로그인) 그대로 통과 — 키는 actor 단위라 서로 모르는 클라이언트끼리 섞이지 않게
+ *  - 같은 키 + 같은 요청: 저장된 응답 재생 (Idempotent-Replayed: true)
+ *  - 같은 키 + 다른 요청: 422, 처리 중인 키: 409
+ */
+function idempotent(req, res, next) {
+  const key = String(req.get('Idempotency-Key') || '').trim();
+  if (!key) return next();
+  if (key.length > MAX_KEY_LENGTH) return res.status(400).json({ ok: false, error: `Idempotency-Key longer than ${MAX_KEY_LENGTH} characters` });
+  const actor = parseActor(req);
+  if (!actor?.id) return next();
+  const owner = String(actor.id);
+
+  (async () => {
+    await ensureIdempotencyTable();
+    const hash = requestHash(req);
+    const { claimed, prev } = await claimKey(owner, key, req, hash);
+
+    if (!claimed) {
+      if (prev.request_hash !== hash) {
+        return res.status(422).json({ ok: false, error: 'Idempotency-Key was already used with a different request' });
+      }
+      if (prev.status !== 'done') {
+        return res.status(409).json({ ok: false, error: 'a request with this Idempotency-Key is still in progress' });
+      }
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(prev.response_status || 200).json(prev.response_body);
+    }
+
+    let settled = false;
+    const release = () => {
+      if (settled) return;
+      settled = true;
+      db.query(`DELETE FROM public.idempotency_keys WHERE owner_id = $1 AND idem_key = $2 AND status = 'pending'`, [owner, key])
+        .catch((e) => console.warn('[idempotency] release failed:', e?.message || e));
+    };
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      if (!settled && res.statusCode >= 200 && res.statusCode < 300) {
+        settled = true;
+        // 저장이 끝난 뒤에 응답한다(응답 직후 재시도가 409 를 받지 않게). 저장에 실패하면 키를 지워 재시도가 다시 실행되게
+        db.query(`
+          UPDATE public.idempotency_keys
+             SET status = 'done', response_status = $3, response_body = $4::jsonb, completed_at = now()
+           WHERE owner_id = $1 AND idem_key = $2
+        `, [owner, key, res.statusCode, JSON.stringify(body ?? null)])
+          .catch((e) => {
+            console.warn('[idempotency] store failed:', e?.message || e);
+            return db.query(`DELETE FROM public.idempotency_keys WHERE owner_id = $1 AND idem_key = $2`, [owner, key])
+              .catch((err) => console.warn('[idempotency] release failed:', err?.message || err));
+          })
+          .then(() => json(body));
+        return res;
+      }
+      release();
+      return json(body);
+    };
+    // json 이 아닌 응답/연결 끊김 등으로 끝나면 키를 푼다
+    res.on('close', release);
+    next();
+  })().catch((e) => {
+    console.error(e);
+    res.status(500).json({ ok: false, error: 'idempotency check failed' });
+  });
+}
+
+module.exports = { ensureIdempotencyTable, idempotent, canonical, requestHash };
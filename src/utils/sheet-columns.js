@@ -0,0 +1,92 @@
+'use strict';
+
+const XLSX = require('xlsx');
+
+// 업로드 시트(XLSX/CSV) 헤더 휴리스틱 — 판매자 재고 import 와 BOM import 가 공유
+const HEADER_PATTERNS = {
+  brand: ['brand', '제조사'],
+  code: ['part', 'parts?\\s*no', '제품명', '부품번호', 'code'],
+  qty: ['qty', '수량', '가용'],
+  note: ['note', '비고'],
+};
+
+// "Manufacturer Part Number", "Mfr P/N" 처럼 품번 컬럼인 헤더는 brand 로 잡지 않는다
+const NOT_PART_NUMBER = '^(?!.*(?:part|number|\\bp/?n\\b|\\bno\\b|#|품번|번호))';
+
+// BOM 전용: 제조사/품번 동의어와 reference designator
+// (ref_des 를 먼저 잡아야 "Part Reference" 같은 헤더가 code 로 가지 않는다)
+const BOM_HEADER_PATTERNS = {
+  ref_des: ['ref\\s*des', 'designator', 'reference', '참조', '위치\\s*번호', '부품\\s*위치'],
+  brand: [...HEADER_PATTERNS.brand, 'manufacturer', 'mfr', 'maker', '메이커'].map((p) => `${NOT_PART_NUMBER}.*${p}`),
+  code: ['mpn', ...HEADER_PATTERNS.code, '\\bp/?n\\b', '품번', '모델'],
+  qty: [...HEADER_PATTERNS.qty, 'quantity', '소요'],
+  note: [...HEADER_PATTERNS.note, 'remark', 'comment', '메모'],
+};
+
+/**
+ * 첫 시트를 2차원 배열로 읽는다(CSV 도 XLSX.read 가 처리).
+ * codepage 는 CSV 해석용 — 주지 않으면 xlsx 기본값(판매자 import 의 CP949 CSV 그대로)
+ */
+function readSheetRows(buf, { codepage = null } = {}) {
+  const wb = XLSX.read(buf, codepage ? { type: 'buffer', codepage } : { type: 'buffer' });
+  const ws = wb.Sheets[wb.SheetNames[0]];
+  if (!ws) return [];
+  return XLSX.utils.sheet_to_json(ws, { header: 1, defval: '' });
+}
+
+function normalizeHeader(row) {
+  return (row || []).map((h) => String(h).trim().toLowerCase());
+}
+
+/** 패턴 중 하나라도 맞는 첫 헤더 인덱스(-1 = 없음) */
+function headerIndex(header, patterns) {
+  return header.findIndex((h) => patterns.some((p) => new RegExp(p, 'i').test(h)));
+}
+
+/**
+ * patterns 맵으로 컬럼 매핑을 만든다. 앞선 필드가 차지한 컬럼은 다음 필드에서 건너뛴다
+ * (예: "Part Ref" 가 code 와 ref_des 양쪽에 걸리는 경우).
+ */
+function detectColumns(header, patternsByField, { exclusive = false } = {}) {
+  const map = {};
+  const taken = new Set();
+  for (const [field, patterns] of Object.entries(patternsByField)) {
+    if (!exclusive) {
+      map[field] = headerIndex(header, patterns);
+      continue;
+    }
+    const i = header.findIndex((h, n) => !taken.has(n) && patterns.some((p) => new RegExp(p, 'i').test(h)));
+    map[field] = i;
+    if (i >= 0) taken.add(i);
+  }
+  return map;
+}
+
+/**
+ * 사용자 override 적용. 값은 컬럼 인덱스(number) 또는 헤더 문자열, null/-1 은 매핑 해제.
+ */
+function applyColumnOverrides(map, header, overrides) {
+  const out = { ...map };
+  if (!overrides || typeof overrides !== 'object') return out;
+  for (const [field, v] of Object.entries(overrides)) {
+    if (!Object.prototype.hasOwnProperty.call(out, field)) continue;
+    if (v == null || v === '' || Number(v) === -1) { out[field] = -1; continue; }
+    if (typeof v === 'number' || /^\d+$/.test(String(v))) {
+      const i = Number(v);
+      out[field] = i >= 0 && i < header.length ? i : -1;
+      continue;
+    }
+    out[field] = header.indexOf(String(v).trim().toLowerCase());
+  }
+  return out;
+}
+
+module.exports = {
+  HEADER_PATTERNS,
+  BOM_HEADER_PATTERNS,
+  readSheetRows,
+  normalizeHeader,
+  headerIndex,
+  detectColumns,
+  applyColumnOverrides,
+};